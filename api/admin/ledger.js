@@ -0,0 +1,117 @@
+/**
+ * Admin points ledger
+ * Balance, lots and full history of a customer, for support staff
+ *
+ * GET /api/admin/ledger?customer_id=123456 (or ?email=...)
+ * Same paging and filters as /api/rewards/history: limit, cursor, type, from, to
+ *
+ * Auth: Authorization: Bearer <ADMIN_API_TOKEN>, or a signed server call
+ */
+
+const { logger, withRequestLogging } = require('../../lib/logger');
+const { verifyAdminRequest } = require('../../lib/auth');
+const { UpstreamError, sendUpstreamError } = require('../../lib/http');
+const { findCustomerByEmail } = require('../../lib/shopify');
+const { lotExpiresAt } = require('../../lib/point-lots');
+const { getPointsState } = require('../../lib/rewards');
+const {
+  HISTORY_TYPES,
+  readHistoryPage,
+  encodeCursor,
+  decodeCursor
+} = require('../../lib/history-store');
+
+const SHOPIFY_SHOP = process.env.SHOPIFY_SHOP;
+const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 250;
+
+module.exports = withRequestLogging('admin/ledger', async (req, res) => {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!SHOPIFY_SHOP || !SHOPIFY_ACCESS_TOKEN) {
+    return res.status(500).json({
+      error: 'Server configuration error',
+      message: 'Missing environment variables'
+    });
+  }
+
+  if (!(await verifyAdminRequest(req))) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const { customer_id, email } = req.query;
+
+    let customerId = customer_id ? customer_id.toString().replace(/\D/g, '') : null;
+    if (!customerId && email) {
+      const customer = await findCustomerByEmail(email.toString());
+      if (!customer) {
+        return res.status(404).json({ error: 'Customer not found' });
+      }
+      customerId = customer.id.toString();
+    }
+    if (!customerId) {
+      return res.status(400).json({ error: 'customer_id or email is required' });
+    }
+
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : DEFAULT_LIMIT;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return res.status(400).json({ error: `limit must be between 1 and ${MAX_LIMIT}` });
+    }
+
+    let before = null;
+    if (req.query.cursor) {
+      before = decodeCursor(req.query.cursor.toString());
+      if (before === null) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+    }
+
+    let types = null;
+    if (req.query.type) {
+      types = req.query.type.toString().split(',').map(t => t.trim()).filter(Boolean);
+      const invalid = types.filter(t => !HISTORY_TYPES.includes(t));
+      if (invalid.length > 0) {
+        return res.status(400).json({ error: `Invalid type: ${invalid.join(', ')}`, valid_types: HISTORY_TYPES });
+      }
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+      return res.status(400).json({ error: 'from and to must be ISO dates' });
+    }
+
+    const state = await getPointsState(customerId);
+    const page = state && await readHistoryPage(customerId, state.points, { limit, before, types, from, to });
+    if (!page) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const { points, lots } = state;
+
+    return res.status(200).json({
+      success: true,
+      customer_id: customerId,
+      points,
+      lots: lots.map(lot => ({
+        ...lot,
+        expires_at: lotExpiresAt(lot)?.toISOString() || null
+      })),
+      entries: page.entries,
+      totals: page.totals,
+      next_cursor: page.nextCursor !== null ? encodeCursor(page.nextCursor) : null
+    });
+
+  } catch (error) {
+    if (error instanceof UpstreamError) {
+      return sendUpstreamError(res, error);
+    }
+    logger.error('Ledger error', { error });
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
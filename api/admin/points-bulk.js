@@ -0,0 +1,166 @@
+/**
+ * Admin bulk points adjustment
+ * Applies a CSV of adjustments one row at a time and reports the result of each row
+ *
+ * POST /api/admin/points-bulk
+ * Body: { csv, reason, operator, start_line }
+ *   csv columns: customer_id or email, points, reason (optional - falls back to the body reason),
+ *   reference (optional)
+ *   start_line (optional) - skip the rows before this line of the file
+ * Header (recommended): Idempotency-Key
+ *
+ * Rows are applied until POINTS_BULK_TIME_BUDGET_MS runs out, well within the function
+ * timeout; the response then has complete: false and the next_line to post again with.
+ *
+ * Posting the same upload again (e.g. after a timeout) skips the rows already applied:
+ * a row is keyed by its reference, or by the Idempotency-Key and its line in the file,
+ * and recorded on the customer together with the balance (lib/points-adjustment.js).
+ *
+ * Auth: Authorization: Bearer <ADMIN_API_TOKEN>, or a signed server call
+ */
+
+const { logger, withRequestLogging } = require('../../lib/logger');
+const { verifyAdminRequest, readJsonBody } = require('../../lib/auth');
+const { UpstreamError, sendUpstreamError } = require('../../lib/http');
+const { findCustomerByEmail } = require('../../lib/shopify');
+const { parseCsv } = require('../../lib/csv');
+const { AdjustmentError, adjustCustomerPoints } = require('../../lib/points-adjustment');
+
+const SHOPIFY_SHOP = process.env.SHOPIFY_SHOP;
+const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
+
+const MAX_ROWS = 100;
+const POINTS_BULK_TIME_BUDGET_MS = parseInt(process.env.POINTS_BULK_TIME_BUDGET_MS) || 40 * 1000;
+
+module.exports = withRequestLogging('admin/points-bulk', async (req, res) => {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!SHOPIFY_SHOP || !SHOPIFY_ACCESS_TOKEN) {
+    return res.status(500).json({
+      error: 'Server configuration error',
+      message: 'Missing environment variables'
+    });
+  }
+
+  if (!(await verifyAdminRequest(req))) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const { csv, reason, operator, start_line: startLine = 1 } = (await readJsonBody(req)) || {};
+
+    if (!csv || typeof csv !== 'string') {
+      return res.status(400).json({ error: 'csv is required' });
+    }
+    if (!operator) {
+      return res.status(400).json({ error: 'operator is required' });
+    }
+    if (!Number.isInteger(startLine) || startLine < 1) {
+      return res.status(400).json({ error: 'start_line must be a positive integer' });
+    }
+
+    const idempotencyKey = req.headers['idempotency-key'] ? req.headers['idempotency-key'].toString() : null;
+    if (idempotencyKey && idempotencyKey.length > 255) {
+      return res.status(400).json({ error: 'Idempotency-Key must be at most 255 characters' });
+    }
+
+    const rows = parseCsv(csv);
+    if (rows.length === 0) {
+      return res.status(400).json({ error: 'csv has no rows' });
+    }
+    if (rows.length > MAX_ROWS) {
+      return res.status(400).json({ error: `csv has ${rows.length} rows, the maximum is ${MAX_ROWS}` });
+    }
+    if (!('customer_id' in rows[0].values) && !('email' in rows[0].values)) {
+      return res.status(400).json({ error: 'csv needs a customer_id or email column' });
+    }
+    if (!('points' in rows[0].values)) {
+      return res.status(400).json({ error: 'csv needs a points column' });
+    }
+
+    // Rows are applied in order; a failing row does not stop the rest
+    const startedAt = Date.now();
+    const results = [];
+    let nextLine = null;
+    for (const { line, values: row } of rows) {
+      if (line < startLine) {
+        continue;
+      }
+      if (Date.now() - startedAt >= POINTS_BULK_TIME_BUDGET_MS) {
+        nextLine = line;
+        break;
+      }
+      const identifier = row.customer_id || row.email;
+
+      try {
+        let customerId = row.customer_id ? row.customer_id.replace(/\D/g, '') : null;
+        if (!customerId && row.email) {
+          const customer = await findCustomerByEmail(row.email);
+          if (!customer) {
+            throw new AdjustmentError('Customer not found', 404);
+          }
+          customerId = customer.id.toString();
+        }
+        if (!customerId) {
+          throw new AdjustmentError('customer_id or email is required');
+        }
+
+        if (row.reference && row.reference.length > 255) {
+          throw new AdjustmentError('reference must be at most 255 characters');
+        }
+
+        const points = Number(row.points);
+        const result = await adjustCustomerPoints(customerId, points, {
+          reason: row.reason || reason,
+          operator,
+          reference: rowReference(row, line, idempotencyKey)
+        });
+        results.push({ line, identifier, success: true, ...result });
+      } catch (error) {
+        if (!(error instanceof AdjustmentError)) {
+          logger.error('Bulk adjustment line failed', { line, error });
+        }
+        results.push({ line, identifier, success: false, error: error.message });
+      }
+    }
+
+    const succeeded = results.filter(r => r.success).length;
+    if (nextLine) {
+      logger.warn('Bulk adjustment stopped at the time budget', { next_line: nextLine, processed: results.length });
+    }
+
+    return res.status(200).json({
+      success: !nextLine && succeeded === results.length,
+      complete: !nextLine,
+      next_line: nextLine,
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      skipped: results.filter(r => r.duplicate).length,
+      results
+    });
+
+  } catch (error) {
+    if (error instanceof UpstreamError) {
+      return sendUpstreamError(res, error);
+    }
+    logger.error('Bulk points adjustment error', { error });
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Signed calls are checked against the raw body (readRawBody in lib/auth.js)
+module.exports.config = { api: { bodyParser: false } };
+
+/**
+ * Reference recording a row as applied: its reference column, else the upload's
+ * Idempotency-Key and the row's line. Null when the upload has neither.
+ */
+function rowReference(row, line, idempotencyKey) {
+  if (row.reference) {
+    return `adjust:${row.reference}`;
+  }
+  return idempotencyKey ? `adjust:${idempotencyKey}:${line}` : null;
+}
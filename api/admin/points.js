@@ -0,0 +1,70 @@
+/**
+ * Admin points adjustment
+ * Credit or debit a customer's points (goodwill grants, corrections)
+ *
+ * POST /api/admin/points
+ * Body: { customer_id | email, points, reason, operator }
+ *   points > 0 credits, points < 0 debits
+ *
+ * Auth: Authorization: Bearer <ADMIN_API_TOKEN>, or a signed server call
+ */
+
+const { logger, withRequestLogging } = require('../../lib/logger');
+const { verifyAdminRequest, readJsonBody } = require('../../lib/auth');
+const { UpstreamError, sendUpstreamError } = require('../../lib/http');
+const { findCustomerByEmail } = require('../../lib/shopify');
+const { AdjustmentError, adjustCustomerPoints } = require('../../lib/points-adjustment');
+
+const SHOPIFY_SHOP = process.env.SHOPIFY_SHOP;
+const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
+
+module.exports = withRequestLogging('admin/points', async (req, res) => {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!SHOPIFY_SHOP || !SHOPIFY_ACCESS_TOKEN) {
+    return res.status(500).json({
+      error: 'Server configuration error',
+      message: 'Missing environment variables'
+    });
+  }
+
+  if (!(await verifyAdminRequest(req))) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const { customer_id, email, points, reason, operator } = (await readJsonBody(req)) || {};
+
+    if (!customer_id && !email) {
+      return res.status(400).json({ error: 'customer_id or email is required' });
+    }
+
+    let customerId = customer_id ? customer_id.toString().replace(/\D/g, '') : null;
+    if (!customerId) {
+      const customer = await findCustomerByEmail(email);
+      if (!customer) {
+        return res.status(404).json({ error: 'Customer not found' });
+      }
+      customerId = customer.id.toString();
+    }
+
+    const result = await adjustCustomerPoints(customerId, points, { reason, operator });
+
+    return res.status(200).json({ success: true, ...result });
+
+  } catch (error) {
+    if (error instanceof UpstreamError) {
+      return sendUpstreamError(res, error);
+    }
+    if (error instanceof AdjustmentError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Points adjustment error', { error });
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Signed calls are checked against the raw body (readRawBody in lib/auth.js)
+module.exports.config = { api: { bodyParser: false } };
@@ -2,20 +2,55 @@
  * Shopify Draft Order API
  * Create draft order with line item discounts for tier pricing
  * 
- * SIMPLIFIED VERSION - Trusts frontend discount_percent
+ * The discount percentage is resolved on the server from the customer's tier
+ * (lib/tiers.js) and the pricing rules (lib/pricing-rules.js). A client-supplied
+ * discount_percent is only checked against it: clamped to the tier value, or rejected when
+ * TIER_DISCOUNT_MISMATCH=reject (see lib/pricing.js).
+ *
+ * Optional redeem_points / reward_id spend reward points on an order-level discount
+ * (lib/points-redemption.js). The points are deducted before the draft order is
+ * created and given back if that fails. A create that may have reached Shopify
+ * (timeout, lost response) is first looked up by the redemption tag written into it.
  * 
  * Deploy to: Vercel, Netlify, or any serverless platform
  */
 
 const SHOPIFY_SHOP = process.env.SHOPIFY_SHOP; // your-shop.myshopify.com
 const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN; // Admin API access token
-const API_VERSION = '2024-10'; // Shopify API version
 
-// Retry configuration
-const MAX_RETRIES = 3;
-const INITIAL_RETRY_DELAY = 1000; // 1 second
-
-module.exports = async (req, res) => {
+const crypto = require('crypto');
+
+const { logger, withRequestLogging } = require('../lib/logger');
+const { limitByIp, limitByCustomer } = require('../lib/rate-limit');
+const { toGid, getShopCurrencies, ShopifyUserError } = require('../lib/shopify');
+const { authenticateRequest, bindCustomer, readJsonBody } = require('../lib/auth');
+const { UpstreamError, sendUpstreamError, isUnapplied } = require('../lib/http');
+const { PricingError, priceCart } = require('../lib/pricing');
+const {
+  RedemptionError,
+  planRedemption,
+  redemptionDiscount,
+  deductPoints,
+  restorePoints,
+  recordDraftRedemption
+} = require('../lib/points-redemption');
+const { addRewardHistory } = require('../lib/rewards');
+const {
+  buildDraftOrderFields,
+  buildInvoiceOptions,
+  resolvePresentmentCurrency
+} = require('../lib/draft-order-fields');
+const {
+  createDraftOrder,
+  findDraftOrderByTag,
+  sendDraftOrderInvoice,
+  draftLineItems
+} = require('../lib/draft-orders');
+
+// Tag of a draft order that spends points, followed by a per-request id
+const REDEMPTION_TAG_PREFIX = 'points-redemption-';
+
+module.exports = withRequestLogging('create-draft-order', async (req, res) => {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
@@ -37,182 +72,239 @@ module.exports = async (req, res) => {
     });
   }
 
-  // Log config (without exposing full token)
-  console.log('Config:', {
-    shop: SHOPIFY_SHOP,
-    tokenPrefix: SHOPIFY_ACCESS_TOKEN?.substring(0, 10) + '...',
-    apiVersion: API_VERSION
-  });
-
   try {
-    const { customer_id, items, customer_email } = req.body;
+    if (await limitByIp(req, res, 'create-draft-order')) {
+      return;
+    }
 
-    if (!items || items.length === 0) {
-      return res.status(400).json({ error: 'No items provided' });
+    // Verify the caller and bind the request to its customer
+    await readJsonBody(req);
+    const auth = await authenticateRequest(req);
+    if (!auth.ok) {
+      return res.status(401).json({ error: 'Unauthorized', message: auth.reason });
     }
 
-    // Validate items
-    for (let i = 0; i < items.length; i++) {
-      const item = items[i];
-      if (!item.variant_id) {
-        return res.status(400).json({ error: `Item ${i}: variant_id is required` });
-      }
-      if (!item.quantity || item.quantity <= 0) {
-        return res.status(400).json({ error: `Item ${i}: quantity must be greater than 0` });
-      }
-      if (item.price === undefined || item.price < 0) {
-        return res.status(400).json({ error: `Item ${i}: price must be a positive number` });
-      }
-      if (item.discount_percent < 0 || item.discount_percent > 100) {
-        return res.status(400).json({ error: `Item ${i}: discount_percent must be between 0 and 100` });
+    // A missing or non-JSON body fails the validation below with 400
+    const body = req.body || {};
+    const binding = bindCustomer(auth, body.customer_id);
+    if (binding.error) {
+      return res.status(401).json({ error: 'Unauthorized', message: binding.error });
+    }
+    if (await limitByCustomer(req, res, 'create-draft-order', binding.customerId)) {
+      return;
+    }
+
+    const customer_id = binding.customerId;
+    const { items, customer_email, redeem_points, reward_id } = body;
+    const wantsRedemption = redeem_points !== undefined || reward_id !== undefined;
+
+    if (wantsRedemption && !customer_id) {
+      if (auth.method === 'app_proxy') {
+        return res.status(401).json({ error: 'Unauthorized', message: 'Customer login required' });
       }
+      return res.status(400).json({ error: 'customer_id is required to redeem points' });
     }
 
-    console.log('Creating draft order:', { customer_id, items });
+    // Present the draft in the storefront customer's currency (default: shop currency)
+    const shopCurrencies = await getShopCurrencies();
+    const presentment = resolvePresentmentCurrency(body.currency, shopCurrencies);
+    if (presentment.error) {
+      return res.status(presentment.status).json({ error: presentment.error });
+    }
+    // Points and shipping prices are fixed amounts in the shop currency - not converted here
+    if (presentment.currency !== shopCurrencies.currency && (wantsRedemption || body.shipping_line !== undefined)) {
+      return res.status(400).json({
+        error: `redeem_points, reward_id and shipping_line need an order in ${shopCurrencies.currency}`,
+        code: 'FIXED_AMOUNT_CURRENCY'
+      });
+    }
 
-    // Build line items with discounts from frontend (TRUSTED)
-    const lineItems = items.map(item => {
-      const lineItem = {
-        variant_id: item.variant_id,
-        quantity: item.quantity
-      };
+    // Price the cart on the server - the same pipeline as /api/pricing/quote
+    const { customer, tier, currency, lines, totals, staleItems, adjustedItems } = await priceCart({ customerId: customer_id, items });
 
-      // Use frontend discount_percent directly
-      if (item.discount_percent > 0) {
-        lineItem.applied_discount = {
-          description: `Tier Discount ${item.discount_percent}%`,
-          value_type: 'percentage',
-          value: item.discount_percent.toString(),
-          amount: calculateDiscountAmount(item.price, item.quantity, item.discount_percent)
-        };
-      }
+    // Shipping, note, attributes, tags and tax exemption
+    const extra = buildDraftOrderFields(body, { auth, customer, tier, currency });
+    if (extra.error) {
+      return res.status(extra.status).json({ error: extra.error });
+    }
 
-      return lineItem;
-    });
+    const invoiceOptions = buildInvoiceOptions(body.send_invoice, { auth, customer });
+    if (invoiceOptions.error) {
+      return res.status(invoiceOptions.status).json({ error: invoiceOptions.error });
+    }
 
-    // Create draft order payload
+    if (staleItems.length > 0) {
+      logger.warn('Client prices are stale', { items: staleItems });
+    }
+    if (adjustedItems.length > 0) {
+      logger.warn('Client discount_percent overridden by tier', { items: adjustedItems });
+    }
+
+    logger.info('Creating draft order', { customer_id, tier: tier?.name || null, items });
+
+    // Build line items with the tier discount
+    const lineItems = draftLineItems(lines, { currency, presentmentCurrency: presentment.currency });
+
+    // Create draft order input
     const draftOrderData = {
-      line_items: lineItems,
-      use_customer_default_address: true
+      lineItems,
+      presentmentCurrencyCode: presentment.currency,
+      useCustomerDefaultAddress: true,
+      ...extra.fields
     };
 
     // Add customer info
     if (customer_id) {
-      draftOrderData.customer = { id: customer_id };
+      draftOrderData.purchasingEntity = { customerId: toGid('Customer', customer_id) };
     } else if (customer_email) {
       draftOrderData.email = customer_email;
     }
 
-    // Call Shopify API with retry logic
-    const apiUrl = `https://${SHOPIFY_SHOP}/admin/api/${API_VERSION}/draft_orders.json`;
-    console.log('Calling Shopify API:', apiUrl);
-    console.log('Draft order data:', JSON.stringify(draftOrderData, null, 2));
+    // Spend points on an order-level discount - deducted now, given back if the draft fails
+    let redemption = null;
+    let deduction = null;
+    let redemptionTag = null;
+    if (wantsRedemption) {
+      redemption = await planRedemption({ tier, totals, redeemPoints: redeem_points, rewardId: reward_id });
+      deduction = await deductPoints(customer_id, redemption.points);
+
+      draftOrderData.appliedDiscount = redemptionDiscount(redemption);
+      // Marks this create, so a draft whose response was lost can be found again
+      redemptionTag = `${REDEMPTION_TAG_PREFIX}${crypto.randomUUID()}`;
+      draftOrderData.tags = [...draftOrderData.tags, redemptionTag];
+    }
 
-    const draftOrder = await createDraftOrderWithRetry(apiUrl, draftOrderData);
+    // Create the draft order - it either returns one or throws, giving the points back
+    // first when it was certainly not created
+    logger.debug('Draft order data', { draft_order: draftOrderData });
 
-    if (!draftOrder) {
-      return res.status(500).json({
-        error: 'Failed to create draft order after retries'
-      });
+    let draftOrder;
+    try {
+      draftOrder = await createDraftOrder(draftOrderData);
+    } catch (error) {
+      if (!deduction) {
+        throw error;
+      }
+      const created = await createdDraftOrder(error, redemptionTag);
+      if (created === false) {
+        await rollbackRedemption(customer_id, redemption, deduction);
+      } else if (created === null) {
+        // Points are spent and the draft may exist - needs a manual check (api/admin/points)
+        logger.error('Draft order outcome unknown, points kept', { customer_id, points: redemption.points, tag: redemptionTag });
+      }
+      if (!created) {
+        throw error;
+      }
+      logger.warn('Draft order was created despite the error', { draft_order_id: created.id, error });
+      draftOrder = created;
+    }
+
+    if (redemption) {
+      try {
+        await recordDraftRedemption(draftOrder.id, customer_id, redemption, deduction);
+      } catch (error) {
+        // The points stay spent - only deleting the draft would not give them back
+        logger.error('Failed to record redemption on draft order', { draft_order_id: draftOrder.id, error });
+      }
+
+      try {
+        await addRewardHistory(customer_id, {
+          date: new Date().toISOString(),
+          type: 'redeem',
+          action: 'Đổi điểm',
+          points_used: redemption.points,
+          points: -redemption.points,
+          balance_after: deduction.balance,
+          draft_order_id: draftOrder.id,
+          reward_id: redemption.reward ? redemption.reward.id : undefined,
+          amount: redemption.amount,
+          currency
+        });
+      } catch (error) {
+        logger.error('Failed to save reward history', { error });
+      }
+    }
+
+    // Email the invoice - the draft order stands even when this fails
+    let invoice = null;
+    if (invoiceOptions.invoice) {
+      try {
+        await sendDraftOrderInvoice(draftOrder.id, invoiceOptions.invoice);
+        invoice = { sent: true, to: invoiceOptions.invoice.to || customer?.email || customer_email || null };
+      } catch (error) {
+        logger.error('Failed to send invoice for draft order', { draft_order_id: draftOrder.id, error });
+        invoice = { sent: false, error: error.message };
+      }
     }
 
     // Return invoice URL directly
     return res.status(200).json({
       success: true,
       invoice_url: draftOrder.invoice_url,
+      invoice,
       draft_order_id: draftOrder.id,
-      total_price: draftOrder.total_price
+      total_price: draftOrder.total_price,
+      currency: draftOrder.currency,
+      presentment_currency: draftOrder.presentment_currency,
+      presentment_total_price: draftOrder.presentment_total_price,
+      tier: tier ? { name: tier.name, discount_percent: tier.discount_percent } : null,
+      line_discounts: lines.map(line => ({
+        index: line.index,
+        variant_id: line.variant_id,
+        discount_percent: line.discount_percent,
+        rules: line.rules
+      })),
+      redemption: redemption ? {
+        points_used: redemption.points,
+        discount_amount: redemption.amount,
+        reward_id: redemption.reward ? redemption.reward.id : null,
+        capped: redemption.capped,
+        remaining_points: deduction.balance
+      } : null,
+      adjusted_items: adjustedItems,
+      stale_items: staleItems
     });
 
   } catch (error) {
-    console.error('Error:', error);
+    if (error instanceof UpstreamError) {
+      return sendUpstreamError(res, error);
+    }
+    if (error instanceof PricingError || error instanceof RedemptionError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    logger.error('Create draft order error', { error });
     return res.status(500).json({ error: 'Internal server error', message: error.message });
   }
-};
+});
+
+// Signed calls are checked against the raw body (readRawBody in lib/auth.js)
+module.exports.config = { api: { bodyParser: false } };
 
 /**
- * Create draft order with retry logic for rate limiting
+ * After a failed create: the draft order when it was created anyway, false when it
+ * certainly was not, null when that cannot be told (the lookup failed too)
  */
-async function createDraftOrderWithRetry(apiUrl, draftOrderData, retryCount = 0) {
+async function createdDraftOrder(error, tag) {
+  if (error instanceof ShopifyUserError || isUnapplied(error)) {
+    return false;
+  }
   try {
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN
-      },
-      body: JSON.stringify({ draft_order: draftOrderData })
-    });
-
-    console.log('Shopify API response status:', response.status);
-
-    // Handle rate limiting (429)
-    if (response.status === 429) {
-      if (retryCount < MAX_RETRIES) {
-        const retryAfter = response.headers.get('Retry-After');
-        const delay = retryAfter ? parseInt(retryAfter) * 1000 : INITIAL_RETRY_DELAY * Math.pow(2, retryCount);
-
-        console.log(`Rate limited. Retrying after ${delay}ms (attempt ${retryCount + 1}/${MAX_RETRIES})`);
-
-        await sleep(delay);
-        return createDraftOrderWithRetry(apiUrl, draftOrderData, retryCount + 1);
-      } else {
-        console.error('Max retries reached for rate limiting');
-        throw new Error('Shopify API rate limit exceeded. Please try again later.');
-      }
-    }
-
-    // Handle other errors
-    if (!response.ok) {
-      const error = await response.text();
-      console.error('Shopify API error:', {
-        status: response.status,
-        statusText: response.statusText,
-        body: error
-      });
-
-      // Retry on server errors (5xx)
-      if (response.status >= 500 && retryCount < MAX_RETRIES) {
-        const delay = INITIAL_RETRY_DELAY * Math.pow(2, retryCount);
-        console.log(`Server error. Retrying after ${delay}ms (attempt ${retryCount + 1}/${MAX_RETRIES})`);
-
-        await sleep(delay);
-        return createDraftOrderWithRetry(apiUrl, draftOrderData, retryCount + 1);
-      }
-
-      throw new Error(`Shopify API error: ${response.status} - ${error}`);
-    }
-
-    const data = await response.json();
-    console.log('Draft order created:', data.draft_order.id);
-
-    return data.draft_order;
-
-  } catch (error) {
-    if (retryCount < MAX_RETRIES && error.message.includes('fetch')) {
-      const delay = INITIAL_RETRY_DELAY * Math.pow(2, retryCount);
-      console.log(`Network error. Retrying after ${delay}ms (attempt ${retryCount + 1}/${MAX_RETRIES})`);
-
-      await sleep(delay);
-      return createDraftOrderWithRetry(apiUrl, draftOrderData, retryCount + 1);
-    }
-
-    throw error;
+    return (await findDraftOrderByTag(tag)) || false;
+  } catch (lookupError) {
+    logger.error('Failed to look up draft order after create error', { tag, error: lookupError });
+    return null;
   }
 }
 
 /**
- * Sleep utility for retry delays
- */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-/**
- * Calculate discount amount
+ * Give back redeemed points after the draft order could not be created
  */
-function calculateDiscountAmount(price, quantity, percent) {
-  const totalPrice = price * quantity;
-  const discountAmount = (totalPrice * percent / 100).toFixed(2);
-  return discountAmount;
+async function rollbackRedemption(customerId, redemption, deduction) {
+  try {
+    await restorePoints(customerId, redemption.points, deduction.consumed);
+    logger.info('Restored points after draft order failure', { customer_id: customerId, points: redemption.points });
+  } catch (error) {
+    // Points are gone without a draft order - needs a manual adjustment (api/admin/points)
+    logger.error('Failed to restore points after draft order failure', { customer_id: customerId, points: redemption.points, error });
+  }
 }
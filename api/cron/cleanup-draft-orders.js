@@ -0,0 +1,128 @@
+/**
+ * Scheduled draft order cleanup (Vercel Cron, see vercel.json)
+ * Deletes tier-pricing draft orders that were never completed and have not been
+ * updated for DRAFT_ORDER_MAX_AGE_DAYS, giving back any points redeemed on them
+ *
+ * GET /api/cron/cleanup-draft-orders
+ *
+ * Resumes from the shop metafield rewards.draft_cleanup_cursor when the previous
+ * run ran out of DRAFT_CLEANUP_TIME_BUDGET_MS. The cursor keeps the cutoff date the
+ * sweep started with, so a resumed run pages through the same result set.
+ */
+
+const { logger, withRequestLogging } = require('../../lib/logger');
+const { verifyCronRequest } = require('../../lib/auth');
+const { runResumableJob } = require('../../lib/batch-job');
+const { listOpenDraftOrders, discardDraftOrder } = require('../../lib/draft-orders');
+
+const SHOPIFY_SHOP = process.env.SHOPIFY_SHOP;
+const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
+
+// 0 disables the cleanup
+const DRAFT_ORDER_MAX_AGE_DAYS = process.env.DRAFT_ORDER_MAX_AGE_DAYS !== undefined
+  ? parseInt(process.env.DRAFT_ORDER_MAX_AGE_DAYS) || 0
+  : 30;
+const DRAFT_CLEANUP_TIME_BUDGET_MS = parseInt(process.env.DRAFT_CLEANUP_TIME_BUDGET_MS) || 50 * 1000;
+const PAGE_SIZE = 50;
+
+module.exports = withRequestLogging('cron/cleanup-draft-orders', async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!SHOPIFY_SHOP || !SHOPIFY_ACCESS_TOKEN) {
+    return res.status(500).json({
+      error: 'Server configuration error',
+      message: 'Missing environment variables'
+    });
+  }
+
+  if (!(await verifyCronRequest(req))) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (!DRAFT_ORDER_MAX_AGE_DAYS) {
+    return res.status(200).json({ success: true, skipped: 'cleanup_disabled' });
+  }
+
+  const summary = { drafts_deleted: 0, points_restored: 0, failed: 0 };
+  // Drafts that failed this run stay in the result set - tried once per run
+  const attempted = new Set();
+
+  try {
+    const { finished } = await runResumableJob({
+      cursorKey: 'draft_cleanup_cursor',
+      budgetMs: DRAFT_CLEANUP_TIME_BUDGET_MS,
+      fetchPage: async cursor => {
+        const position = parseCursor(cursor);
+        const page = await listOpenDraftOrders({
+          updatedBefore: new Date(position.updated_before),
+          first: PAGE_SIZE,
+          after: position.after
+        });
+        const items = page.draftOrders.filter(draftOrder => !attempted.has(draftOrder.id));
+        return { items, position, endCursor: page.nextCursor, failedBefore: summary.failed };
+      },
+      processItem: draftOrder => {
+        attempted.add(draftOrder.id);
+        return cleanupDraftOrder(draftOrder, summary);
+      },
+      // Deleted drafts leave the result set and the drafts after them move up, so a
+      // page that removed any is read again from the same position
+      nextCursor: page => {
+        if (page.items.length > summary.failed - page.failedBefore) {
+          return JSON.stringify(page.position);
+        }
+        return page.endCursor ? JSON.stringify({ ...page.position, after: page.endCursor }) : null;
+      }
+    });
+
+    logger.info('Draft order cleanup run', { ...summary, finished });
+
+    return res.status(200).json({ success: true, finished, max_age_days: DRAFT_ORDER_MAX_AGE_DAYS, ...summary });
+
+  } catch (error) {
+    logger.error('Draft order cleanup error', { error });
+    return res.status(500).json({ error: 'Internal server error', message: error.message, ...summary });
+  }
+});
+
+// Signed calls are checked against the raw body (readRawBody in lib/auth.js)
+module.exports.config = { api: { bodyParser: false } };
+
+/**
+ * Where to resume: { updated_before, after } from the saved cursor, or a new sweep
+ * from the first page with today's cutoff
+ */
+function parseCursor(cursor) {
+  try {
+    const position = JSON.parse(cursor);
+    if (position && position.updated_before) {
+      return position;
+    }
+  } catch (e) {
+    // No cursor, or one saved before the cutoff was kept with it
+  }
+  return {
+    updated_before: new Date(Date.now() - DRAFT_ORDER_MAX_AGE_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    after: null
+  };
+}
+
+/**
+ * Delete one stale draft; a failure is counted and the run goes on
+ */
+async function cleanupDraftOrder(draftOrder, summary) {
+  try {
+    const result = await discardDraftOrder(draftOrder.id, {
+      reason: `Draft order ${draftOrder.name} expired after ${DRAFT_ORDER_MAX_AGE_DAYS} days`
+    });
+    if (result.deleted) {
+      summary.drafts_deleted++;
+    }
+    summary.points_restored += result.points_restored;
+  } catch (error) {
+    logger.error('Failed to delete draft order', { draft_order_id: draftOrder.id, error });
+    summary.failed++;
+  }
+}
@@ -0,0 +1,140 @@
+/**
+ * Scheduled points expiry (Vercel Cron, see vercel.json)
+ * Removes point lots older than POINTS_LIFETIME_DAYS and writes an "expired" history entry
+ *
+ * GET /api/cron/expire-points
+ *
+ * A balance whose lots are missing or do not add up (from before lots existed) gets its
+ * reconciled lots saved on the first run, so the "legacy" lot is dated from then and
+ * expires like any other instead of being re-dated on every read.
+ *
+ * Customers are processed page by page until EXPIRY_TIME_BUDGET_MS runs out; the
+ * cursor is then saved in the shop metafield rewards.expiry_cursor and the next
+ * run picks up from there.
+ */
+
+const { logger, withRequestLogging } = require('../../lib/logger');
+const { verifyCronRequest } = require('../../lib/auth');
+const { runResumableJob } = require('../../lib/batch-job');
+const {
+  StaleBalanceError,
+  writeRecords,
+  balanceWrites,
+  listCustomerBalances,
+  addRewardHistory
+} = require('../../lib/rewards');
+const { POINTS_LIFETIME_DAYS, expireLots } = require('../../lib/point-lots');
+
+const SHOPIFY_SHOP = process.env.SHOPIFY_SHOP;
+const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
+
+const EXPIRY_TIME_BUDGET_MS = parseInt(process.env.EXPIRY_TIME_BUDGET_MS) || 50 * 1000;
+const PAGE_SIZE = 50;
+
+module.exports = withRequestLogging('cron/expire-points', async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!SHOPIFY_SHOP || !SHOPIFY_ACCESS_TOKEN) {
+    return res.status(500).json({
+      error: 'Server configuration error',
+      message: 'Missing environment variables'
+    });
+  }
+
+  if (!(await verifyCronRequest(req))) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (!POINTS_LIFETIME_DAYS) {
+    return res.status(200).json({ success: true, skipped: 'expiry_disabled' });
+  }
+
+  const summary = { customers_checked: 0, customers_expired: 0, points_expired: 0, lots_saved: 0, conflicts: 0 };
+
+  try {
+    const { finished } = await runResumableJob({
+      cursorKey: 'expiry_cursor',
+      budgetMs: EXPIRY_TIME_BUDGET_MS,
+      fetchPage: async cursor => {
+        const page = await listCustomerBalances({ first: PAGE_SIZE, after: cursor });
+        return { items: page.customers, nextCursor: page.nextCursor };
+      },
+      processItem: customer => expireCustomerPoints(customer, summary)
+    });
+
+    logger.info('Points expiry run', { ...summary, finished });
+
+    return res.status(200).json({ success: true, finished, ...summary });
+
+  } catch (error) {
+    logger.error('Points expiry error', { error });
+    return res.status(500).json({ error: 'Internal server error', message: error.message, ...summary });
+  }
+});
+
+// Signed calls are checked against the raw body (readRawBody in lib/auth.js)
+module.exports.config = { api: { bodyParser: false } };
+
+/**
+ * Expire the lots of one customer that are past their lifetime, and save lots that
+ * were only reconciled on read
+ */
+async function expireCustomerPoints(customer, summary) {
+  summary.customers_checked++;
+  const expiry = expireLots(customer.lots, new Date());
+  if (expiry.expiredPoints <= 0) {
+    if (customer.lotsReconciled) {
+      await saveReconciledLots(customer, summary);
+    }
+    return;
+  }
+
+  const newBalance = customer.points - expiry.expiredPoints;
+
+  try {
+    await writeRecords(balanceWrites(customer.id, customer, newBalance, expiry.lots));
+  } catch (error) {
+    if (error instanceof StaleBalanceError) {
+      // Balance changed while we were reading - the next run will pick it up
+      summary.conflicts++;
+      return;
+    }
+    throw error;
+  }
+
+  summary.customers_expired++;
+  summary.points_expired += expiry.expiredPoints;
+
+  try {
+    await addRewardHistory(customer.id, {
+      date: new Date().toISOString(),
+      type: 'expire',
+      action: 'Hết hạn điểm',
+      points_expired: expiry.expiredPoints,
+      points: -expiry.expiredPoints,
+      balance_after: newBalance,
+      earned_at: expiry.expired.map(lot => lot.earned_at)
+    });
+  } catch (error) {
+    logger.error('Failed to save reward history', { error });
+  }
+}
+
+/**
+ * Save the lots reconcileLots made up for a balance, so the legacy lot keeps its date
+ */
+async function saveReconciledLots(customer, summary) {
+  try {
+    await writeRecords(balanceWrites(customer.id, customer, customer.points, customer.lots));
+  } catch (error) {
+    if (error instanceof StaleBalanceError) {
+      // The concurrent write saved lots of its own
+      summary.conflicts++;
+      return;
+    }
+    throw error;
+  }
+  summary.lots_saved++;
+}
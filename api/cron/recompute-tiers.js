@@ -0,0 +1,85 @@
+/**
+ * Nightly tier recompute (Vercel Cron, see vercel.json)
+ * Re-qualifies every customer, so tiers also drop when older orders leave the
+ * rolling 12-month window
+ *
+ * GET /api/cron/recompute-tiers
+ *
+ * Resumes from the shop metafield rewards.tier_cursor when the previous run ran
+ * out of TIER_RECOMPUTE_TIME_BUDGET_MS.
+ */
+
+const { logger, withRequestLogging } = require('../../lib/logger');
+const { verifyCronRequest } = require('../../lib/auth');
+const { runResumableJob } = require('../../lib/batch-job');
+const { applyCustomerTier, listCustomerIds } = require('../../lib/tier-qualification');
+
+const SHOPIFY_SHOP = process.env.SHOPIFY_SHOP;
+const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
+
+const TIER_RECOMPUTE_TIME_BUDGET_MS = parseInt(process.env.TIER_RECOMPUTE_TIME_BUDGET_MS) || 50 * 1000;
+const PAGE_SIZE = 50;
+
+module.exports = withRequestLogging('cron/recompute-tiers', async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!SHOPIFY_SHOP || !SHOPIFY_ACCESS_TOKEN) {
+    return res.status(500).json({
+      error: 'Server configuration error',
+      message: 'Missing environment variables'
+    });
+  }
+
+  if (!(await verifyCronRequest(req))) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const summary = { customers_checked: 0, upgraded: 0, downgraded: 0, failed: 0 };
+
+  try {
+    const { finished } = await runResumableJob({
+      cursorKey: 'tier_cursor',
+      budgetMs: TIER_RECOMPUTE_TIME_BUDGET_MS,
+      fetchPage: async cursor => {
+        const page = await listCustomerIds({ first: PAGE_SIZE, after: cursor });
+        return { items: page.customerIds, nextCursor: page.nextCursor };
+      },
+      processItem: customerId => recomputeCustomerTier(customerId, summary)
+    });
+
+    logger.info('Tier recompute run', { ...summary, finished });
+
+    return res.status(200).json({ success: true, finished, ...summary });
+
+  } catch (error) {
+    logger.error('Tier recompute error', { error });
+    return res.status(500).json({ error: 'Internal server error', message: error.message, ...summary });
+  }
+});
+
+// Signed calls are checked against the raw body (readRawBody in lib/auth.js)
+module.exports.config = { api: { bodyParser: false } };
+
+/**
+ * Re-qualify one customer; a failure is counted and the run goes on
+ */
+async function recomputeCustomerTier(customerId, summary) {
+  summary.customers_checked++;
+
+  let result;
+  try {
+    result = await applyCustomerTier(customerId);
+  } catch (error) {
+    logger.error('Failed to recompute tier', { customer_id: customerId, error });
+    summary.failed++;
+    return;
+  }
+
+  if (result?.direction === 'upgrade') {
+    summary.upgraded++;
+  } else if (result?.direction === 'downgrade') {
+    summary.downgraded++;
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * Complete a draft order
+ * Turns a draft order into an order - marked paid, or payment pending for
+ * customers on net terms who pay later
+ *
+ * POST /api/draft-orders/complete
+ * Body: { draft_order_id, payment_pending }
+ *
+ * Auth: Authorization: Bearer <ADMIN_API_TOKEN>, or a signed server call
+ */
+
+const { logger, withRequestLogging } = require('../../lib/logger');
+const { verifyAdminRequest, readJsonBody } = require('../../lib/auth');
+const { UpstreamError, sendUpstreamError } = require('../../lib/http');
+const { ShopifyUserError } = require('../../lib/shopify');
+const { getDraftOrder, completeDraftOrder } = require('../../lib/draft-orders');
+
+const SHOPIFY_SHOP = process.env.SHOPIFY_SHOP;
+const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
+
+module.exports = withRequestLogging('draft-orders/complete', async (req, res) => {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!SHOPIFY_SHOP || !SHOPIFY_ACCESS_TOKEN) {
+    return res.status(500).json({
+      error: 'Server configuration error',
+      message: 'Missing environment variables'
+    });
+  }
+
+  if (!(await verifyAdminRequest(req))) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const { draft_order_id, payment_pending = false } = (await readJsonBody(req)) || {};
+
+    const draftOrderId = draft_order_id ? draft_order_id.toString().replace(/\D/g, '') : null;
+    if (!draftOrderId) {
+      return res.status(400).json({ error: 'draft_order_id is required' });
+    }
+    if (typeof payment_pending !== 'boolean') {
+      return res.status(400).json({ error: 'payment_pending must be a boolean' });
+    }
+
+    const draftOrder = await getDraftOrder(draftOrderId);
+    if (!draftOrder) {
+      return res.status(404).json({ error: 'Draft order not found' });
+    }
+    if (draftOrder.status === 'completed') {
+      return res.status(409).json({
+        error: 'Draft order is already completed',
+        order_id: draftOrder.order_id
+      });
+    }
+
+    const completed = await completeDraftOrder(draftOrderId, { paymentPending: payment_pending });
+
+    logger.info('Draft order completed', { draft_order_id: draftOrderId, order_id: completed.order_id, payment_pending: !!payment_pending });
+
+    return res.status(200).json({
+      success: true,
+      draft_order_id: completed.id,
+      order_id: completed.order_id,
+      status: completed.status,
+      payment_pending
+    });
+
+  } catch (error) {
+    if (error instanceof UpstreamError) {
+      return sendUpstreamError(res, error);
+    }
+    if (error instanceof ShopifyUserError) {
+      return res.status(422).json({ error: 'Draft order cannot be completed', message: error.message });
+    }
+    logger.error('Complete draft order error', { error });
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Signed calls are checked against the raw body (readRawBody in lib/auth.js)
+module.exports.config = { api: { bodyParser: false } };
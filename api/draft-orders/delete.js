@@ -0,0 +1,94 @@
+/**
+ * Delete an open draft order
+ * Points redeemed on it (redeem_points / reward_id) go back to the customer
+ *
+ * POST /api/draft-orders/delete
+ * Body: { draft_order_id, customer_id? }
+ */
+
+const { logger, withRequestLogging } = require('../../lib/logger');
+const { limitByIp, limitByCustomer } = require('../../lib/rate-limit');
+const { authenticateRequest, bindCustomer, readJsonBody } = require('../../lib/auth');
+const { UpstreamError, sendUpstreamError } = require('../../lib/http');
+const { getManagedDraftOrder, discardDraftOrder } = require('../../lib/draft-orders');
+
+const SHOPIFY_SHOP = process.env.SHOPIFY_SHOP;
+const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
+
+module.exports = withRequestLogging('draft-orders/delete', async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!SHOPIFY_SHOP || !SHOPIFY_ACCESS_TOKEN) {
+    return res.status(500).json({
+      error: 'Server configuration error',
+      message: 'Missing environment variables'
+    });
+  }
+
+  try {
+    if (await limitByIp(req, res, 'draft-orders/delete')) {
+      return;
+    }
+
+    await readJsonBody(req);
+    const auth = await authenticateRequest(req);
+    if (!auth.ok) {
+      return res.status(401).json({ error: 'Unauthorized', message: auth.reason });
+    }
+
+    const binding = bindCustomer(auth, req.body?.customer_id);
+    if (binding.error) {
+      return res.status(401).json({ error: 'Unauthorized', message: binding.error });
+    }
+    if (await limitByCustomer(req, res, 'draft-orders/delete', binding.customerId)) {
+      return;
+    }
+    if (auth.method === 'app_proxy' && !binding.customerId) {
+      return res.status(401).json({ error: 'Unauthorized', message: 'Customer login required' });
+    }
+
+    const { draft_order_id } = req.body || {};
+    const draftOrderId = draft_order_id ? draft_order_id.toString().replace(/\D/g, '') : null;
+    if (!draftOrderId) {
+      return res.status(400).json({ error: 'draft_order_id is required' });
+    }
+
+    const draftOrder = await getManagedDraftOrder(draftOrderId, binding.customerId);
+    if (!draftOrder) {
+      return res.status(404).json({ error: 'Draft order not found' });
+    }
+    if (draftOrder.status === 'completed') {
+      return res.status(409).json({ error: 'Draft order is already completed', order_id: draftOrder.order_id });
+    }
+
+    const result = await discardDraftOrder(draftOrderId, { reason: `Draft order ${draftOrder.name} deleted` });
+
+    logger.info('Draft order deleted', { draft_order_id: draftOrderId });
+
+    return res.status(200).json({
+      success: true,
+      draft_order_id: draftOrderId,
+      points_restored: result.points_restored
+    });
+
+  } catch (error) {
+    if (error instanceof UpstreamError) {
+      return sendUpstreamError(res, error);
+    }
+    logger.error('Delete draft order error', { error });
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Signed calls are checked against the raw body (readRawBody in lib/auth.js)
+module.exports.config = { api: { bodyParser: false } };
@@ -0,0 +1,84 @@
+/**
+ * List a customer's open draft orders
+ * Tier-pricing drafts that were not completed yet, most recently updated first
+ *
+ * GET /api/draft-orders/list?customer_id=123&cursor=...
+ * (App Proxy: the logged-in customer)
+ */
+
+const { logger, withRequestLogging } = require('../../lib/logger');
+const { limitByIp, limitByCustomer } = require('../../lib/rate-limit');
+const { authenticateRequest, bindCustomer } = require('../../lib/auth');
+const { UpstreamError, sendUpstreamError } = require('../../lib/http');
+const { listOpenDraftOrders } = require('../../lib/draft-orders');
+
+const SHOPIFY_SHOP = process.env.SHOPIFY_SHOP;
+const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
+
+const PAGE_SIZE = 20;
+
+module.exports = withRequestLogging('draft-orders/list', async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!SHOPIFY_SHOP || !SHOPIFY_ACCESS_TOKEN) {
+    return res.status(500).json({
+      error: 'Server configuration error',
+      message: 'Missing environment variables'
+    });
+  }
+
+  try {
+    if (await limitByIp(req, res, 'draft-orders/list')) {
+      return;
+    }
+
+    const auth = await authenticateRequest(req);
+    if (!auth.ok) {
+      return res.status(401).json({ error: 'Unauthorized', message: auth.reason });
+    }
+
+    const binding = bindCustomer(auth, req.query.customer_id);
+    if (binding.error) {
+      return res.status(401).json({ error: 'Unauthorized', message: binding.error });
+    }
+    if (await limitByCustomer(req, res, 'draft-orders/list', binding.customerId)) {
+      return;
+    }
+    if (!binding.customerId) {
+      if (auth.method === 'app_proxy') {
+        return res.status(401).json({ error: 'Unauthorized', message: 'Customer login required' });
+      }
+      return res.status(400).json({ error: 'customer_id is required' });
+    }
+
+    const page = await listOpenDraftOrders({
+      customerId: binding.customerId,
+      first: PAGE_SIZE,
+      after: req.query.cursor ? req.query.cursor.toString() : null
+    });
+
+    return res.status(200).json({
+      success: true,
+      customer_id: binding.customerId,
+      draft_orders: page.draftOrders,
+      next_cursor: page.nextCursor
+    });
+
+  } catch (error) {
+    if (error instanceof UpstreamError) {
+      return sendUpstreamError(res, error);
+    }
+    logger.error('List draft orders error', { error });
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
@@ -0,0 +1,130 @@
+/**
+ * Update the items of an open draft order
+ * Replaces the line items and prices them again with the customer's current tier
+ * and pricing rules (lib/pricing.js), like create-draft-order
+ *
+ * POST /api/draft-orders/update
+ * Body: { draft_order_id, items, customer_id? }
+ *
+ * An order-level reward discount (redeem_points / reward_id) is planned again for the
+ * new items: the redeemed points cannot change, so a cart that can no longer take the
+ * whole discount within the cap (lib/points-redemption.js) is rejected with 409.
+ */
+
+const { logger, withRequestLogging } = require('../../lib/logger');
+const { limitByIp, limitByCustomer } = require('../../lib/rate-limit');
+const { authenticateRequest, bindCustomer, readJsonBody } = require('../../lib/auth');
+const { UpstreamError, sendUpstreamError } = require('../../lib/http');
+const { PricingError, priceCart } = require('../../lib/pricing');
+const { RedemptionError, replanDraftRedemption, redemptionDiscount } = require('../../lib/points-redemption');
+const { getDraftRedemption } = require('../../lib/rewards');
+const { getManagedDraftOrder, updateDraftOrder, draftLineItems } = require('../../lib/draft-orders');
+
+const SHOPIFY_SHOP = process.env.SHOPIFY_SHOP;
+const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
+
+module.exports = withRequestLogging('draft-orders/update', async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!SHOPIFY_SHOP || !SHOPIFY_ACCESS_TOKEN) {
+    return res.status(500).json({
+      error: 'Server configuration error',
+      message: 'Missing environment variables'
+    });
+  }
+
+  try {
+    if (await limitByIp(req, res, 'draft-orders/update')) {
+      return;
+    }
+
+    await readJsonBody(req);
+    const auth = await authenticateRequest(req);
+    if (!auth.ok) {
+      return res.status(401).json({ error: 'Unauthorized', message: auth.reason });
+    }
+
+    const binding = bindCustomer(auth, req.body?.customer_id);
+    if (binding.error) {
+      return res.status(401).json({ error: 'Unauthorized', message: binding.error });
+    }
+    if (await limitByCustomer(req, res, 'draft-orders/update', binding.customerId)) {
+      return;
+    }
+    if (auth.method === 'app_proxy' && !binding.customerId) {
+      return res.status(401).json({ error: 'Unauthorized', message: 'Customer login required' });
+    }
+
+    const { draft_order_id, items } = req.body || {};
+    const draftOrderId = draft_order_id ? draft_order_id.toString().replace(/\D/g, '') : null;
+    if (!draftOrderId) {
+      return res.status(400).json({ error: 'draft_order_id is required' });
+    }
+
+    const draftOrder = await getManagedDraftOrder(draftOrderId, binding.customerId);
+    if (!draftOrder) {
+      return res.status(404).json({ error: 'Draft order not found' });
+    }
+    if (draftOrder.status === 'completed') {
+      return res.status(409).json({ error: 'Draft order is already completed', order_id: draftOrder.order_id });
+    }
+
+    // Price for the draft's own customer
+    const customerId = draftOrder.customer ? draftOrder.customer.id.toString() : null;
+    const { tier, currency, lines, totals, staleItems, adjustedItems } = await priceCart({ customerId, items });
+
+    const input = {
+      lineItems: draftLineItems(lines, { currency, presentmentCurrency: draftOrder.presentment_currency })
+    };
+
+    // The reward discount was sized for the old cart
+    const { redemption: record } = await getDraftRedemption(draftOrderId);
+    if (record && !record.released_at) {
+      input.appliedDiscount = redemptionDiscount(await replanDraftRedemption(record, { tier, totals }));
+    }
+
+    const updated = await updateDraftOrder(draftOrderId, input);
+
+    logger.info('Draft order updated', { draft_order_id: draftOrderId, lines: lines.length, tier: tier?.name || null });
+
+    return res.status(200).json({
+      success: true,
+      draft_order_id: updated.id,
+      invoice_url: updated.invoice_url,
+      total_price: updated.total_price,
+      tier: tier ? { name: tier.name, discount_percent: tier.discount_percent } : null,
+      line_discounts: lines.map(line => ({
+        index: line.index,
+        variant_id: line.variant_id,
+        discount_percent: line.discount_percent,
+        rules: line.rules
+      })),
+      totals,
+      adjusted_items: adjustedItems,
+      stale_items: staleItems
+    });
+
+  } catch (error) {
+    if (error instanceof UpstreamError) {
+      return sendUpstreamError(res, error);
+    }
+    if (error instanceof PricingError || error instanceof RedemptionError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    logger.error('Update draft order error', { error });
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Signed calls are checked against the raw body (readRawBody in lib/auth.js)
+module.exports.config = { api: { bodyParser: false } };
@@ -2,7 +2,9 @@
  * Simple health check endpoint
  */
 
-module.exports = async (req, res) => {
+const { withRequestLogging } = require('../lib/logger');
+
+module.exports = withRequestLogging('health', async (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
   
   const SHOPIFY_SHOP = process.env.SHOPIFY_SHOP;
@@ -18,4 +20,4 @@ module.exports = async (req, res) => {
       tokenLength: SHOPIFY_ACCESS_TOKEN ? SHOPIFY_ACCESS_TOKEN.length : 0
     }
   });
-};
+});
@@ -0,0 +1,136 @@
+/**
+ * Cart pricing preview
+ * Prices a cart exactly as create-draft-order would, without creating anything in Shopify,
+ * so the cart page can show what the invoice will charge
+ *
+ * POST /api/pricing/quote
+ * Body: the same { customer_id, items, redeem_points?, reward_id? } payload as /api/create-draft-order
+ *
+ * A points redemption is only previewed - nothing is deducted.
+ */
+
+const { logger, withRequestLogging } = require('../../lib/logger');
+const { limitByIp, limitByCustomer } = require('../../lib/rate-limit');
+const { authenticateRequest, bindCustomer, readJsonBody } = require('../../lib/auth');
+const { UpstreamError, sendUpstreamError } = require('../../lib/http');
+const { PricingError, priceCart } = require('../../lib/pricing');
+const { RedemptionError, planRedemption } = require('../../lib/points-redemption');
+const { getPointsState } = require('../../lib/rewards');
+const { toMinor, fromMinor } = require('../../lib/money');
+
+const SHOPIFY_SHOP = process.env.SHOPIFY_SHOP;
+const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
+
+module.exports = withRequestLogging('pricing/quote', async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!SHOPIFY_SHOP || !SHOPIFY_ACCESS_TOKEN) {
+    return res.status(500).json({
+      error: 'Server configuration error',
+      message: 'Missing environment variables'
+    });
+  }
+
+  try {
+    if (await limitByIp(req, res, 'pricing/quote')) {
+      return;
+    }
+
+    await readJsonBody(req);
+    const auth = await authenticateRequest(req);
+    if (!auth.ok) {
+      return res.status(401).json({ error: 'Unauthorized', message: auth.reason });
+    }
+
+    const binding = bindCustomer(auth, req.body?.customer_id);
+    if (binding.error) {
+      return res.status(401).json({ error: 'Unauthorized', message: binding.error });
+    }
+    if (await limitByCustomer(req, res, 'pricing/quote', binding.customerId)) {
+      return;
+    }
+
+    const { redeem_points, reward_id } = req.body || {};
+    const { tier, lines, totals, staleItems, adjustedItems } = await priceCart({
+      customerId: binding.customerId,
+      items: req.body?.items
+    });
+
+    let redemption = null;
+    if (redeem_points !== undefined || reward_id !== undefined) {
+      if (!binding.customerId) {
+        return res.status(400).json({ error: 'customer_id is required to redeem points' });
+      }
+      redemption = await planRedemption({ tier, totals, redeemPoints: redeem_points, rewardId: reward_id });
+
+      const state = await getPointsState(binding.customerId);
+      if (!state || state.points < redemption.points) {
+        return res.status(400).json({
+          error: 'Insufficient points',
+          current_points: state ? state.points : 0,
+          points_required: redemption.points
+        });
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      customer_id: binding.customerId,
+      tier: tier ? { name: tier.name, discount_percent: tier.discount_percent } : null,
+      lines: lines.map(line => ({
+        index: line.index,
+        variant_id: line.variant_id,
+        title: line.variant.title,
+        sku: line.variant.sku,
+        quantity: line.quantity,
+        original_price: line.original_price,
+        compare_at_price: line.variant.compare_at_price,
+        discount_percent: line.discount_percent,
+        discount_amount: line.discount_amount,
+        final_price: line.final_price,
+        line_total: line.line_total,
+        rule: line.discount_percent > 0 ? line.description : null,
+        rules: line.rules,
+        capped: line.capped
+      })),
+      totals: redemption
+        ? {
+          ...totals,
+          redemption_discount: redemption.amount,
+          total: fromMinor(toMinor(totals.total, totals.currency) - toMinor(redemption.amount, totals.currency), totals.currency)
+        }
+        : totals,
+      redemption: redemption ? {
+        points_used: redemption.points,
+        discount_amount: redemption.amount,
+        reward_id: redemption.reward ? redemption.reward.id : null,
+        capped: redemption.capped
+      } : null,
+      adjusted_items: adjustedItems,
+      stale_items: staleItems
+    });
+
+  } catch (error) {
+    if (error instanceof UpstreamError) {
+      return sendUpstreamError(res, error);
+    }
+    if (error instanceof PricingError || error instanceof RedemptionError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    logger.error('Pricing quote error', { error });
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Signed calls are checked against the raw body (readRawBody in lib/auth.js)
+module.exports.config = { api: { bodyParser: false } };
@@ -0,0 +1,112 @@
+/**
+ * Rewards Catalog API
+ * Danh sách phần thưởng có thể đổi bằng điểm
+ *
+ * GET /api/rewards/catalog
+ * GET /api/rewards/catalog?customer_id=123456 - kèm điểm hiện tại và điều kiện đổi của customer
+ * Qua App Proxy: customer lấy từ logged_in_customer_id
+ */
+
+const SHOPIFY_SHOP = process.env.SHOPIFY_SHOP;
+const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
+
+const { logger, withRequestLogging } = require('../../lib/logger');
+const { limitByIp, limitByCustomer } = require('../../lib/rate-limit');
+const { authenticateRequest, bindCustomer } = require('../../lib/auth');
+const { UpstreamError, sendUpstreamError } = require('../../lib/http');
+const { resolveCustomerTier } = require('../../lib/tiers');
+const { getPointsState } = require('../../lib/rewards');
+const { loadRewardCatalog, isRewardEligible } = require('../../lib/reward-catalog');
+
+module.exports = withRequestLogging('rewards/catalog', async (req, res) => {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (!SHOPIFY_SHOP || !SHOPIFY_ACCESS_TOKEN) {
+        return res.status(500).json({
+            error: 'Server configuration error',
+            message: 'Missing environment variables'
+        });
+    }
+
+    try {
+        // Giới hạn tần suất theo IP, trước cả bước xác thực
+        if (await limitByIp(req, res, 'rewards/catalog')) {
+            return;
+        }
+
+        // Xác thực request
+        const auth = await authenticateRequest(req);
+        if (!auth.ok) {
+            return res.status(401).json({ error: 'Unauthorized', message: auth.reason });
+        }
+
+        const binding = bindCustomer(auth, req.query.customer_id);
+        if (binding.error) {
+            return res.status(401).json({ error: 'Unauthorized', message: binding.error });
+        }
+        if (await limitByCustomer(req, res, 'rewards/catalog', binding.customerId)) {
+            return;
+        }
+
+        const customer_id = binding.customerId;
+        const catalog = await loadRewardCatalog();
+
+        const rewards = catalog.map(reward => ({
+            id: reward.id,
+            type: reward.type,
+            title: reward.title,
+            value: reward.value,
+            variant_id: reward.variant_id,
+            points_cost: reward.points_cost,
+            expiry_days: reward.expiry_days,
+            min_order_subtotal: reward.min_order_subtotal,
+            tiers: reward.tiers
+        }));
+
+        // Không có customer -> trả catalog chung
+        if (!customer_id) {
+            return res.status(200).json({ success: true, rewards });
+        }
+
+        const resolved = await resolveCustomerTier(customer_id);
+        if (!resolved) {
+            return res.status(404).json({ error: 'Customer not found' });
+        }
+
+        const state = await getPointsState(customer_id);
+        const points = state ? state.points : 0;
+
+        return res.status(200).json({
+            success: true,
+            customer_id: customer_id,
+            tier: resolved.tier ? resolved.tier.name : null,
+            points: points,
+            rewards: rewards.map((reward, i) => ({
+                ...reward,
+                eligible: isRewardEligible(catalog[i], resolved.tier),
+                affordable: points >= reward.points_cost
+            }))
+        });
+
+    } catch (error) {
+        if (error instanceof UpstreamError) {
+            return sendUpstreamError(res, error);
+        }
+        logger.error('Catalog error', { error });
+        return res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
@@ -3,28 +3,48 @@
  * Đổi điểm thưởng lấy mã giảm giá
  * 
  * POST /api/rewards/exchange
- * Body: { customer_id, discount_value }
+ * Body: { customer_id, reward_id }
+ *       (cũ: { customer_id, discount_value } - chọn voucher fixed_amount có cùng giá trị)
+ * Header (khuyến nghị): Idempotency-Key - gửi lại cùng key sẽ nhận lại kết quả cũ
  */
 
 const SHOPIFY_SHOP = process.env.SHOPIFY_SHOP;
 const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
-const API_VERSION = '2024-10';
 
-// Cấu hình đổi điểm (tỷ lệ 1:10 - 1000 điểm = 10.000 VND)
-const EXCHANGE_RATES = {
-    50000: 5000,   // 50.000 VND = 5.000 điểm
-    100000: 10000, // 100.000 VND = 10.000 điểm
-    200000: 20000, // 200.000 VND = 20.000 điểm
-    500000: 50000  // 500.000 VND = 50.000 điểm
-};
-
-const MIN_POINTS_REQUIRED = 5000;
-
-module.exports = async (req, res) => {
+const { logger, withRequestLogging } = require('../../lib/logger');
+const { limitByIp, limitByCustomer } = require('../../lib/rate-limit');
+const { authenticateRequest, bindCustomer, readJsonBody } = require('../../lib/auth');
+const { UpstreamError, isUnapplied, sendUpstreamError } = require('../../lib/http');
+const { resolveCustomerTier } = require('../../lib/tiers');
+const { getVariants } = require('../../lib/variants');
+const { ShopifyUserError, toNumericId, getShopCurrencies } = require('../../lib/shopify');
+const {
+    createBasicDiscountCode,
+    createFreeShippingDiscountCode,
+    deleteDiscountCode
+} = require('../../lib/discount-codes');
+const {
+    loadRewardCatalog,
+    findReward,
+    findRewardByValue,
+    isRewardEligible
+} = require('../../lib/reward-catalog');
+const {
+    StaleBalanceError,
+    getPointsState,
+    writeRecords,
+    balanceWrites,
+    findIdempotentResult,
+    idempotencyWrite,
+    addRewardHistory
+} = require('../../lib/rewards');
+const { consumeLots } = require('../../lib/point-lots');
+
+module.exports = withRequestLogging('rewards/exchange', async (req, res) => {
     // CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Idempotency-Key');
 
     if (req.method === 'OPTIONS') {
         return res.status(200).end();
@@ -42,28 +62,88 @@ module.exports = async (req, res) => {
     }
 
     try {
-        const { customer_id, discount_value } = req.body;
+        // Giới hạn tần suất theo IP, trước cả bước xác thực
+        if (await limitByIp(req, res, 'rewards/exchange')) {
+            return;
+        }
+
+        // Xác thực request và gắn với customer đang đăng nhập
+        await readJsonBody(req);
+        const auth = await authenticateRequest(req);
+        if (!auth.ok) {
+            return res.status(401).json({ error: 'Unauthorized', message: auth.reason });
+        }
+
+        // Body thiếu hoặc không phải JSON: trả 400 ở bước kiểm tra bên dưới
+        const body = req.body || {};
+        const binding = bindCustomer(auth, body.customer_id);
+        if (binding.error) {
+            return res.status(401).json({ error: 'Unauthorized', message: binding.error });
+        }
+        if (await limitByCustomer(req, res, 'rewards/exchange', binding.customerId)) {
+            return;
+        }
+
+        const customer_id = binding.customerId;
+        const { reward_id, discount_value } = body;
 
         if (!customer_id) {
+            if (auth.method === 'app_proxy') {
+                return res.status(401).json({ error: 'Unauthorized', message: 'Customer login required' });
+            }
             return res.status(400).json({ error: 'customer_id is required' });
         }
 
-        if (!discount_value || !EXCHANGE_RATES[discount_value]) {
+        // Chọn phần thưởng trong catalog
+        const catalog = await loadRewardCatalog();
+        let reward = null;
+        if (reward_id) {
+            reward = findReward(catalog, reward_id);
+        } else if (discount_value) {
+            reward = findRewardByValue(catalog, discount_value);
+        }
+
+        if (!reward) {
             return res.status(400).json({
-                error: 'Invalid discount_value',
-                valid_values: Object.keys(EXCHANGE_RATES).map(v => parseInt(v))
+                error: 'Invalid reward_id',
+                valid_reward_ids: catalog.map(r => r.id)
             });
         }
 
-        const pointsRequired = EXCHANGE_RATES[discount_value];
+        const pointsRequired = reward.points_cost;
+        const idempotencyKey = req.headers['idempotency-key'] ? req.headers['idempotency-key'].toString() : null;
 
-        // 1. Lấy thông tin customer và điểm hiện tại
-        const customer = await getCustomer(customer_id);
-        if (!customer) {
+        if (idempotencyKey && idempotencyKey.length > 255) {
+            return res.status(400).json({ error: 'Idempotency-Key must be at most 255 characters' });
+        }
+
+        // 1. Lấy thông tin customer, hạng và điểm hiện tại
+        const resolved = await resolveCustomerTier(customer_id);
+        if (!resolved) {
             return res.status(404).json({ error: 'Customer not found' });
         }
+        const { tier } = resolved;
+
+        if (!isRewardEligible(reward, tier)) {
+            return res.status(403).json({
+                error: 'Hạng thành viên không đủ điều kiện đổi phần thưởng này',
+                reward_id: reward.id,
+                eligible_tiers: reward.tiers,
+                tier: tier ? tier.name : null
+            });
+        }
+
+        const state = await getPointsState(customer_id);
+
+        // Request đã xử lý trước đó -> trả lại kết quả cũ
+        if (idempotencyKey) {
+            const replay = replayIdempotentResult(res, state, idempotencyKey, reward.id);
+            if (replay) {
+                return replay;
+            }
+        }
 
-        const currentPoints = await getCustomerPoints(customer_id);
+        const currentPoints = state.points;
 
         if (currentPoints < pointsRequired) {
             return res.status(400).json({
@@ -74,244 +154,243 @@ module.exports = async (req, res) => {
         }
 
         // 2. Tạo mã giảm giá
-        const discountCode = await createDiscountCode(discount_value, customer.email);
-        if (!discountCode) {
+        const discount = await createDiscountCode(reward, customer_id);
+        if (!discount) {
             return res.status(500).json({ error: 'Failed to create discount code' });
         }
 
-        // 3. Trừ điểm
         const newPoints = currentPoints - pointsRequired;
-        await updateCustomerPoints(customer_id, newPoints);
-
-        // 4. Lưu lịch sử
-        await addRewardHistory(customer_id, {
-            date: new Date().toISOString(),
-            action: 'Đổi điểm',
-            points_used: pointsRequired,
-            discount_code: discountCode,
-            amount_vnd: discount_value
-        });
-
-        console.log(`✅ Customer ${customer_id} exchanged ${pointsRequired} points for ${discountCode}`);
-
-        return res.status(200).json({
+        const result = {
             success: true,
-            discount_code: discountCode,
-            discount_value: discount_value,
+            discount_code: discount.code,
+            reward: {
+                id: reward.id,
+                type: reward.type,
+                title: reward.title,
+                value: reward.value
+            },
+            discount_value: reward.type === 'fixed_amount' ? reward.value : null,
+            expires_at: discount.restrictions.ends_at,
+            restrictions: discount.restrictions,
             points_used: pointsRequired,
             remaining_points: newPoints
-        });
+        };
+
+        // 3. Trừ điểm theo lô cũ nhất trước (FIFO, compare-and-set) và lưu kết quả idempotency trong cùng một lần ghi.
+        // Không có Idempotency-Key thì vẫn lưu theo mã giảm giá, để biết lần ghi đã áp dụng hay chưa khi mất phản hồi
+        const recordKey = idempotencyKey || `discount:${discount.code}`;
+        const writes = balanceWrites(customer_id, state, newPoints, consumeLots(state.lots, pointsRequired));
+        writes.push(idempotencyWrite(customer_id, state, recordKey, {
+            reward_id: reward.id,
+            response: result
+        }));
+
+        try {
+            await writeRecords(writes);
+        } catch (error) {
+            // Timeout hoặc mất phản hồi sau khi đã gửi: Shopify có thể đã ghi -> đọc lại rồi mới quyết định
+            const definite = error instanceof StaleBalanceError || error instanceof ShopifyUserError || isUnapplied(error);
+            const applied = definite ? false : await exchangeRecorded(customer_id, recordKey, discount.code);
+            if (applied === null) {
+                // Không biết điểm đã bị trừ chưa -> giữ mã giảm giá, cần kiểm tra tay
+                logger.error('Points write outcome unknown, keeping the discount code', {
+                    customer_id,
+                    points: pointsRequired,
+                    discount_code: discount.code,
+                    error
+                });
+                throw error;
+            }
+            if (!applied) {
+                // Trừ điểm thất bại -> xoá mã giảm giá vừa tạo
+                await removeDiscountCode(discount.discountId);
+
+                if (error instanceof StaleBalanceError) {
+                    // Request song song cùng Idempotency-Key có thể đã thành công
+                    if (idempotencyKey) {
+                        const latest = await getPointsState(customer_id);
+                        const replay = replayIdempotentResult(res, latest, idempotencyKey, reward.id);
+                        if (replay) {
+                            return replay;
+                        }
+                    }
+
+                    return res.status(409).json({
+                        error: 'Points balance changed, please retry',
+                        code: 'STALE_BALANCE'
+                    });
+                }
+
+                throw error;
+            }
+
+            // Lần ghi đã áp dụng, chỉ mất phản hồi -> tiếp tục như thành công
+            logger.warn('Points write failed after it was applied', { customer_id, discount_code: discount.code, error });
+        }
+
+        // 4. Lưu lịch sử (điểm đã trừ - lỗi ở đây không làm hỏng giao dịch)
+        try {
+            const { currency } = await getShopCurrencies();
+            await addRewardHistory(customer_id, {
+                date: new Date().toISOString(),
+                type: 'redeem',
+                action: 'Đổi điểm',
+                points_used: pointsRequired,
+                points: -pointsRequired,
+                balance_after: newPoints,
+                discount_code: discount.code,
+                reward_id: reward.id,
+                reward_type: reward.type,
+                // Giá trị voucher theo tiền tệ của shop (không phải số điểm)
+                amount: reward.type === 'fixed_amount' ? reward.value : undefined,
+                currency: reward.type === 'fixed_amount' ? currency : undefined
+            });
+        } catch (error) {
+            logger.error('Failed to save reward history', { error });
+        }
+
+        logger.info('Points exchanged', { customer_id, points: pointsRequired, reward_id: reward.id });
+
+        return res.status(200).json(result);
 
     } catch (error) {
-        console.error('❌ Exchange error:', error);
+        if (error instanceof UpstreamError) {
+            return sendUpstreamError(res, error);
+        }
+        logger.error('Exchange error', { error });
         return res.status(500).json({
             error: 'Internal server error',
             message: error.message
         });
     }
-};
+});
+
+// Chữ ký HMAC tính trên body gốc nên tắt body parser của Vercel (xem readRawBody trong lib/auth.js)
+module.exports.config = { api: { bodyParser: false } };
 
 /**
- * Lấy thông tin customer
+ * Tạo mã giảm giá cho phần thưởng
+ * Mã chỉ dùng được bởi customer đã đổi điểm (customerSelection)
  */
-async function getCustomer(customerId) {
-    const numericId = customerId.toString().replace(/\D/g, '');
-    const response = await fetch(
-        `https://${SHOPIFY_SHOP}/admin/api/${API_VERSION}/customers/${numericId}.json`,
-        {
-            headers: {
-                'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN
-            }
+async function createDiscountCode(reward, customerId) {
+    const code = `RWD-${generateCode(8)}`;
+    const endsAt = new Date(Date.now() + reward.expiry_days * 24 * 60 * 60 * 1000).toISOString();
+
+    const options = {
+        code,
+        customerId,
+        startsAt: new Date().toISOString(),
+        endsAt,
+        usageLimit: 1,
+        appliesOncePerCustomer: true,
+        minimumSubtotal: reward.min_order_subtotal,
+        ...(await discountTarget(reward))
+    };
+
+    let discountId;
+    try {
+        discountId = reward.type === 'free_shipping'
+            ? await createFreeShippingDiscountCode(options)
+            : await createBasicDiscountCode(options);
+    } catch (error) {
+        // Shopify không phản hồi -> để handler trả 503
+        if (error instanceof UpstreamError) {
+            throw error;
         }
-    );
-
-    if (!response.ok) {
-        console.error('Failed to get customer:', response.status);
+        logger.error('Failed to create discount code', { error });
         return null;
     }
 
-    const data = await response.json();
-    return data.customer;
+    return {
+        code,
+        discountId,
+        restrictions: {
+            customer_id: toNumericId(customerId),
+            usage_limit: options.usageLimit,
+            once_per_customer: options.appliesOncePerCustomer,
+            min_order_subtotal: reward.min_order_subtotal || null,
+            entitled_product_ids: (options.productIds || []).map(Number),
+            entitled_collection_ids: (options.collectionIds || []).map(Number),
+            entitled_variant_ids: (options.variantIds || []).map(Number),
+            ends_at: endsAt
+        }
+    };
 }
 
 /**
- * Lấy điểm hiện tại của customer từ metafield
+ * Giá trị giảm và sản phẩm được giảm theo loại phần thưởng
  */
-async function getCustomerPoints(customerId) {
-    const numericId = customerId.toString().replace(/\D/g, '');
-    const response = await fetch(
-        `https://${SHOPIFY_SHOP}/admin/api/${API_VERSION}/customers/${numericId}/metafields.json?namespace=rewards&key=points`,
-        {
-            headers: {
-                'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN
+async function discountTarget(reward) {
+    // Giới hạn sản phẩm / collection được giảm giá
+    const entitled = {
+        productIds: reward.entitled_product_ids,
+        collectionIds: reward.entitled_collection_ids
+    };
+
+    switch (reward.type) {
+        case 'fixed_amount':
+            return { amount: reward.value, ...entitled };
+        case 'percentage':
+            return { percentage: reward.value, ...entitled };
+        case 'free_shipping':
+            return {};
+        case 'free_product': {
+            // Giảm đúng giá 1 sản phẩm, chỉ áp dụng cho variant được tặng
+            const variants = await getVariants([reward.variant_id]);
+            const variant = variants.get(toNumericId(reward.variant_id));
+            if (!variant) {
+                throw new Error(`Reward ${reward.id}: variant ${reward.variant_id} not found`);
             }
+            return { amount: variant.price, variantIds: [variant.id] };
         }
-    );
-
-    if (!response.ok) {
-        return 0;
+        default:
+            throw new Error(`Unsupported reward type: ${reward.type}`);
     }
-
-    const data = await response.json();
-    const pointsMetafield = data.metafields?.find(m => m.key === 'points');
-    return pointsMetafield ? parseInt(pointsMetafield.value) || 0 : 0;
 }
 
 /**
- * Cập nhật điểm của customer
+ * Xoá mã giảm giá khi không trừ được điểm
  */
-async function updateCustomerPoints(customerId, newPoints) {
-    const numericId = customerId.toString().replace(/\D/g, '');
-
-    const response = await fetch(
-        `https://${SHOPIFY_SHOP}/admin/api/${API_VERSION}/customers/${numericId}/metafields.json`,
-        {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN
-            },
-            body: JSON.stringify({
-                metafield: {
-                    namespace: 'rewards',
-                    key: 'points',
-                    value: newPoints.toString(),
-                    type: 'number_integer'
-                }
-            })
-        }
-    );
-
-    if (!response.ok) {
-        const error = await response.text();
-        throw new Error(`Failed to update points: ${error}`);
+async function removeDiscountCode(discountId) {
+    try {
+        await deleteDiscountCode(discountId);
+    } catch (error) {
+        logger.error('Failed to delete discount code', { discount_id: discountId, error });
     }
-
-    return true;
 }
 
 /**
- * Tạo mã giảm giá
+ * Sau một lỗi ghi không rõ ràng: true nếu lần đổi điểm đã được ghi (có bản ghi idempotency
+ * với đúng mã giảm giá), false nếu chưa, null nếu không đọc lại được
  */
-async function createDiscountCode(amountVnd, customerEmail) {
-    const code = `RWD-${generateCode(8)}`;
-
-    const response = await fetch(
-        `https://${SHOPIFY_SHOP}/admin/api/${API_VERSION}/price_rules.json`,
-        {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN
-            },
-            body: JSON.stringify({
-                price_rule: {
-                    title: code,
-                    target_type: 'line_item',
-                    target_selection: 'all',
-                    allocation_method: 'across',
-                    value_type: 'fixed_amount',
-                    value: `-${amountVnd}`,
-                    customer_selection: 'prerequisite',
-                    prerequisite_customer_ids: [],
-                    once_per_customer: true,
-                    usage_limit: 1,
-                    starts_at: new Date().toISOString(),
-                    ends_at: new Date(Date.now() + 90 * 24 * 60 * 60 * 1000).toISOString() // 90 ngày
-                }
-            })
-        }
-    );
-
-    if (!response.ok) {
-        const error = await response.text();
-        console.error('Failed to create price rule:', error);
-        return null;
-    }
-
-    const priceRuleData = await response.json();
-    const priceRuleId = priceRuleData.price_rule.id;
-
-    // Tạo discount code từ price rule
-    const codeResponse = await fetch(
-        `https://${SHOPIFY_SHOP}/admin/api/${API_VERSION}/price_rules/${priceRuleId}/discount_codes.json`,
-        {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN
-            },
-            body: JSON.stringify({
-                discount_code: { code }
-            })
-        }
-    );
-
-    if (!codeResponse.ok) {
-        const error = await codeResponse.text();
-        console.error('Failed to create discount code:', error);
+async function exchangeRecorded(customerId, recordKey, discountCode) {
+    try {
+        const latest = await getPointsState(customerId);
+        const record = latest && findIdempotentResult(latest, recordKey);
+        return Boolean(record && record.response.discount_code === discountCode);
+    } catch (error) {
+        logger.error('Failed to read points back after a failed write', { customer_id: customerId, error });
         return null;
     }
-
-    return code;
 }
 
 /**
- * Thêm lịch sử đổi điểm
+ * Trả lại kết quả đã lưu cho Idempotency-Key (null nếu chưa có)
  */
-async function addRewardHistory(customerId, historyEntry) {
-    const numericId = customerId.toString().replace(/\D/g, '');
-
-    // Lấy lịch sử hiện tại
-    const getResponse = await fetch(
-        `https://${SHOPIFY_SHOP}/admin/api/${API_VERSION}/customers/${numericId}/metafields.json?namespace=rewards&key=history`,
-        {
-            headers: {
-                'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN
-            }
-        }
-    );
-
-    let history = [];
-    if (getResponse.ok) {
-        const data = await getResponse.json();
-        const historyMetafield = data.metafields?.find(m => m.key === 'history');
-        if (historyMetafield) {
-            try {
-                history = JSON.parse(historyMetafield.value);
-            } catch (e) {
-                history = [];
-            }
-        }
+function replayIdempotentResult(res, state, idempotencyKey, rewardId) {
+    const record = findIdempotentResult(state, idempotencyKey);
+    if (!record) {
+        return null;
     }
 
-    // Thêm entry mới
-    history.unshift(historyEntry);
-
-    // Giới hạn 100 entries
-    if (history.length > 100) {
-        history = history.slice(0, 100);
+    if (record.reward_id !== rewardId) {
+        return res.status(422).json({
+            error: 'Idempotency-Key was already used with a different request'
+        });
     }
 
-    // Lưu lại
-    await fetch(
-        `https://${SHOPIFY_SHOP}/admin/api/${API_VERSION}/customers/${numericId}/metafields.json`,
-        {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN
-            },
-            body: JSON.stringify({
-                metafield: {
-                    namespace: 'rewards',
-                    key: 'history',
-                    value: JSON.stringify(history),
-                    type: 'json'
-                }
-            })
-        }
-    );
+    res.setHeader('Idempotent-Replayed', 'true');
+    return res.status(200).json(record.response);
 }
 
 /**
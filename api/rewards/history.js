@@ -3,13 +3,36 @@
  * Lấy lịch sử đổi điểm và điểm hiện tại của khách hàng
  * 
  * GET /api/rewards/history?customer_id=123456
+ * Qua App Proxy: customer lấy từ logged_in_customer_id
+ *
+ * Phân trang: limit (mặc định 20, tối đa 100), cursor (next_cursor của trang trước)
+ * Bộ lọc: type=earn,redeem,expire,adjust,reversal,tier - from / to (ngày ISO)
  */
 
 const SHOPIFY_SHOP = process.env.SHOPIFY_SHOP;
 const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
-const API_VERSION = '2024-10';
 
-module.exports = async (req, res) => {
+const { logger, withRequestLogging } = require('../../lib/logger');
+const { limitByIp, limitByCustomer } = require('../../lib/rate-limit');
+const { authenticateRequest, bindCustomer } = require('../../lib/auth');
+const { UpstreamError, sendUpstreamError } = require('../../lib/http');
+const { toNumericId } = require('../../lib/shopify');
+const { upcomingExpirations } = require('../../lib/point-lots');
+const { getPointsState } = require('../../lib/rewards');
+const {
+    HISTORY_TYPES,
+    readHistoryPage,
+    encodeCursor,
+    decodeCursor
+} = require('../../lib/history-store');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Báo trước số điểm sắp hết hạn trong N ngày tới
+const POINTS_EXPIRY_NOTICE_DAYS = parseInt(process.env.POINTS_EXPIRY_NOTICE_DAYS) || 30;
+
+module.exports = withRequestLogging('rewards/history', async (req, res) => {
     // CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
@@ -31,78 +54,110 @@ module.exports = async (req, res) => {
     }
 
     try {
-        const { customer_id } = req.query;
+        // Giới hạn tần suất theo IP, trước cả bước xác thực
+        if (await limitByIp(req, res, 'rewards/history')) {
+            return;
+        }
+
+        // Xác thực request và gắn với customer đang đăng nhập
+        const auth = await authenticateRequest(req);
+        if (!auth.ok) {
+            return res.status(401).json({ error: 'Unauthorized', message: auth.reason });
+        }
+
+        const binding = bindCustomer(auth, req.query.customer_id);
+        if (binding.error) {
+            return res.status(401).json({ error: 'Unauthorized', message: binding.error });
+        }
+        if (await limitByCustomer(req, res, 'rewards/history', binding.customerId)) {
+            return;
+        }
+
+        const customer_id = binding.customerId;
 
         if (!customer_id) {
+            if (auth.method === 'app_proxy') {
+                return res.status(401).json({ error: 'Unauthorized', message: 'Customer login required' });
+            }
             return res.status(400).json({ error: 'customer_id is required' });
         }
 
-        const numericId = customer_id.toString().replace(/\D/g, '');
+        const numericId = toNumericId(customer_id);
         
         if (!numericId) {
             return res.status(400).json({ error: 'Invalid customer_id format' });
         }
 
-        console.log('Fetching rewards history for customer:', numericId);
+        // Tham số phân trang và bộ lọc
+        const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : DEFAULT_LIMIT;
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            return res.status(400).json({ error: `limit must be between 1 and ${MAX_LIMIT}` });
+        }
 
-        // Lấy tất cả metafields của customer trong namespace rewards
-        const apiUrl = `https://${SHOPIFY_SHOP}/admin/api/${API_VERSION}/customers/${numericId}/metafields.json?namespace=rewards`;
-        console.log('API URL:', apiUrl);
-        
-        const response = await fetch(apiUrl, {
-            headers: {
-                'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN
+        let before = null;
+        if (req.query.cursor) {
+            before = decodeCursor(req.query.cursor.toString());
+            if (before === null) {
+                return res.status(400).json({ error: 'Invalid cursor' });
             }
-        });
-
-        console.log('Response status:', response.status);
+        }
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error('Shopify API error:', errorText);
-            
-            if (response.status === 404) {
-                return res.status(404).json({ error: 'Customer not found' });
+        let types = null;
+        if (req.query.type) {
+            types = req.query.type.toString().split(',').map(t => t.trim()).filter(Boolean);
+            const invalid = types.filter(t => !HISTORY_TYPES.includes(t));
+            if (invalid.length > 0) {
+                return res.status(400).json({ error: `Invalid type: ${invalid.join(', ')}`, valid_types: HISTORY_TYPES });
             }
-            
-            return res.status(response.status).json({
-                error: 'Shopify API error',
-                status: response.status,
-                details: errorText
-            });
         }
 
-        const data = await response.json();
-        const metafields = data.metafields || [];
+        const from = req.query.from ? new Date(req.query.from) : null;
+        const to = req.query.to ? new Date(req.query.to) : null;
+        if ((from && isNaN(from)) || (to && isNaN(to))) {
+            return res.status(400).json({ error: 'from and to must be ISO dates' });
+        }
+        // Ngày không có giờ -> tính hết ngày đó
+        if (to && /^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) {
+            to.setUTCHours(23, 59, 59, 999);
+        }
+
+        logger.debug('Fetching rewards history', { customer_id: numericId });
 
-        // Tìm points và history
-        const pointsMetafield = metafields.find(m => m.key === 'points');
-        const historyMetafield = metafields.find(m => m.key === 'history');
+        // Số dư và lô điểm của customer (từ rewards store)
+        const state = await getPointsState(numericId);
+        if (!state) {
+            return res.status(404).json({ error: 'Customer not found' });
+        }
 
-        const points = pointsMetafield ? parseInt(pointsMetafield.value) || 0 : 0;
+        const { points, lots } = state;
 
-        let history = [];
-        if (historyMetafield) {
-            try {
-                history = JSON.parse(historyMetafield.value);
-            } catch (e) {
-                console.error('Failed to parse history:', e);
-                history = [];
-            }
+        // Chỉ đọc các chunk lịch sử của trang này, kèm số dư sau mỗi giao dịch
+        const page = await readHistoryPage(numericId, points, { limit, before, types, from, to });
+        if (!page) {
+            return res.status(404).json({ error: 'Customer not found' });
         }
 
+        // Điểm sắp hết hạn (theo lô)
+        const expiring = upcomingExpirations(lots, POINTS_EXPIRY_NOTICE_DAYS);
+
         return res.status(200).json({
             success: true,
             customer_id: numericId,
             points: points,
-            history: history
+            upcoming_expirations: expiring,
+            history: page.entries,
+            totals: page.totals,
+            next_cursor: page.nextCursor !== null ? encodeCursor(page.nextCursor) : null
         });
 
     } catch (error) {
-        console.error('❌ History error:', error);
+        if (error instanceof UpstreamError) {
+            return sendUpstreamError(res, error);
+        }
+        logger.error('History error', { error });
         return res.status(500).json({
             error: 'Internal server error',
             message: error.message
         });
     }
-};
+});
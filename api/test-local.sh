@@ -1,14 +1,20 @@
 #!/bin/bash
 
 # Test local API endpoint
-# Usage: ./test-local.sh
+# Usage: AUTH_HMAC_SECRET=... ./test-local.sh
 
 echo "Testing local API endpoint..."
 echo ""
 
+TIMESTAMP=$(date +%s)
+SIGNATURE=$({ printf 'POST\n/api/create-draft-order\n%s\n' "$TIMESTAMP"; cat api/test-request.json; } \
+  | openssl dgst -sha256 -hmac "$AUTH_HMAC_SECRET" -hex | sed 's/^.* //')
+
 curl -X POST http://localhost:3000/api/create-draft-order \
   -H "Content-Type: application/json" \
-  -d @api/test-request.json \
+  -H "X-Helios-Timestamp: $TIMESTAMP" \
+  -H "X-Helios-Hmac-Sha256: $SIGNATURE" \
+  --data-binary @api/test-request.json \
   | json_pp
 
 echo ""
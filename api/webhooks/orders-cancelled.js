@@ -0,0 +1,55 @@
+/**
+ * Shopify orders/cancelled webhook
+ * Takes back all points earned on a cancelled order that were not already reversed by refunds
+ *
+ * POST /api/webhooks/orders-cancelled (registered as the orders/cancelled webhook address)
+ */
+
+const { logger, withRequestLogging } = require('../../lib/logger');
+const { verifyShopifyWebhook } = require('../../lib/webhooks');
+const { reverseOrderPoints } = require('../../lib/points-reversal');
+
+const SHOPIFY_SHOP = process.env.SHOPIFY_SHOP;
+const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
+
+module.exports = withRequestLogging('webhooks/orders-cancelled', async (req, res) => {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!SHOPIFY_SHOP || !SHOPIFY_ACCESS_TOKEN) {
+    return res.status(500).json({
+      error: 'Server configuration error',
+      message: 'Missing environment variables'
+    });
+  }
+
+  try {
+    const order = await verifyShopifyWebhook(req);
+    if (!order) {
+      return res.status(401).json({ error: 'Unauthorized', message: 'Invalid webhook signature' });
+    }
+
+    const result = await reverseOrderPoints(order.id, {
+      reversalId: 'cancel',
+      reason: 'cancel'
+    });
+
+    logger.info('Order cancelled', { order_id: order.id, status: result.status, points_reversed: result.points });
+
+    return res.status(200).json({
+      success: true,
+      order_id: order.id,
+      status: result.status,
+      points_reversed: result.points,
+      balance: result.balance
+    });
+
+  } catch (error) {
+    logger.error('orders/cancelled webhook error', { error });
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// The webhook signature covers the raw body
+module.exports.config = { api: { bodyParser: false } };
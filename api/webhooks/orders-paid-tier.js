@@ -0,0 +1,58 @@
+/**
+ * Shopify orders/paid webhook - tier qualification
+ * Recomputes the customer's tier from their spend once an order is paid
+ *
+ * POST /api/webhooks/orders-paid-tier (registered as a second orders/paid webhook address)
+ *
+ * See lib/tier-qualification.js for thresholds, basis and where the tier is written.
+ */
+
+const { logger, withRequestLogging } = require('../../lib/logger');
+const { verifyShopifyWebhook } = require('../../lib/webhooks');
+const { applyCustomerTier } = require('../../lib/tier-qualification');
+
+const SHOPIFY_SHOP = process.env.SHOPIFY_SHOP;
+const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
+
+module.exports = withRequestLogging('webhooks/orders-paid-tier', async (req, res) => {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!SHOPIFY_SHOP || !SHOPIFY_ACCESS_TOKEN) {
+    return res.status(500).json({
+      error: 'Server configuration error',
+      message: 'Missing environment variables'
+    });
+  }
+
+  try {
+    const order = await verifyShopifyWebhook(req);
+    if (!order) {
+      return res.status(401).json({ error: 'Unauthorized', message: 'Invalid webhook signature' });
+    }
+
+    if (!order.customer?.id) {
+      return res.status(200).json({ success: true, skipped: 'no_customer' });
+    }
+
+    const result = await applyCustomerTier(order.customer.id, {
+      order: {
+        id: order.id,
+        amount: parseFloat(order.current_subtotal_price ?? order.subtotal_price) || 0
+      }
+    });
+    if (!result) {
+      return res.status(200).json({ success: true, skipped: 'customer_not_found' });
+    }
+
+    return res.status(200).json({ success: true, ...result });
+
+  } catch (error) {
+    logger.error('orders/paid tier webhook error', { error });
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// The webhook signature covers the raw body
+module.exports.config = { api: { bodyParser: false } };
@@ -0,0 +1,154 @@
+/**
+ * Shopify orders/paid webhook
+ * Awards reward points for a paid order
+ *
+ * POST /api/webhooks/orders-paid (registered as the orders/paid webhook address)
+ *
+ * Points = floor(order subtotal * POINTS_EARN_RATE * tier points_multiplier).
+ * The award is recorded on the order (rewards.points_awarded) in the same atomic
+ * write as the customer's balance, so webhook retries never credit twice.
+ */
+
+const { logger, withRequestLogging } = require('../../lib/logger');
+const { verifyShopifyWebhook } = require('../../lib/webhooks');
+const { resolveCustomerTier } = require('../../lib/tiers');
+const {
+  StaleBalanceError,
+  getPointsState,
+  writeRecords,
+  balanceWrites,
+  getOrderRewards,
+  orderRewardsWrite,
+  addRewardHistory
+} = require('../../lib/rewards');
+const { createLot } = require('../../lib/point-lots');
+
+const SHOPIFY_SHOP = process.env.SHOPIFY_SHOP;
+const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
+
+// Points per unit of shop currency (default 0.001 - 1 point per 1.000 VND)
+const POINTS_EARN_RATE = parseFloat(process.env.POINTS_EARN_RATE) || 0.001;
+// Multiply by the customer's tier points_multiplier (config/tiers.json)
+const POINTS_TIER_MULTIPLIER = process.env.POINTS_TIER_MULTIPLIER !== 'false';
+
+// Compare-and-set attempts before giving up and letting Shopify retry the webhook
+const MAX_WRITE_ATTEMPTS = 3;
+
+module.exports = withRequestLogging('webhooks/orders-paid', async (req, res) => {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!SHOPIFY_SHOP || !SHOPIFY_ACCESS_TOKEN) {
+    return res.status(500).json({
+      error: 'Server configuration error',
+      message: 'Missing environment variables'
+    });
+  }
+
+  try {
+    const order = await verifyShopifyWebhook(req);
+    if (!order) {
+      return res.status(401).json({ error: 'Unauthorized', message: 'Invalid webhook signature' });
+    }
+
+    if (!order.customer?.id) {
+      logger.info('Order has no customer, skipping points', { order_id: order.id });
+      return res.status(200).json({ success: true, skipped: 'no_customer' });
+    }
+
+    const customerId = order.customer.id.toString();
+    const subtotal = parseFloat(order.current_subtotal_price ?? order.subtotal_price) || 0;
+
+    let multiplier = 1;
+    let tierName = null;
+    if (POINTS_TIER_MULTIPLIER) {
+      const resolved = await resolveCustomerTier(customerId);
+      if (resolved?.tier) {
+        multiplier = resolved.tier.points_multiplier;
+        tierName = resolved.tier.name;
+      }
+    }
+
+    const points = Math.floor(subtotal * POINTS_EARN_RATE * multiplier);
+    if (points <= 0) {
+      return res.status(200).json({ success: true, skipped: 'no_points', points: 0 });
+    }
+
+    const award = {
+      customer_id: customerId,
+      order_name: order.name,
+      points,
+      subtotal,
+      currency: order.currency,
+      tier: tierName,
+      multiplier,
+      awarded_at: new Date().toISOString()
+    };
+
+    let balance = null;
+    for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS && balance === null; attempt++) {
+      const orderRewards = await getOrderRewards(order.id);
+      if (!orderRewards) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+      if (orderRewards.rewards) {
+        logger.info('Order already awarded, skipping', { order_id: order.id, points: orderRewards.rewards.points });
+        return res.status(200).json({ success: true, duplicate: true, points: orderRewards.rewards.points });
+      }
+
+      const state = await getPointsState(customerId);
+      if (!state) {
+        return res.status(200).json({ success: true, skipped: 'customer_not_found' });
+      }
+
+      try {
+        // Order marker must not exist yet (version null) - this is the dedupe
+        const lots = [...state.lots, createLot(points, { source: 'order', orderId: order.id })];
+        await writeRecords([
+          ...balanceWrites(customerId, state, state.points + points, lots),
+          orderRewardsWrite(order.id, award, null)
+        ]);
+        balance = state.points + points;
+      } catch (error) {
+        if (!(error instanceof StaleBalanceError) || attempt === MAX_WRITE_ATTEMPTS) {
+          throw error;
+        }
+        logger.warn('Concurrent update while awarding order, retrying', { order_id: order.id, attempt, max_attempts: MAX_WRITE_ATTEMPTS });
+      }
+    }
+
+    try {
+      await addRewardHistory(customerId, {
+        date: new Date().toISOString(),
+        type: 'earn',
+        action: 'Tích điểm',
+        points_earned: points,
+        points,
+        balance_after: balance,
+        order_id: order.id.toString(),
+        order_name: order.name,
+        amount: subtotal,
+        currency: order.currency
+      });
+    } catch (error) {
+      logger.error('Failed to save reward history', { error });
+    }
+
+    logger.info('Points awarded', { customer_id: customerId, order_id: order.id, points });
+
+    return res.status(200).json({
+      success: true,
+      order_id: order.id,
+      points_awarded: points,
+      balance
+    });
+
+  } catch (error) {
+    logger.error('orders/paid webhook error', { error });
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// The webhook signature covers the raw body
+module.exports.config = { api: { bodyParser: false } };
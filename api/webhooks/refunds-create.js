@@ -0,0 +1,67 @@
+/**
+ * Shopify refunds/create webhook
+ * Takes back the points earned on the refunded part of an order
+ *
+ * POST /api/webhooks/refunds-create (registered as the refunds/create webhook address)
+ *
+ * Points reversed = awarded points * refunded line subtotal / order subtotal.
+ */
+
+const { logger, withRequestLogging } = require('../../lib/logger');
+const { verifyShopifyWebhook } = require('../../lib/webhooks');
+const { reverseOrderPoints } = require('../../lib/points-reversal');
+
+const SHOPIFY_SHOP = process.env.SHOPIFY_SHOP;
+const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
+
+module.exports = withRequestLogging('webhooks/refunds-create', async (req, res) => {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!SHOPIFY_SHOP || !SHOPIFY_ACCESS_TOKEN) {
+    return res.status(500).json({
+      error: 'Server configuration error',
+      message: 'Missing environment variables'
+    });
+  }
+
+  try {
+    const refund = await verifyShopifyWebhook(req);
+    if (!refund) {
+      return res.status(401).json({ error: 'Unauthorized', message: 'Invalid webhook signature' });
+    }
+
+    const refundedSubtotal = (refund.refund_line_items || [])
+      .reduce((sum, line) => sum + (parseFloat(line.subtotal) || 0), 0);
+
+    if (refundedSubtotal <= 0) {
+      return res.status(200).json({ success: true, skipped: 'no_refunded_items' });
+    }
+
+    const result = await reverseOrderPoints(refund.order_id, {
+      reversalId: `refund:${refund.id}`,
+      reason: 'refund',
+      amount: refundedSubtotal,
+      refundId: refund.id
+    });
+
+    logger.info('Refund processed', { refund_id: refund.id, order_id: refund.order_id, status: result.status, points_reversed: result.points });
+
+    return res.status(200).json({
+      success: true,
+      order_id: refund.order_id,
+      refund_id: refund.id,
+      status: result.status,
+      points_reversed: result.points,
+      balance: result.balance
+    });
+
+  } catch (error) {
+    logger.error('refunds/create webhook error', { error });
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// The webhook signature covers the raw body
+module.exports.config = { api: { bodyParser: false } };
@@ -6,7 +6,7 @@ require('dotenv').config();
 
 const SHOPIFY_SHOP = process.env.SHOPIFY_SHOP;
 const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
-const API_VERSION = '2024-10';
+const API_VERSION = process.env.SHOPIFY_API_VERSION || '2024-10';
 
 async function getProducts() {
   console.log('Fetching products...\n');
@@ -0,0 +1,245 @@
+/**
+ * Request verification shared by all customer-facing endpoints
+ *
+ * Two ways in:
+ * 1. Shopify App Proxy - the storefront calls /apps/<proxy>/..., Shopify signs the
+ *    query string with the app secret and adds logged_in_customer_id.
+ * 2. Server-to-server - the caller signs "<METHOD>\n<path + query>\n<timestamp>\n<raw body>"
+ *    with HMAC-SHA256 and sends the hex digest in the AUTH_HMAC_HEADER header (default
+ *    X-Helios-Hmac-Sha256) and the Unix timestamp in AUTH_TIMESTAMP_HEADER (default
+ *    X-Helios-Timestamp). Timestamps older than AUTH_HMAC_MAX_AGE_SECONDS are rejected.
+ *    Customer-facing endpoints take AUTH_HMAC_SECRET; the admin and cron endpoints only
+ *    take their own ADMIN_HMAC_SECRET and CRON_HMAC_SECRET.
+ */
+
+const crypto = require('crypto');
+
+const SHOPIFY_API_SECRET = process.env.SHOPIFY_API_SECRET; // App secret, signs App Proxy requests
+const AUTH_HMAC_SECRET = process.env.AUTH_HMAC_SECRET; // Shared secret for server-to-server callers
+const ADMIN_HMAC_SECRET = process.env.ADMIN_HMAC_SECRET; // Signs server calls to the admin endpoints
+const CRON_HMAC_SECRET = process.env.CRON_HMAC_SECRET; // Signs server calls to the cron endpoints
+const AUTH_HMAC_HEADER = (process.env.AUTH_HMAC_HEADER || 'X-Helios-Hmac-Sha256').toLowerCase();
+const AUTH_TIMESTAMP_HEADER = (process.env.AUTH_TIMESTAMP_HEADER || 'X-Helios-Timestamp').toLowerCase();
+const AUTH_HMAC_MAX_AGE = parseInt(process.env.AUTH_HMAC_MAX_AGE_SECONDS) || 300; // 5 minutes
+const APP_PROXY_MAX_AGE = parseInt(process.env.APP_PROXY_MAX_AGE_SECONDS) || 300; // 5 minutes
+const CRON_SECRET = process.env.CRON_SECRET; // Vercel sends it as "Authorization: Bearer <CRON_SECRET>"
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN; // Bearer token for staff / admin tools
+
+/**
+ * Constant-time comparison of two hex digests
+ */
+function safeEqualHex(expected, actual) {
+  if (typeof actual !== 'string' || !/^[0-9a-f]+$/i.test(actual)) {
+    return false;
+  }
+  const a = Buffer.from(expected, 'hex');
+  const b = Buffer.from(actual.toLowerCase(), 'hex');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Read the raw request body, or null when it is no longer available.
+ * Signatures cover the exact bytes that were sent, so the routes that check one turn
+ * Vercel's body parser off (`config.api.bodyParser = false`) and the stream is read
+ * here. A body the platform has already parsed is never serialised again to stand in
+ * for it - the result is not the signed bytes - and the signature check fails instead.
+ */
+async function readRawBody(req) {
+  if (Buffer.isBuffer(req.rawBody)) {
+    return req.rawBody;
+  }
+  if (typeof req.rawBody === 'string') {
+    return Buffer.from(req.rawBody);
+  }
+
+  if (req.readable && !req.readableEnded && typeof req[Symbol.asyncIterator] === 'function') {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+    }
+    req.rawBody = Buffer.concat(chunks);
+    return req.rawBody;
+  }
+
+  return null;
+}
+
+/**
+ * Parse the JSON body on a route with the body parser turned off.
+ * Sets and returns req.body - undefined when the body is missing or not JSON.
+ */
+async function readJsonBody(req) {
+  if (req.body !== undefined) {
+    return req.body;
+  }
+
+  const rawBody = await readRawBody(req);
+  if (rawBody && rawBody.length > 0) {
+    try {
+      req.body = JSON.parse(rawBody.toString('utf8'));
+    } catch (e) {
+      // Left undefined - the handler rejects the missing fields
+    }
+  }
+  return req.body;
+}
+
+/**
+ * Verify a Shopify App Proxy signature.
+ * Shopify sorts the query parameters (minus `signature`), joins each as key=value
+ * with array values comma-joined, concatenates them and signs with HMAC-SHA256.
+ */
+function verifyAppProxySignature(query) {
+  if (!SHOPIFY_API_SECRET || !query || !query.signature) {
+    return false;
+  }
+
+  const message = Object.keys(query)
+    .filter(key => key !== 'signature')
+    .sort()
+    .map(key => `${key}=${Array.isArray(query[key]) ? query[key].join(',') : query[key]}`)
+    .join('');
+
+  const digest = crypto.createHmac('sha256', SHOPIFY_API_SECRET).update(message).digest('hex');
+  if (!safeEqualHex(digest, query.signature)) {
+    return false;
+  }
+
+  const timestamp = parseInt(query.timestamp);
+  if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > APP_PROXY_MAX_AGE) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Verify the server-to-server HMAC header against `secret`: method, path and query,
+ * timestamp and raw body are signed, and the timestamp must be recent
+ */
+async function verifyHmacHeader(req, secret) {
+  const signature = req.headers?.[AUTH_HMAC_HEADER];
+  const timestamp = req.headers?.[AUTH_TIMESTAMP_HEADER]?.toString();
+  if (!secret || !signature || !/^\d+$/.test(timestamp || '')) {
+    return false;
+  }
+  if (Math.abs(Date.now() / 1000 - parseInt(timestamp)) > AUTH_HMAC_MAX_AGE) {
+    return false;
+  }
+
+  // GET requests have no body to read
+  const body = req.method === 'GET' ? Buffer.alloc(0) : await readRawBody(req);
+  if (!body) {
+    return false;
+  }
+  const digest = crypto.createHmac('sha256', secret)
+    .update(`${req.method}\n${req.url || ''}\n${timestamp}\n`)
+    .update(body)
+    .digest('hex');
+  return safeEqualHex(digest, signature);
+}
+
+/**
+ * Authenticate a request.
+ * Returns { ok: true, method: 'app_proxy', customerId } where customerId is the
+ * logged-in customer (null for guests), { ok: true, method: 'hmac', customerId: null }
+ * for trusted server callers, or { ok: false, reason }.
+ */
+async function authenticateRequest(req) {
+  if (req.query?.signature) {
+    if (!verifyAppProxySignature(req.query)) {
+      return { ok: false, reason: 'Invalid app proxy signature' };
+    }
+    return {
+      ok: true,
+      method: 'app_proxy',
+      customerId: req.query.logged_in_customer_id ? req.query.logged_in_customer_id.toString() : null
+    };
+  }
+
+  if (req.headers?.[AUTH_HMAC_HEADER]) {
+    if (!(await verifyHmacHeader(req, AUTH_HMAC_SECRET))) {
+      return { ok: false, reason: 'Invalid request signature' };
+    }
+    return { ok: true, method: 'hmac', customerId: null };
+  }
+
+  return { ok: false, reason: 'Missing request signature' };
+}
+
+/**
+ * Constant-time check of an "Authorization: Bearer <secret>" header
+ */
+function hasBearerToken(req, secret) {
+  const authorization = req.headers?.authorization;
+  if (!secret || typeof authorization !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const received = Buffer.from(authorization);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Verify a scheduled job request: Vercel Cron's bearer token, or a server call signed
+ * with CRON_HMAC_SECRET
+ */
+async function verifyCronRequest(req) {
+  if (hasBearerToken(req, CRON_SECRET)) {
+    return true;
+  }
+
+  if (req.headers?.[AUTH_HMAC_HEADER]) {
+    return verifyHmacHeader(req, CRON_HMAC_SECRET);
+  }
+
+  return false;
+}
+
+/**
+ * Verify an admin request: the ADMIN_API_TOKEN bearer token, or a server call signed
+ * with ADMIN_HMAC_SECRET
+ */
+async function verifyAdminRequest(req) {
+  if (hasBearerToken(req, ADMIN_API_TOKEN)) {
+    return true;
+  }
+
+  if (req.headers?.[AUTH_HMAC_HEADER]) {
+    return verifyHmacHeader(req, ADMIN_HMAC_SECRET);
+  }
+
+  return false;
+}
+
+/**
+ * Work out which customer a request may act for.
+ * App Proxy requests are bound to logged_in_customer_id - a different customer_id
+ * in the request is an error. Server callers may act for any customer.
+ * Returns { customerId } (null for App Proxy guests) or { error }.
+ */
+function bindCustomer(auth, requestedCustomerId) {
+  const requested = requestedCustomerId ? requestedCustomerId.toString().replace(/\D/g, '') : null;
+
+  if (auth.method === 'hmac') {
+    return { customerId: requested };
+  }
+
+  if (requested && requested !== auth.customerId) {
+    return { error: 'customer_id does not match the logged in customer' };
+  }
+
+  return { customerId: auth.customerId };
+}
+
+module.exports = {
+  AUTH_HMAC_HEADER,
+  AUTH_TIMESTAMP_HEADER,
+  readRawBody,
+  readJsonBody,
+  verifyAppProxySignature,
+  authenticateRequest,
+  verifyCronRequest,
+  verifyAdminRequest,
+  bindCustomer
+};
@@ -0,0 +1,69 @@
+/**
+ * Resumable batch jobs for scheduled endpoints
+ * Walks a paginated list until a time budget runs out, saving the cursor in a shop
+ * metafield (namespace `rewards`) so the next run picks up where this one stopped.
+ */
+
+const { getShopGid, getShopMetafield, setMetafields, deleteMetafields } = require('./shopify');
+
+/**
+ * Save where the next run should resume (null clears it)
+ */
+async function saveCursor(cursorKey, cursor) {
+  const ownerId = await getShopGid();
+
+  if (cursor) {
+    await setMetafields([{
+      ownerId,
+      namespace: 'rewards',
+      key: cursorKey,
+      type: 'single_line_text_field',
+      value: cursor
+    }]);
+    return;
+  }
+
+  await deleteMetafields([{ ownerId, namespace: 'rewards', key: cursorKey }]);
+}
+
+/**
+ * Run a resumable job.
+ *
+ * options.cursorKey   - shop metafield key holding the resume cursor
+ * options.budgetMs    - stop starting new pages after this long
+ * options.fetchPage   - async (cursor) => { items, nextCursor }
+ * options.processItem - async (item) => void, called for every item in order
+ * options.nextCursor  - (page) => cursor, called once the page's items are processed
+ *                       (default page.nextCursor); null ends the job
+ *
+ * Returns { finished } - false when the budget ran out before the last page.
+ */
+async function runResumableJob({ cursorKey, budgetMs, fetchPage, processItem, nextCursor = page => page.nextCursor }) {
+  const startedAt = Date.now();
+
+  const cursorMetafield = await getShopMetafield('rewards', cursorKey);
+  let cursor = cursorMetafield ? cursorMetafield.value : null;
+  let finished = false;
+
+  while (Date.now() - startedAt < budgetMs) {
+    const page = await fetchPage(cursor);
+
+    for (const item of page.items) {
+      await processItem(item);
+    }
+
+    cursor = nextCursor(page);
+    if (!cursor) {
+      finished = true;
+      break;
+    }
+  }
+
+  await saveCursor(cursorKey, finished ? null : cursor);
+
+  return { finished };
+}
+
+module.exports = {
+  runResumableJob
+};
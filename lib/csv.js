@@ -0,0 +1,85 @@
+/**
+ * Minimal CSV parsing for admin uploads
+ * Handles quoted fields ("a, b"), escaped quotes ("") and CRLF line endings.
+ */
+
+/**
+ * Parse CSV text into rows of fields.
+ * Returns [{ line, fields }] where line is the 1-based line the row starts on, so
+ * rows keep their place in the file after blank lines are dropped.
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        // A quoted field may span lines
+        if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) {
+          line++;
+        }
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push({ line: rowLine, fields: row });
+      row = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push({ line: rowLine, fields: row });
+  }
+
+  return rows.filter(r => r.fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV text with a header row.
+ * Returns [{ line, values }] with values keyed by lower-cased header.
+ */
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) {
+    return [];
+  }
+
+  const keys = header.fields.map(key => key.trim().toLowerCase());
+  return rows.map(({ line, fields }) => ({
+    line,
+    values: Object.fromEntries(keys.map((key, i) => [key, (fields[i] || '').trim()]))
+  }));
+}
+
+module.exports = {
+  parseCsv
+};
@@ -0,0 +1,142 @@
+/**
+ * Discount code helpers on the shared GraphQL client (lib/shopify.js)
+ * Creates single-customer codes for reward exchanges (api/rewards/exchange.js) and
+ * deletes them again when the points cannot be deducted.
+ */
+
+const { shopifyGraphql, throwOnUserErrors, toGid } = require('./shopify');
+
+const DISCOUNT_CODE_BASIC_CREATE_MUTATION = `
+  mutation DiscountCodeBasicCreate($basicCodeDiscount: DiscountCodeBasicInput!) {
+    discountCodeBasicCreate(basicCodeDiscount: $basicCodeDiscount) {
+      codeDiscountNode {
+        id
+      }
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }
+`;
+
+const DISCOUNT_CODE_FREE_SHIPPING_CREATE_MUTATION = `
+  mutation DiscountCodeFreeShippingCreate($freeShippingCodeDiscount: DiscountCodeFreeShippingInput!) {
+    discountCodeFreeShippingCreate(freeShippingCodeDiscount: $freeShippingCodeDiscount) {
+      codeDiscountNode {
+        id
+      }
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }
+`;
+
+const DISCOUNT_CODE_DELETE_MUTATION = `
+  mutation DiscountCodeDelete($id: ID!) {
+    discountCodeDelete(id: $id) {
+      deletedCodeDiscountId
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+/**
+ * Fields shared by every code discount input
+ */
+function codeDiscountInput({ code, customerId, startsAt, endsAt, usageLimit, appliesOncePerCustomer, minimumSubtotal }) {
+  const input = {
+    title: code,
+    code,
+    startsAt,
+    endsAt,
+    usageLimit,
+    appliesOncePerCustomer,
+    customerSelection: { customers: { add: [toGid('Customer', customerId)] } }
+  };
+
+  if (minimumSubtotal > 0) {
+    input.minimumRequirement = {
+      subtotal: { greaterThanOrEqualToSubtotal: minimumSubtotal.toString() }
+    };
+  }
+
+  return input;
+}
+
+/**
+ * Create an amount-off code for one customer.
+ *
+ * options.amount / options.percentage - fixed amount off, or percent off (0-100)
+ * options.productIds / collectionIds / variantIds - limit the discount to these items (default: all)
+ * plus code, customerId, startsAt, endsAt, usageLimit, appliesOncePerCustomer, minimumSubtotal
+ *
+ * Returns the discount's GraphQL ID.
+ */
+async function createBasicDiscountCode(options) {
+  const { amount, percentage, productIds = [], collectionIds = [], variantIds = [] } = options;
+
+  const items = {};
+  if (productIds.length > 0 || variantIds.length > 0) {
+    items.products = {
+      productsToAdd: productIds.map(id => toGid('Product', id)),
+      productVariantsToAdd: variantIds.map(id => toGid('ProductVariant', id))
+    };
+  }
+  if (collectionIds.length > 0) {
+    items.collections = { add: collectionIds.map(id => toGid('Collection', id)) };
+  }
+  if (!items.products && !items.collections) {
+    items.all = true;
+  }
+
+  const value = percentage !== undefined
+    ? { percentage: percentage / 100 }
+    : { discountAmount: { amount: amount.toString(), appliesOnEachItem: false } };
+
+  const data = await shopifyGraphql(DISCOUNT_CODE_BASIC_CREATE_MUTATION, {
+    basicCodeDiscount: {
+      ...codeDiscountInput(options),
+      customerGets: { value, items }
+    }
+  });
+  throwOnUserErrors(data.discountCodeBasicCreate, 'create discount code');
+  return data.discountCodeBasicCreate.codeDiscountNode.id;
+}
+
+/**
+ * Create a free shipping code for one customer (same options as createBasicDiscountCode,
+ * without the value and item limits). Returns the discount's GraphQL ID.
+ */
+async function createFreeShippingDiscountCode(options) {
+  const data = await shopifyGraphql(DISCOUNT_CODE_FREE_SHIPPING_CREATE_MUTATION, {
+    freeShippingCodeDiscount: {
+      ...codeDiscountInput(options),
+      destination: { all: true }
+    }
+  });
+  throwOnUserErrors(data.discountCodeFreeShippingCreate, 'create free shipping code');
+  return data.discountCodeFreeShippingCreate.codeDiscountNode.id;
+}
+
+/**
+ * Delete a code discount. Returns false when it was already gone.
+ */
+async function deleteDiscountCode(discountId) {
+  const data = await shopifyGraphql(DISCOUNT_CODE_DELETE_MUTATION, { id: discountId });
+  throwOnUserErrors(data.discountCodeDelete, 'delete discount code');
+  return Boolean(data.discountCodeDelete.deletedCodeDiscountId);
+}
+
+module.exports = {
+  createBasicDiscountCode,
+  createFreeShippingDiscountCode,
+  deleteDiscountCode
+};
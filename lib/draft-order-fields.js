@@ -0,0 +1,331 @@
+/**
+ * Optional draft order fields
+ * Validates what create-draft-order passes through to Shopify besides the line items:
+ * shipping address, shipping line, note, note_attributes, tags and tax exemption.
+ * The request body uses Shopify's snake_case names; the result is DraftOrderInput
+ * (lib/draft-orders.js).
+ *
+ * Shipping lines are picked by `code` from config/shipping-methods.json, so storefront
+ * callers cannot choose their own shipping price; signed server callers may also send
+ * a custom { title, price }.
+ */
+
+const SHIPPING_CONFIG = require('../config/shipping-methods.json');
+const { toMinor, formatAmount } = require('./money');
+
+const ORDER_TAG = 'tier-pricing';
+
+// Request field -> MailingAddressInput field
+const ADDRESS_FIELDS = {
+  first_name: 'firstName',
+  last_name: 'lastName',
+  company: 'company',
+  address1: 'address1',
+  address2: 'address2',
+  city: 'city',
+  province: 'province',
+  province_code: 'provinceCode',
+  country: 'country',
+  country_code: 'countryCode',
+  zip: 'zip',
+  phone: 'phone'
+};
+const MAX_NOTE_LENGTH = 5000;
+const MAX_NOTE_ATTRIBUTES = 50;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40; // Shopify's limit per tag
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Shipping methods storefront callers may choose from
+ */
+function loadShippingMethods() {
+  return (SHIPPING_CONFIG.methods || []).map(method => ({
+    code: method.code.toString(),
+    title: method.title,
+    price: Number(method.price) || 0
+  }));
+}
+
+function validateShippingAddress(address) {
+  if (!isPlainObject(address)) {
+    return { error: 'shipping_address must be an object' };
+  }
+
+  const unknown = Object.keys(address).filter(key => !ADDRESS_FIELDS[key]);
+  if (unknown.length > 0) {
+    return { error: `shipping_address: unknown field ${unknown.join(', ')}` };
+  }
+
+  const result = {};
+  for (const [key, field] of Object.entries(ADDRESS_FIELDS)) {
+    const value = address[key];
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+    if (typeof value !== 'string' || value.length > 255) {
+      return { error: `shipping_address.${key} must be a string of at most 255 characters` };
+    }
+    result[field] = value.trim();
+  }
+
+  if (!result.address1 || !result.city || (!result.country && !result.countryCode)) {
+    return { error: 'shipping_address needs address1, city and country (or country_code)' };
+  }
+
+  return { value: result };
+}
+
+function validateShippingLine(line, auth, currency) {
+  if (!isPlainObject(line)) {
+    return { error: 'shipping_line must be an object' };
+  }
+
+  if (line.code !== undefined) {
+    const method = loadShippingMethods().find(m => m.code === line.code.toString());
+    if (!method) {
+      return { error: `shipping_line.code must be one of: ${loadShippingMethods().map(m => m.code).join(', ')}` };
+    }
+    return { value: { title: method.title, price: formatAmount(toMinor(method.price, currency), currency) } };
+  }
+
+  if (auth.method !== 'hmac') {
+    return { error: 'shipping_line.code is required' };
+  }
+  if (typeof line.title !== 'string' || !line.title.trim() || line.title.length > 255) {
+    return { error: 'shipping_line.title is required (at most 255 characters)' };
+  }
+  if (typeof line.price !== 'number' || line.price < 0) {
+    return { error: 'shipping_line.price must be a positive number' };
+  }
+  return { value: { title: line.title.trim(), price: formatAmount(toMinor(line.price, currency), currency) } };
+}
+
+function validateNoteAttributes(attributes) {
+  // Accept [{ name, value }] or { name: value }
+  const entries = Array.isArray(attributes)
+    ? attributes
+    : isPlainObject(attributes)
+      ? Object.entries(attributes).map(([name, value]) => ({ name, value }))
+      : null;
+
+  if (!entries) {
+    return { error: 'note_attributes must be an array of { name, value } or an object' };
+  }
+  if (entries.length > MAX_NOTE_ATTRIBUTES) {
+    return { error: `note_attributes: at most ${MAX_NOTE_ATTRIBUTES} attributes` };
+  }
+
+  const result = [];
+  for (let i = 0; i < entries.length; i++) {
+    const { name, value } = entries[i] || {};
+    if (typeof name !== 'string' || !name.trim() || name.length > 255) {
+      return { error: `note_attributes[${i}]: name must be a non-empty string of at most 255 characters` };
+    }
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      return { error: `note_attributes[${i}]: value must be a string or number` };
+    }
+    result.push({ key: name.trim(), value: value.toString() });
+  }
+
+  return { value: result };
+}
+
+function validateTags(tags) {
+  const list = Array.isArray(tags) ? tags : typeof tags === 'string' ? tags.split(',') : null;
+  if (!list) {
+    return { error: 'tags must be an array or a comma-separated string' };
+  }
+
+  const result = [];
+  for (const tag of list) {
+    if (typeof tag !== 'string') {
+      return { error: 'tags must be strings' };
+    }
+    const trimmed = tag.trim();
+    if (!trimmed) {
+      continue;
+    }
+    if (trimmed.length > MAX_TAG_LENGTH || trimmed.includes(',')) {
+      return { error: `Invalid tag "${trimmed}": at most ${MAX_TAG_LENGTH} characters, no commas` };
+    }
+    result.push(trimmed);
+  }
+  if (result.length > MAX_TAGS) {
+    return { error: `tags: at most ${MAX_TAGS} tags` };
+  }
+
+  return { value: result };
+}
+
+/**
+ * Validate the optional fields of a create-draft-order body.
+ *
+ * context.auth     - result of authenticateRequest
+ * context.customer - Shopify customer (null for guests)
+ * context.tier     - the customer's tier (null for none)
+ * context.currency - shop currency (shipping prices are in it)
+ *
+ * Returns { fields } (DraftOrderInput fields) to merge into the draft order input, or
+ * { error, status }. `tags` is always set: tier-pricing, the tier name and any requested tags.
+ */
+function buildDraftOrderFields(body, { auth, customer, tier, currency }) {
+  const fields = {};
+
+  if (body.shipping_address !== undefined) {
+    const address = validateShippingAddress(body.shipping_address);
+    if (address.error) {
+      return { error: address.error, status: 400 };
+    }
+    fields.shippingAddress = address.value;
+    fields.useCustomerDefaultAddress = false;
+  }
+
+  if (body.shipping_line !== undefined) {
+    const line = validateShippingLine(body.shipping_line, auth, currency);
+    if (line.error) {
+      return { error: line.error, status: 400 };
+    }
+    fields.shippingLine = line.value;
+  }
+
+  if (body.note !== undefined) {
+    if (typeof body.note !== 'string' || body.note.length > MAX_NOTE_LENGTH) {
+      return { error: `note must be a string of at most ${MAX_NOTE_LENGTH} characters`, status: 400 };
+    }
+    fields.note = body.note;
+  }
+
+  if (body.note_attributes !== undefined) {
+    const attributes = validateNoteAttributes(body.note_attributes);
+    if (attributes.error) {
+      return { error: attributes.error, status: 400 };
+    }
+    fields.customAttributes = attributes.value;
+  }
+
+  const tags = [ORDER_TAG];
+  if (tier) {
+    tags.push(tier.name);
+  }
+  if (body.tags !== undefined) {
+    const requested = validateTags(body.tags);
+    if (requested.error) {
+      return { error: requested.error, status: 400 };
+    }
+    tags.push(...requested.value);
+  }
+  fields.tags = [...new Set(tags)];
+
+  if (body.tax_exempt !== undefined) {
+    if (typeof body.tax_exempt !== 'boolean') {
+      return { error: 'tax_exempt must be a boolean', status: 400 };
+    }
+    // Only customers Shopify already exempts, or members of a tax_exempt tier
+    if (body.tax_exempt && !customer?.tax_exempt && !tier?.tax_exempt) {
+      return { error: 'Customer is not eligible for tax exemption', status: 403 };
+    }
+    fields.taxExempt = body.tax_exempt;
+  }
+
+  return { fields };
+}
+
+/**
+ * Validate the send_invoice option: true, or { subject?, custom_message?, to?, bcc? }.
+ * Only signed server callers (sales tools) may set the options. Storefront callers may
+ * only send `true` for a logged-in customer, and the invoice goes to that customer's
+ * own email - never to an address or with text taken from the request.
+ * customer: the priced customer (lib/pricing.js), null for guests.
+ * Returns { invoice } (EmailInput, null when no invoice is requested) or { error, status }.
+ */
+function buildInvoiceOptions(value, { auth, customer }) {
+  if (value === undefined || value === false) {
+    return { invoice: null };
+  }
+  if (value !== true && !isPlainObject(value)) {
+    return { error: 'send_invoice must be true or an object', status: 400 };
+  }
+
+  if (auth.method !== 'hmac') {
+    if (value !== true) {
+      return { error: 'send_invoice options are only allowed for server callers', status: 403 };
+    }
+    if (!auth.customerId) {
+      return { error: 'Customer login required to send an invoice', status: 401 };
+    }
+    if (!customer?.email) {
+      return { error: 'Customer has no email address for the invoice', status: 400 };
+    }
+    return { invoice: { to: customer.email } };
+  }
+
+  if (value === true) {
+    return { invoice: {} };
+  }
+
+  const invoice = {};
+  if (value.subject !== undefined) {
+    if (typeof value.subject !== 'string' || value.subject.length > 255) {
+      return { error: 'send_invoice.subject must be a string of at most 255 characters', status: 400 };
+    }
+    invoice.subject = value.subject;
+  }
+  if (value.custom_message !== undefined) {
+    if (typeof value.custom_message !== 'string' || value.custom_message.length > MAX_NOTE_LENGTH) {
+      return { error: `send_invoice.custom_message must be a string of at most ${MAX_NOTE_LENGTH} characters`, status: 400 };
+    }
+    invoice.customMessage = value.custom_message;
+  }
+
+  if (value.to !== undefined) {
+    if (!isEmail(value.to)) {
+      return { error: 'send_invoice.to must be an email address', status: 400 };
+    }
+    invoice.to = value.to;
+  }
+  if (value.bcc !== undefined) {
+    if (!Array.isArray(value.bcc) || !value.bcc.every(isEmail)) {
+      return { error: 'send_invoice.bcc must be an array of email addresses', status: 400 };
+    }
+    invoice.bcc = value.bcc;
+  }
+
+  return { invoice };
+}
+
+/**
+ * Validate the storefront's presentment currency (`currency`) against the shop.
+ * shopCurrencies: lib/shopify.js getShopCurrencies().
+ * Returns { currency } (the shop currency when none is sent) or { error, status }.
+ */
+function resolvePresentmentCurrency(value, shopCurrencies) {
+  if (value === undefined || value === null || value === '') {
+    return { currency: shopCurrencies.currency };
+  }
+  if (typeof value !== 'string') {
+    return { error: 'currency must be a currency code', status: 400 };
+  }
+
+  const currency = value.trim().toUpperCase();
+  const allowed = [shopCurrencies.currency, ...shopCurrencies.presentment_currencies];
+  if (!allowed.includes(currency)) {
+    return { error: `currency must be one of: ${[...new Set(allowed)].join(', ')}`, status: 400 };
+  }
+
+  return { currency };
+}
+
+function isEmail(value) {
+  return typeof value === 'string' && value.length <= 255 && /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(value);
+}
+
+module.exports = {
+  loadShippingMethods,
+  buildDraftOrderFields,
+  buildInvoiceOptions,
+  resolvePresentmentCurrency
+};
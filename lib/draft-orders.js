@@ -0,0 +1,386 @@
+/**
+ * Draft order helpers on the shared GraphQL client (lib/shopify.js)
+ * Inputs are DraftOrderInput objects (camelCase, GraphQL IDs); results come back in
+ * the shape the endpoints return: { id, name, status, invoice_url, total_price,
+ * subtotal_price, currency, presentment_currency, presentment_total_price, order_id,
+ * customer: { id } | null, tags: [] }.
+ * Mutation userErrors are thrown as ShopifyUserError (status 422).
+ *
+ * Draft orders created by create-draft-order carry the `tier-pricing` tag; listing
+ * and cleanup only look at those.
+ */
+
+const { logger } = require('./logger');
+const { shopifyGraphql, throwOnUserErrors, toNumericId, toGid } = require('./shopify');
+const { toMinor, formatAmount } = require('./money');
+const {
+  claimDraftRedemption,
+  unclaimDraftRedemption,
+  restoreDraftRedemption
+} = require('./points-redemption');
+
+const ORDER_TAG = 'tier-pricing';
+
+const DRAFT_ORDER_FIELDS = `
+  id
+  name
+  status
+  invoiceUrl
+  presentmentCurrencyCode
+  tags
+  customer {
+    id
+  }
+  order {
+    id
+  }
+  subtotalPriceSet {
+    shopMoney {
+      amount
+      currencyCode
+    }
+  }
+  totalPriceSet {
+    shopMoney {
+      amount
+    }
+    presentmentMoney {
+      amount
+    }
+  }
+`;
+
+const DRAFT_ORDER_QUERY = `
+  query DraftOrder($id: ID!) {
+    draftOrder(id: $id) {
+      ${DRAFT_ORDER_FIELDS}
+    }
+  }
+`;
+
+const DRAFT_ORDER_CREATE_MUTATION = `
+  mutation DraftOrderCreate($input: DraftOrderInput!) {
+    draftOrderCreate(input: $input) {
+      draftOrder {
+        ${DRAFT_ORDER_FIELDS}
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const DRAFT_ORDER_UPDATE_MUTATION = `
+  mutation DraftOrderUpdate($id: ID!, $input: DraftOrderInput!) {
+    draftOrderUpdate(id: $id, input: $input) {
+      draftOrder {
+        ${DRAFT_ORDER_FIELDS}
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const DRAFT_ORDER_INVOICE_SEND_MUTATION = `
+  mutation DraftOrderInvoiceSend($id: ID!, $email: EmailInput) {
+    draftOrderInvoiceSend(id: $id, email: $email) {
+      draftOrder {
+        ${DRAFT_ORDER_FIELDS}
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const DRAFT_ORDER_COMPLETE_MUTATION = `
+  mutation DraftOrderComplete($id: ID!, $paymentPending: Boolean) {
+    draftOrderComplete(id: $id, paymentPending: $paymentPending) {
+      draftOrder {
+        ${DRAFT_ORDER_FIELDS}
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const DRAFT_ORDER_DELETE_MUTATION = `
+  mutation DraftOrderDelete($input: DraftOrderDeleteInput!) {
+    draftOrderDelete(input: $input) {
+      deletedId
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const DRAFT_ORDERS_QUERY = `
+  query DraftOrders($first: Int!, $after: String, $query: String!) {
+    draftOrders(first: $first, after: $after, query: $query, sortKey: UPDATED_AT, reverse: true) {
+      nodes {
+        ${DRAFT_ORDER_FIELDS}
+        createdAt
+        updatedAt
+        lineItems(first: 100) {
+          nodes {
+            title
+            quantity
+            variant {
+              id
+            }
+          }
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+/**
+ * Draft order node in the shape the endpoints return
+ */
+function normalizeDraftOrder(node) {
+  return {
+    id: toNumericId(node.id),
+    name: node.name,
+    status: node.status.toLowerCase(),
+    invoice_url: node.invoiceUrl,
+    tags: node.tags || [],
+    customer: node.customer ? { id: toNumericId(node.customer.id) } : null,
+    order_id: node.order ? toNumericId(node.order.id) : null,
+    currency: node.subtotalPriceSet.shopMoney.currencyCode,
+    presentment_currency: node.presentmentCurrencyCode,
+    subtotal_price: node.subtotalPriceSet.shopMoney.amount,
+    total_price: node.totalPriceSet.shopMoney.amount,
+    presentment_total_price: node.totalPriceSet.presentmentMoney.amount
+  };
+}
+
+/**
+ * Create a draft order from a DraftOrderInput
+ */
+async function createDraftOrder(input) {
+  const data = await shopifyGraphql(DRAFT_ORDER_CREATE_MUTATION, { input });
+  throwOnUserErrors(data.draftOrderCreate, 'create draft order');
+
+  const draftOrder = normalizeDraftOrder(data.draftOrderCreate.draftOrder);
+  logger.info('Draft order created', { draft_order_id: draftOrder.id });
+  return draftOrder;
+}
+
+/**
+ * Get a draft order, or null when it does not exist
+ */
+async function getDraftOrder(draftOrderId) {
+  const data = await shopifyGraphql(DRAFT_ORDER_QUERY, { id: toGid('DraftOrder', draftOrderId) });
+  return data.draftOrder ? normalizeDraftOrder(data.draftOrder) : null;
+}
+
+/**
+ * Find a draft order by a tag only it carries (e.g. the marker of a create whose
+ * response was lost), or null when there is none
+ */
+async function findDraftOrderByTag(tag) {
+  const data = await shopifyGraphql(DRAFT_ORDERS_QUERY, { first: 1, after: null, query: `tag:"${tag}"` });
+  const [node] = data.draftOrders.nodes;
+  return node ? normalizeDraftOrder(node) : null;
+}
+
+/**
+ * Email the draft order invoice.
+ * email: EmailInput { to?, bcc?, subject?, customMessage? } - Shopify defaults to the customer's email
+ */
+async function sendDraftOrderInvoice(draftOrderId, email = {}) {
+  const data = await shopifyGraphql(DRAFT_ORDER_INVOICE_SEND_MUTATION, {
+    id: toGid('DraftOrder', draftOrderId),
+    email
+  });
+  throwOnUserErrors(data.draftOrderInvoiceSend, 'send draft order invoice');
+  return normalizeDraftOrder(data.draftOrderInvoiceSend.draftOrder);
+}
+
+/**
+ * Turn a draft order into an order, marked paid or (paymentPending) awaiting payment
+ */
+async function completeDraftOrder(draftOrderId, { paymentPending = false } = {}) {
+  const data = await shopifyGraphql(DRAFT_ORDER_COMPLETE_MUTATION, {
+    id: toGid('DraftOrder', draftOrderId),
+    paymentPending
+  });
+  throwOnUserErrors(data.draftOrderComplete, 'complete draft order');
+  return normalizeDraftOrder(data.draftOrderComplete.draftOrder);
+}
+
+/**
+ * Replace fields of a draft order (lineItems replaces every line)
+ */
+async function updateDraftOrder(draftOrderId, input) {
+  const data = await shopifyGraphql(DRAFT_ORDER_UPDATE_MUTATION, {
+    id: toGid('DraftOrder', draftOrderId),
+    input
+  });
+  throwOnUserErrors(data.draftOrderUpdate, 'update draft order');
+  return normalizeDraftOrder(data.draftOrderUpdate.draftOrder);
+}
+
+/**
+ * Delete a draft order. Returns false when it was already gone.
+ */
+async function deleteDraftOrder(draftOrderId) {
+  if (!(await getDraftOrder(draftOrderId))) {
+    return false;
+  }
+
+  const data = await shopifyGraphql(DRAFT_ORDER_DELETE_MUTATION, {
+    input: { id: toGid('DraftOrder', draftOrderId) }
+  });
+  throwOnUserErrors(data.draftOrderDelete, 'delete draft order');
+  return true;
+}
+
+/**
+ * Delete an uncompleted draft order and give back the points redeemed on it.
+ * Returns { deleted, points_restored }.
+ */
+async function discardDraftOrder(draftOrderId, { reason }) {
+  const redemption = await claimDraftRedemption(draftOrderId);
+
+  let deleted;
+  try {
+    deleted = await deleteDraftOrder(draftOrderId);
+  } catch (error) {
+    if (redemption) {
+      await unclaimDraftRedemption(draftOrderId, redemption);
+    }
+    throw error;
+  }
+
+  if (redemption) {
+    try {
+      await restoreDraftRedemption(draftOrderId, redemption, { reason });
+    } catch (error) {
+      // Draft is gone but the points are not back - needs a manual adjustment (api/admin/points)
+      logger.error('Failed to restore points from draft order', { draft_order_id: draftOrderId, points: redemption.points, error });
+      return { deleted, points_restored: 0 };
+    }
+  }
+
+  return { deleted, points_restored: redemption ? redemption.points : 0 };
+}
+
+/**
+ * Get a draft order the caller may manage: a tier-pricing draft of this customer
+ * (customerId null = any customer). Null otherwise, or when it does not exist.
+ */
+async function getManagedDraftOrder(draftOrderId, customerId) {
+  const draftOrder = await getDraftOrder(draftOrderId);
+  if (!draftOrder) {
+    return null;
+  }
+
+  const tags = draftOrder.tags.map(tag => tag.toLowerCase());
+  if (!tags.includes(ORDER_TAG)) {
+    return null;
+  }
+  if (customerId && draftOrder.customer?.id?.toString() !== toNumericId(customerId)) {
+    return null;
+  }
+
+  return draftOrder;
+}
+
+/**
+ * DraftOrderLineItemInput list for priced cart lines (lib/pricing.js), with the tier discount.
+ * For a draft in the shop currency the rounded discount amount is sent too, so Shopify
+ * charges exactly what lib/pricing.js worked out; in another presentment currency Shopify
+ * applies the percentage to its converted prices.
+ */
+function draftLineItems(lines, { currency, presentmentCurrency = currency }) {
+  return lines.map(line => {
+    const lineItem = {
+      variantId: toGid('ProductVariant', line.variant_id),
+      quantity: line.quantity
+    };
+
+    if (line.discount_percent > 0) {
+      lineItem.appliedDiscount = {
+        description: line.description,
+        valueType: 'PERCENTAGE',
+        value: line.discount_percent
+      };
+      if (presentmentCurrency === currency) {
+        lineItem.appliedDiscount.amount = formatAmount(toMinor(line.discount_amount, currency), currency);
+      }
+    }
+
+    return lineItem;
+  });
+}
+
+/**
+ * One page of uncompleted tier-pricing draft orders, most recently updated first.
+ *
+ * options.customerId    - only this customer's drafts
+ * options.updatedBefore - only drafts last updated before this date
+ *
+ * Returns { draftOrders, nextCursor }.
+ */
+async function listOpenDraftOrders({ customerId = null, updatedBefore = null, first = 50, after = null } = {}) {
+  const terms = [`tag:${ORDER_TAG}`, '-status:completed'];
+  if (customerId) {
+    terms.push(`customer_id:${toNumericId(customerId)}`);
+  }
+  if (updatedBefore) {
+    terms.push(`updated_at:<${updatedBefore.toISOString()}`);
+  }
+
+  const data = await shopifyGraphql(DRAFT_ORDERS_QUERY, { first, after, query: terms.join(' ') });
+  const { nodes, pageInfo } = data.draftOrders;
+
+  return {
+    draftOrders: nodes.map(node => {
+      const { customer, ...draftOrder } = normalizeDraftOrder(node);
+      return {
+        ...draftOrder,
+        created_at: node.createdAt,
+        updated_at: node.updatedAt,
+        customer_id: customer ? customer.id : null,
+        line_items: node.lineItems.nodes.map(line => ({
+          title: line.title,
+          quantity: line.quantity,
+          variant_id: line.variant ? toNumericId(line.variant.id) : null
+        }))
+      };
+    }),
+    nextCursor: pageInfo.hasNextPage ? pageInfo.endCursor : null
+  };
+}
+
+module.exports = {
+  createDraftOrder,
+  getDraftOrder,
+  findDraftOrderByTag,
+  sendDraftOrderInvoice,
+  completeDraftOrder,
+  updateDraftOrder,
+  deleteDraftOrder,
+  discardDraftOrder,
+  getManagedDraftOrder,
+  draftLineItems,
+  listOpenDraftOrders
+};
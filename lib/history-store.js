@@ -0,0 +1,237 @@
+/**
+ * Rewards history
+ * Append-only and uncapped, kept in the rewards store (lib/rewards-store; chunked
+ * customer metafields by default). Helpers here page, filter and total it.
+ *
+ * Every entry has a position (`seq`, 0 = oldest) derived from where it is stored,
+ * which stays stable as new entries are appended - it is what paging cursors use.
+ *
+ * The store keeps the entry count and running totals next to the entries, so an
+ * unfiltered page reads only the entries on it (readHistoryPage).
+ */
+
+const { getRewardsStore } = require('./rewards-store');
+
+// Entry types, used for filtering
+const HISTORY_TYPES = ['earn', 'redeem', 'expire', 'adjust', 'reversal', 'tier'];
+
+function parseJson(value, fallback) {
+  if (!value) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+}
+
+/**
+ * Type of an entry - entries written before `type` existed were all redemptions
+ */
+function entryType(entry) {
+  return entry.type || 'redeem';
+}
+
+/**
+ * Signed points change of an entry
+ */
+function entryDelta(entry) {
+  if (typeof entry.points === 'number') {
+    return entry.points;
+  }
+  switch (entryType(entry)) {
+    case 'earn':
+      return entry.points_earned || 0;
+    case 'redeem':
+      return -(entry.points_used || 0);
+    case 'expire':
+      return -(entry.points_expired || 0);
+    case 'reversal':
+      return -(entry.points_reversed || 0);
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Totals of no entries
+ */
+function emptyTotals() {
+  return { earned: 0, redeemed: 0, expired: 0, adjusted: 0, reversed: 0, net: 0 };
+}
+
+/**
+ * Totals with one more entry counted (returns a new object)
+ */
+function addToTotals(totals, entry) {
+  const delta = entryDelta(entry);
+  const result = { ...totals, net: totals.net + delta };
+  switch (entryType(entry)) {
+    case 'earn':
+      result.earned += delta;
+      break;
+    case 'redeem':
+      result.redeemed += -delta;
+      break;
+    case 'expire':
+      result.expired += -delta;
+      break;
+    case 'reversal':
+      result.reversed += -delta;
+      break;
+    case 'adjust':
+      result.adjusted += delta;
+      break;
+  }
+  return result;
+}
+
+/**
+ * Give stored entries their `seq` (counting from `start`) and `type`
+ */
+function tagEntries(entries, start = 0) {
+  return entries.map((entry, i) => ({ ...entry, seq: start + i, type: entryType(entry) }));
+}
+
+/**
+ * Append an entry to a customer's history
+ */
+async function appendHistory(customerId, entry) {
+  await getRewardsStore().appendHistory(customerId, entry);
+}
+
+/**
+ * Full history of a customer, oldest first, or null when the customer does not exist.
+ * Each entry gets `seq` (its position) and `type`.
+ */
+async function readHistory(customerId) {
+  const entries = await getRewardsStore().readHistory(customerId);
+  if (!entries) {
+    return null;
+  }
+  return tagEntries(entries);
+}
+
+/**
+ * Fill in `balance_after` for entries that do not carry it, working back from the current balance.
+ * Expects entries oldest first; returns a new array.
+ */
+function withRunningBalance(entries, currentBalance) {
+  const result = new Array(entries.length);
+  let balance = currentBalance;
+
+  for (let i = entries.length - 1; i >= 0; i--) {
+    const entry = entries[i];
+    const balanceAfter = typeof entry.balance_after === 'number' ? entry.balance_after : balance;
+    result[i] = { ...entry, balance_after: balanceAfter };
+    balance = balanceAfter - entryDelta(entry);
+  }
+
+  return result;
+}
+
+/**
+ * Page through history, newest first.
+ *
+ * options.limit  - page size
+ * options.before - cursor: only entries with seq below it
+ * options.types  - only these entry types
+ * options.from   - only entries at or after this date
+ * options.to     - only entries at or before this date
+ *
+ * Returns { entries, nextCursor, totals } - totals cover every entry matching the
+ * filters, not just this page.
+ */
+function pageHistory(entries, { limit = 20, before = null, types = null, from = null, to = null } = {}) {
+  const matches = entries.filter(entry => {
+    if (types && !types.includes(entry.type)) {
+      return false;
+    }
+    const date = new Date(entry.date);
+    if (from && date < from) {
+      return false;
+    }
+    if (to && date > to) {
+      return false;
+    }
+    return true;
+  });
+
+  const totals = matches.reduce(addToTotals, emptyTotals());
+
+  const newestFirst = matches
+    .filter(entry => before === null || entry.seq < before)
+    .reverse();
+  const page = newestFirst.slice(0, limit);
+  const nextCursor = newestFirst.length > limit ? page[page.length - 1].seq : null;
+
+  return { entries: page, nextCursor, totals };
+}
+
+/**
+ * One page of a customer's history with running balances - pageHistory's
+ * { entries, nextCursor, totals } - or null when the customer does not exist.
+ * currentBalance is the customer's balance now, which running balances work back from.
+ *
+ * Without filters only the entries on the page are read, using the count and totals
+ * the store keeps. Filtered pages (types, from, to), and histories the store has no
+ * totals for yet, read every entry.
+ */
+async function readHistoryPage(customerId, currentBalance, { limit = 20, before = null, types = null, from = null, to = null } = {}) {
+  const store = getRewardsStore();
+  const index = await store.readHistoryIndex(customerId);
+  if (!index) {
+    return null;
+  }
+
+  if (types || from || to || !index.totals) {
+    const entries = await readHistory(customerId);
+    return entries && pageHistory(withRunningBalance(entries, currentBalance), { limit, before, types, from, to });
+  }
+
+  const end = before === null ? index.count : Math.min(before, index.count);
+  const start = Math.max(end - limit, 0);
+  const entries = tagEntries(await store.readHistoryRange(customerId, start, end) || [], start);
+
+  // Entries written before balance_after existed: work back from the newer ones
+  let balanceAfterPage = currentBalance;
+  if (end < index.count && entries.length > 0 && typeof entries[entries.length - 1].balance_after !== 'number') {
+    const newer = await store.readHistoryRange(customerId, end, index.count);
+    const [next] = withRunningBalance(newer, currentBalance);
+    balanceAfterPage = next.balance_after - entryDelta(next);
+  }
+
+  return {
+    entries: withRunningBalance(entries, balanceAfterPage).reverse(),
+    nextCursor: start > 0 ? start : null,
+    totals: index.totals
+  };
+}
+
+/**
+ * Encode / decode the opaque paging cursor
+ */
+function encodeCursor(seq) {
+  return Buffer.from(JSON.stringify({ before: seq })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  const data = parseJson(Buffer.from(cursor, 'base64url').toString('utf8'), null);
+  return data && Number.isInteger(data.before) ? data.before : null;
+}
+
+module.exports = {
+  HISTORY_TYPES,
+  entryType,
+  entryDelta,
+  emptyTotals,
+  addToTotals,
+  appendHistory,
+  readHistory,
+  readHistoryPage,
+  withRunningBalance,
+  pageHistory,
+  encodeCursor,
+  decodeCursor
+};
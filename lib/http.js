@@ -0,0 +1,316 @@
+/**
+ * Resilient HTTP requests
+ * The one place outgoing calls get their timeout (AbortController), retries with
+ * jittered exponential backoff (honouring Retry-After) and circuit breaking.
+ *
+ * Failures are thrown as UpstreamError subclasses, so callers can tell "the upstream
+ * service failed" apart from a legitimate empty answer and respond with 503 instead
+ * of a wrong value (see sendUpstreamError).
+ */
+
+const { logger } = require('./logger');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 3;
+const BASE_RETRY_DELAY = 500; // first backoff step
+const MAX_RETRY_DELAY = 10000; // cap for backoff and Retry-After
+
+// fetch failures where no connection was made - the service cannot have seen the request
+const CONNECT_ERROR_CODES = new Set([
+  'ECONNREFUSED',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'UND_ERR_CONNECT_TIMEOUT'
+]);
+
+/**
+ * Base class: the upstream service could not give an answer
+ */
+class UpstreamError extends Error {
+  constructor(message, { code = 'UPSTREAM_ERROR', status = null, retryAfterMs = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'UpstreamError';
+    this.code = code;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * No response within the timeout
+ */
+class TimeoutError extends UpstreamError {
+  constructor(message, options = {}) {
+    super(message, { code: 'UPSTREAM_TIMEOUT', ...options });
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * No response from the service (DNS, connection refused or reset, ...).
+ * `sent` is false when no connection was made, so the request cannot have been applied.
+ */
+class NetworkError extends UpstreamError {
+  constructor(message, { sent = true, ...options } = {}) {
+    super(message, { code: 'UPSTREAM_NETWORK_ERROR', ...options });
+    this.name = 'NetworkError';
+    this.sent = sent;
+  }
+}
+
+/**
+ * Rate limited (429) and still limited after the retries
+ */
+class RateLimitError extends UpstreamError {
+  constructor(message, options = {}) {
+    super(message, { code: 'UPSTREAM_RATE_LIMITED', status: 429, ...options });
+    this.name = 'RateLimitError';
+  }
+}
+
+/**
+ * Non-2xx response; `body` holds the response text
+ */
+class HttpError extends UpstreamError {
+  constructor(message, { body = '', ...options } = {}) {
+    super(message, { code: 'UPSTREAM_HTTP_ERROR', ...options });
+    this.name = 'HttpError';
+    this.body = body;
+  }
+}
+
+/**
+ * Not attempted: the circuit breaker is open after repeated failures
+ */
+class CircuitOpenError extends UpstreamError {
+  constructor(message, options = {}) {
+    super(message, { code: 'UPSTREAM_CIRCUIT_OPEN', ...options });
+    this.name = 'CircuitOpenError';
+  }
+}
+
+/**
+ * Circuit breaker for one upstream service (per function instance).
+ * After `failureThreshold` consecutive failures calls fail fast with CircuitOpenError
+ * for `cooldownMs`; then a single trial call is let through, and its outcome closes
+ * the circuit again or re-opens it.
+ */
+class CircuitBreaker {
+  constructor(name, { failureThreshold = 5, cooldownMs = 30000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = 0;
+  }
+
+  /**
+   * Throw CircuitOpenError unless a call may go through now
+   */
+  check() {
+    if (this.state === 'closed') {
+      return;
+    }
+
+    const remaining = this.openedAt + this.cooldownMs - Date.now();
+    if (this.state === 'open' && remaining <= 0) {
+      this.state = 'half_open';
+      return;
+    }
+
+    throw new CircuitOpenError(`${this.name} is unavailable (circuit open)`, {
+      retryAfterMs: Math.max(remaining, 1000)
+    });
+  }
+
+  success() {
+    this.state = 'closed';
+    this.failures = 0;
+  }
+
+  failure() {
+    this.failures++;
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        logger.error('Circuit opened', { circuit: this.name, failures: this.failures });
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+}
+
+/**
+ * Retry-After header (seconds or HTTP date) in milliseconds, or null
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(seconds * 1000, 0);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Backoff before retry `attempt` (0-based): "full jitter" - a random delay up to
+ * the exponential step, so instances retrying together spread out
+ */
+function backoffDelay(attempt) {
+  const step = Math.min(MAX_RETRY_DELAY, BASE_RETRY_DELAY * Math.pow(2, attempt));
+  return Math.round(Math.random() * step);
+}
+
+/**
+ * Send one request with a timeout. Returns { status, headers, text }.
+ */
+async function attemptRequest(url, { method, headers, body, timeoutMs }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, { method, headers, body, signal: controller.signal });
+    // Reading the body is covered by the same timeout
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, text };
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new TimeoutError(`${method} ${url} timed out after ${timeoutMs}ms`, { cause: error });
+    }
+    throw new NetworkError(`${method} ${url} failed: ${error.message}`, {
+      cause: error,
+      sent: !CONNECT_ERROR_CODES.has(error.cause?.code)
+    });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * True when the failed request certainly did not reach the service
+ */
+function isUnapplied(error) {
+  return error instanceof RateLimitError || (error instanceof NetworkError && !error.sent);
+}
+
+/**
+ * Make an HTTP request with timeout, retries and an optional circuit breaker.
+ *
+ * options.method, options.headers, options.body - as for fetch
+ * options.timeoutMs - per attempt (default 10s)
+ * options.retries   - retries after the first attempt (default 3)
+ * options.idempotent - false for requests that must not run twice (mutations): only
+ *                      429s and connection failures before anything was sent are retried,
+ *                      as a timeout, reset or 5xx may come after the request was applied
+ * options.breaker   - CircuitBreaker guarding the service
+ *
+ * Retries timeouts, network errors, 429 and 5xx. Returns { status, headers, text } for
+ * 2xx responses; throws an UpstreamError subclass otherwise.
+ */
+async function httpRequest(url, options = {}) {
+  const {
+    method = 'GET',
+    headers = {},
+    body,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    retries = DEFAULT_RETRIES,
+    idempotent = true,
+    breaker = null
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    if (breaker) {
+      breaker.check();
+    }
+
+    let error;
+    try {
+      const response = await attemptRequest(url, { method, headers, body, timeoutMs });
+
+      if (response.status >= 200 && response.status < 300) {
+        if (breaker) {
+          breaker.success();
+        }
+        return response;
+      }
+
+      const retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+      if (response.status === 429) {
+        error = new RateLimitError(`${method} ${url} rate limited`, { retryAfterMs });
+      } else {
+        error = new HttpError(`${method} ${url} failed: ${response.status} - ${response.text}`, {
+          status: response.status,
+          body: response.text,
+          retryAfterMs
+        });
+        if (response.status < 500) {
+          // The request itself is wrong - retrying will not help, and the service is up
+          if (breaker) {
+            breaker.success();
+          }
+          throw error;
+        }
+      }
+    } catch (caught) {
+      if (!(caught instanceof TimeoutError || caught instanceof NetworkError)) {
+        throw caught;
+      }
+      error = caught;
+    }
+
+    // Rate limiting means the service is up; everything else counts against the breaker
+    if (breaker && !(error instanceof RateLimitError)) {
+      breaker.failure();
+    }
+
+    if (attempt >= retries || !(idempotent || isUnapplied(error))) {
+      throw error;
+    }
+
+    const delay = Math.min(Math.max(error.retryAfterMs || 0, backoffDelay(attempt)), MAX_RETRY_DELAY);
+    logger.warn('Retrying upstream request', { error: error.message, delay_ms: delay, attempt: attempt + 1, max_attempts: retries });
+    await sleep(delay);
+  }
+}
+
+/**
+ * Respond 503 for an UpstreamError, with Retry-After when known
+ */
+function sendUpstreamError(res, error) {
+  logger.error('Upstream error', { error });
+  if (error.retryAfterMs) {
+    res.setHeader('Retry-After', Math.ceil(error.retryAfterMs / 1000).toString());
+  }
+  return res.status(503).json({
+    error: 'Service temporarily unavailable',
+    code: error.code,
+    message: 'Shopify could not be reached, please try again'
+  });
+}
+
+/**
+ * Sleep utility for retry delays
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  UpstreamError,
+  TimeoutError,
+  NetworkError,
+  RateLimitError,
+  HttpError,
+  CircuitOpenError,
+  CircuitBreaker,
+  isUnapplied,
+  httpRequest,
+  parseRetryAfter,
+  sendUpstreamError
+};
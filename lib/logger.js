@@ -0,0 +1,204 @@
+/**
+ * Structured logging
+ * One JSON object per line: { time, level, msg, request_id, route, ...fields }.
+ *
+ * Handlers are wrapped with withRequestLogging, which gives every request a
+ * correlation ID (the caller's X-Request-Id when it sends a usable one, a new UUID
+ * otherwise), returns it in the X-Request-Id response header and logs the request's
+ * outcome and duration. Anything logged while the request runs - in lib/ too -
+ * carries the same request_id.
+ *
+ * LOG_LEVEL: debug, info (default), warn or error.
+ *
+ * Fields are redacted before they are written: values of secret-like keys (token,
+ * secret, authorization, signature, ...), emails, names / addresses / phone numbers,
+ * Shopify access tokens, bearer tokens and the configured secrets themselves.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 8;
+
+// Keys whose string values are never logged
+const SECRET_KEY = /token|secret|password|authorization|cookie|signature|hmac|api_?key|credential/i;
+// Personal data: emails, names, addresses and phone numbers
+const PERSONAL_KEY = /e_?mail|^(first_?name|last_?name|company|phone|address[12]?|shipping_?address|billing_?address|street|city|zip|postal_?code|province(_?code)?)$/i;
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const SHOPIFY_TOKEN_PATTERN = /\bshp(at|ca|pa|ss|ua)_[A-Za-z0-9_-]+/g;
+const BEARER_PATTERN = /\bBearer\s+[^\s"',]+/gi;
+
+// Configured secret values, replaced wherever they show up in a message
+const SECRET_VALUES = [
+  'SHOPIFY_ACCESS_TOKEN',
+  'SHOPIFY_API_SECRET',
+  'SHOPIFY_WEBHOOK_SECRET',
+  'AUTH_HMAC_SECRET',
+  'ADMIN_HMAC_SECRET',
+  'CRON_HMAC_SECRET',
+  'ADMIN_API_TOKEN',
+  'CRON_SECRET',
+  'RATE_LIMIT_REDIS_TOKEN'
+].map(name => process.env[name]).filter(value => value && value.length >= 8);
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Mask secrets and emails inside a string
+ */
+function redactString(value) {
+  let result = value;
+  for (const secret of SECRET_VALUES) {
+    result = result.split(secret).join(REDACTED);
+  }
+  return result
+    .replace(SHOPIFY_TOKEN_PATTERN, REDACTED)
+    .replace(BEARER_PATTERN, `Bearer ${REDACTED}`)
+    .replace(EMAIL_PATTERN, REDACTED);
+}
+
+/**
+ * Copy of a value safe to log: see the rules at the top of this file.
+ * Errors become { name, message, code?, status?, stack }.
+ */
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  seen.add(value);
+
+  if (value instanceof Error) {
+    const error = { name: value.name, message: redactString(value.message) };
+    if (value.code !== undefined) {
+      error.code = value.code;
+    }
+    if (value.status !== undefined && value.status !== null) {
+      error.status = value.status;
+    }
+    if (value.stack) {
+      error.stack = redactString(value.stack);
+    }
+    return error;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1, seen));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (item !== null && item !== undefined && (PERSONAL_KEY.test(key) || (SECRET_KEY.test(key) && typeof item === 'string'))) {
+      result[key] = REDACTED;
+    } else {
+      result[key] = redact(item, depth + 1, seen);
+    }
+  }
+  return result;
+}
+
+/**
+ * Create a logger.
+ * options.level - lowest level written (default LOG_LEVEL)
+ * options.write - (level, line) => void (default: console.log / warn / error)
+ */
+function createLogger({ level = LOG_LEVEL, write = writeLine } = {}) {
+  const threshold = LEVELS[level] || LEVELS.info;
+
+  function log(entryLevel, msg, fields = {}) {
+    if (LEVELS[entryLevel] < threshold) {
+      return;
+    }
+    const entry = {
+      time: new Date().toISOString(),
+      level: entryLevel,
+      msg: redactString(msg),
+      ...requestContext.getStore(),
+      ...redact(fields)
+    };
+    write(entryLevel, JSON.stringify(entry));
+  }
+
+  return {
+    level,
+    debug: (msg, fields) => log('debug', msg, fields),
+    info: (msg, fields) => log('info', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    error: (msg, fields) => log('error', msg, fields)
+  };
+}
+
+function writeLine(level, line) {
+  if (level === 'error') {
+    console.error(line);
+  } else if (level === 'warn') {
+    console.warn(line);
+  } else {
+    console.log(line);
+  }
+}
+
+const logger = createLogger();
+
+/**
+ * The current request's correlation ID, or null outside a request
+ */
+function getRequestId() {
+  return requestContext.getStore()?.request_id || null;
+}
+
+/**
+ * Wrap a handler: assign the request ID, send it back in X-Request-Id, run the handler
+ * with it as logging context and log how the request ended.
+ */
+function withRequestLogging(route, handler) {
+  return async (req, res) => {
+    const incoming = req.headers?.['x-request-id'];
+    const requestId = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.setHeader('X-Request-Id', requestId);
+
+    return requestContext.run({ request_id: requestId, route }, async () => {
+      const startedAt = Date.now();
+      try {
+        const result = await handler(req, res);
+        const status = res.statusCode;
+        const fields = { method: req.method, status, duration_ms: Date.now() - startedAt };
+        if (status >= 500) {
+          logger.error('Request failed', fields);
+        } else {
+          logger.info('Request finished', fields);
+        }
+        return result;
+      } catch (error) {
+        logger.error('Request crashed', { method: req.method, duration_ms: Date.now() - startedAt, error });
+        throw error;
+      }
+    });
+  };
+}
+
+module.exports = {
+  LOG_LEVEL,
+  logger,
+  createLogger,
+  redact,
+  getRequestId,
+  withRequestLogging
+};
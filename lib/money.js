@@ -0,0 +1,100 @@
+/**
+ * Money math in integer minor units
+ * Amounts are computed as integers of the currency's smallest unit (1 đồng for VND,
+ * 1 cent for USD, 1 fils for KWD) and only turned back into decimals at the edges,
+ * so floating-point drift never reaches a price or a discount.
+ *
+ * Minor-unit digits per currency come from ISO 4217 (via Intl): VND and JPY have none,
+ * most currencies two, KWD / BHD three. Rounding is half away from zero, as Shopify does.
+ */
+
+const { logger } = require('./logger');
+
+const DEFAULT_DECIMALS = 2;
+
+const decimalsCache = new Map();
+
+/**
+ * Number of minor-unit digits of a currency (ISO 4217 code)
+ */
+function currencyDecimals(currency) {
+  const code = (currency || '').toString().toUpperCase();
+  if (!decimalsCache.has(code)) {
+    let decimals = DEFAULT_DECIMALS;
+    try {
+      decimals = new Intl.NumberFormat('en', { style: 'currency', currency: code })
+        .resolvedOptions().maximumFractionDigits;
+    } catch (e) {
+      logger.error('Unknown currency, assuming default decimals', { currency: code, decimals: DEFAULT_DECIMALS });
+    }
+    decimalsCache.set(code, decimals);
+  }
+  return decimalsCache.get(code);
+}
+
+/**
+ * Round a (possibly fractional) minor-unit value to an integer, half away from zero
+ */
+function roundMinor(value) {
+  const rounded = Math.round(Math.abs(value) + Number.EPSILON * Math.abs(value));
+  return value < 0 ? -rounded : rounded;
+}
+
+/**
+ * Decimal amount (number or string, e.g. Shopify's "150000.00") in minor units
+ */
+function toMinor(amount, currency) {
+  const value = typeof amount === 'number' ? amount : parseFloat(amount);
+  if (!Number.isFinite(value)) {
+    throw new Error(`Invalid amount: ${amount}`);
+  }
+  return roundMinor(value * Math.pow(10, currencyDecimals(currency)));
+}
+
+/**
+ * Minor units as a decimal number (for JSON responses)
+ */
+function fromMinor(minor, currency) {
+  return minor / Math.pow(10, currencyDecimals(currency));
+}
+
+/**
+ * Minor units as a decimal string with the currency's digits (for Shopify inputs)
+ */
+function formatAmount(minor, currency) {
+  return fromMinor(minor, currency).toFixed(currencyDecimals(currency));
+}
+
+/**
+ * Round a list of fractional minor-unit amounts so that they add up to the rounded
+ * total (largest remainder): each value moves to its floor or ceiling, and the
+ * remainders that were largest get the units left over.
+ */
+function roundAllocations(values) {
+  const floors = values.map(value => Math.floor(value));
+  const target = roundMinor(values.reduce((sum, value) => sum + value, 0));
+  let leftover = target - floors.reduce((sum, value) => sum + value, 0);
+
+  const order = values
+    .map((value, i) => ({ i, remainder: value - floors[i] }))
+    .sort((a, b) => b.remainder - a.remainder || a.i - b.i);
+
+  const result = [...floors];
+  for (const { i } of order) {
+    if (leftover <= 0) {
+      break;
+    }
+    result[i]++;
+    leftover--;
+  }
+  return result;
+}
+
+module.exports = {
+  currencyDecimals,
+  roundMinor,
+  toMinor,
+  fromMinor,
+  formatAmount,
+  roundAllocations
+};
@@ -0,0 +1,187 @@
+/**
+ * Point lots
+ * Points are kept as dated lots (rewards.lots) next to the rewards.points total,
+ * so old points can expire. Lots are spent first-in-first-out.
+ *
+ * Lot: { id, points, earned_at, source, order_id? }  - `points` is what is left of it
+ *
+ * Invariant: the lots add up to max(balance, 0). Balances written before lots
+ * existed are reconciled into a single "legacy" lot, saved with the next balance
+ * write or by the expiry cron (api/cron/expire-points.js), whichever comes first.
+ */
+
+const crypto = require('crypto');
+
+// How long a lot lives (0 disables expiry)
+const POINTS_LIFETIME_DAYS = process.env.POINTS_LIFETIME_DAYS !== undefined
+  ? parseInt(process.env.POINTS_LIFETIME_DAYS) || 0
+  : 365;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Sort lots oldest first
+ */
+function sortLots(lots) {
+  return [...lots].sort((a, b) => new Date(a.earned_at) - new Date(b.earned_at));
+}
+
+/**
+ * Create a new lot
+ */
+function createLot(points, { source, orderId, earnedAt } = {}) {
+  const lot = {
+    id: crypto.randomUUID(),
+    points,
+    earned_at: earnedAt || new Date().toISOString(),
+    source: source || 'earn'
+  };
+  if (orderId) {
+    lot.order_id = orderId.toString();
+  }
+  return lot;
+}
+
+/**
+ * Spend points from lots, oldest first.
+ * When preferOrderId is set, the lot earned from that order is spent first.
+ * Returns the remaining lots; points beyond what the lots hold are ignored.
+ */
+function consumeLots(lots, points, { preferOrderId } = {}) {
+  let remaining = points;
+  let ordered = sortLots(lots);
+
+  if (preferOrderId) {
+    const preferred = ordered.filter(lot => lot.order_id === preferOrderId.toString());
+    ordered = [...preferred, ...ordered.filter(lot => lot.order_id !== preferOrderId.toString())];
+  }
+
+  const result = [];
+  for (const lot of ordered) {
+    if (remaining <= 0) {
+      result.push(lot);
+      continue;
+    }
+    const used = Math.min(lot.points, remaining);
+    remaining -= used;
+    if (lot.points - used > 0) {
+      result.push({ ...lot, points: lot.points - used });
+    }
+  }
+
+  return sortLots(result);
+}
+
+/**
+ * What consumeLots took: the part of each lot in `before` that is gone from `after`.
+ * Returns lots carrying only the consumed points, for restoreLots.
+ */
+function consumedLots(before, after) {
+  const left = new Map(after.map(lot => [lot.id, lot.points]));
+  return before
+    .map(lot => ({ ...lot, points: lot.points - (left.get(lot.id) || 0) }))
+    .filter(lot => lot.points > 0);
+}
+
+/**
+ * Put consumed points back into their lots (same id and earned_at), e.g. when the
+ * operation that spent them is rolled back
+ */
+function restoreLots(lots, consumed) {
+  const byId = new Map(lots.map(lot => [lot.id, { ...lot }]));
+  for (const lot of consumed) {
+    const existing = byId.get(lot.id);
+    if (existing) {
+      existing.points += lot.points;
+    } else {
+      byId.set(lot.id, { ...lot });
+    }
+  }
+  return sortLots([...byId.values()]);
+}
+
+/**
+ * Make lots add up to max(balance, 0).
+ * Missing points become a legacy lot dated now (its date only sticks once it is
+ * saved); extra points are spent FIFO.
+ */
+function reconcileLots(lots, balance) {
+  const target = Math.max(balance, 0);
+  const total = lots.reduce((sum, lot) => sum + lot.points, 0);
+
+  if (total < target) {
+    return sortLots([...lots, createLot(target - total, { source: 'legacy' })]);
+  }
+  if (total > target) {
+    return consumeLots(lots, total - target);
+  }
+  return sortLots(lots);
+}
+
+/**
+ * Expiry date of a lot, or null when points never expire
+ */
+function lotExpiresAt(lot, lifetimeDays = POINTS_LIFETIME_DAYS) {
+  if (!lifetimeDays) {
+    return null;
+  }
+  return new Date(new Date(lot.earned_at).getTime() + lifetimeDays * DAY);
+}
+
+/**
+ * Split lots into those still valid and those past their lifetime.
+ * Returns { lots, expired, expiredPoints }.
+ */
+function expireLots(lots, now = new Date(), lifetimeDays = POINTS_LIFETIME_DAYS) {
+  const valid = [];
+  const expired = [];
+
+  for (const lot of lots) {
+    const expiresAt = lotExpiresAt(lot, lifetimeDays);
+    if (expiresAt && expiresAt <= now) {
+      expired.push(lot);
+    } else {
+      valid.push(lot);
+    }
+  }
+
+  return {
+    lots: sortLots(valid),
+    expired,
+    expiredPoints: expired.reduce((sum, lot) => sum + lot.points, 0)
+  };
+}
+
+/**
+ * Points expiring within the next `withinDays`, grouped by expiry date.
+ * Returns [{ points, expires_at }] soonest first.
+ */
+function upcomingExpirations(lots, withinDays, now = new Date(), lifetimeDays = POINTS_LIFETIME_DAYS) {
+  const byDate = new Map();
+  const horizon = new Date(now.getTime() + withinDays * DAY);
+
+  for (const lot of lots) {
+    const expiresAt = lotExpiresAt(lot, lifetimeDays);
+    if (!expiresAt || expiresAt <= now || expiresAt > horizon) {
+      continue;
+    }
+    const date = expiresAt.toISOString().slice(0, 10);
+    byDate.set(date, (byDate.get(date) || 0) + lot.points);
+  }
+
+  return [...byDate.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, points]) => ({ points, expires_at: date }));
+}
+
+module.exports = {
+  POINTS_LIFETIME_DAYS,
+  createLot,
+  consumeLots,
+  consumedLots,
+  restoreLots,
+  reconcileLots,
+  lotExpiresAt,
+  expireLots,
+  upcomingExpirations
+};
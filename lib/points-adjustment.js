@@ -0,0 +1,119 @@
+/**
+ * Manual points adjustments by staff
+ * Goes through the same balance / lots / history path as earning and redemption,
+ * so every correction shows up in the ledger with who made it and why.
+ */
+
+const { logger } = require('./logger');
+const {
+  StaleBalanceError,
+  getPointsState,
+  writeRecords,
+  balanceWrites,
+  findAdjustmentRef,
+  adjustmentRefWrite,
+  addRewardHistory
+} = require('./rewards');
+const { createLot, consumeLots } = require('./point-lots');
+
+// Same policy as refunds: debits may only go below 0 when allowed
+const POINTS_ALLOW_NEGATIVE_BALANCE = process.env.POINTS_ALLOW_NEGATIVE_BALANCE === 'true';
+
+const MAX_WRITE_ATTEMPTS = 3;
+
+/**
+ * Thrown for adjustments that cannot be applied (unknown customer, balance too low)
+ */
+class AdjustmentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AdjustmentError';
+    this.status = status;
+  }
+}
+
+/**
+ * Credit (points > 0) or debit (points < 0) a customer's balance.
+ * Returns { customer_id, points, balance_before, balance_after }.
+ *
+ * With a reference the adjustment is recorded on the customer (adjustment_refs, apart
+ * from the short-lived idempotency records) in the same write as the balance; the same
+ * reference again returns the first result with duplicate: true instead of applying it
+ * twice (the last 200 references per customer are kept, see lib/rewards.js).
+ */
+async function adjustCustomerPoints(customerId, points, { reason, operator, reference = null }) {
+  if (!Number.isInteger(points) || points === 0) {
+    throw new AdjustmentError('points must be a non-zero integer');
+  }
+  if (!reason || !operator) {
+    throw new AdjustmentError('reason and operator are required');
+  }
+
+  for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+    const state = await getPointsState(customerId);
+    if (!state) {
+      throw new AdjustmentError(`Customer ${customerId} not found`, 404);
+    }
+
+    const applied = reference ? findAdjustmentRef(state, reference) : null;
+    if (applied) {
+      if (applied.points !== points) {
+        throw new AdjustmentError(`Already applied with ${applied.points} points under the same reference`, 422);
+      }
+      return { ...applied.response, duplicate: true };
+    }
+
+    const newBalance = state.points + points;
+    if (newBalance < 0 && !POINTS_ALLOW_NEGATIVE_BALANCE) {
+      throw new AdjustmentError(`Insufficient points: balance is ${state.points}, debit is ${-points}`);
+    }
+
+    const lots = points > 0
+      ? [...state.lots, createLot(points, { source: 'adjust' })]
+      : consumeLots(state.lots, -points);
+
+    const result = {
+      customer_id: customerId.toString(),
+      points,
+      balance_before: state.points,
+      balance_after: newBalance
+    };
+
+    const writes = balanceWrites(customerId, state, newBalance, lots);
+    if (reference) {
+      writes.push(adjustmentRefWrite(customerId, state, reference, { points, response: result }));
+    }
+
+    try {
+      await writeRecords(writes);
+    } catch (error) {
+      if (!(error instanceof StaleBalanceError) || attempt === MAX_WRITE_ATTEMPTS) {
+        throw error;
+      }
+      continue;
+    }
+
+    try {
+      await addRewardHistory(customerId, {
+        date: new Date().toISOString(),
+        type: 'adjust',
+        action: 'Điều chỉnh điểm',
+        points,
+        balance_after: newBalance,
+        reason,
+        operator
+      });
+    } catch (error) {
+      logger.error('Failed to save reward history', { error });
+    }
+
+    logger.info('Points adjusted', { operator, customer_id: customerId, points, reason });
+
+    return result;
+  }
+}
+
+module.exports = {
+  AdjustmentError,
+  adjustCustomerPoints
+};
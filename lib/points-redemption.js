@@ -0,0 +1,326 @@
+/**
+ * Redeeming points on a draft order
+ * Turns `redeem_points` or a catalog `reward_id` into an order-level discount for
+ * create-draft-order, deducts the points up front and puts them back when the
+ * draft order cannot be created.
+ *
+ * The redemption is also recorded against the draft order (see lib/rewards.js), so
+ * the points can be given back when the draft is deleted without being completed.
+ *
+ * How the discount combines with the line (tier) discounts is decided by the pricing
+ * rules (reward_stacking / max_total_discount_percent, see lib/pricing-rules.js).
+ * Only fixed_amount and percentage rewards without product / collection limits can
+ * be applied this way - the others stay on rewards/exchange.
+ */
+
+const { logger } = require('./logger');
+const { loadPricingRules } = require('./pricing-rules');
+const { loadRewardCatalog, findReward, isRewardEligible } = require('./reward-catalog');
+const { toNumericId } = require('./shopify');
+const {
+  StaleBalanceError,
+  getPointsState,
+  writeRecords,
+  balanceWrites,
+  getDraftRedemption,
+  draftRedemptionWrite,
+  addRewardHistory
+} = require('./rewards');
+const { consumeLots, consumedLots, restoreLots } = require('./point-lots');
+const { currencyDecimals, toMinor, fromMinor, roundMinor } = require('./money');
+
+// Shop currency one point is worth (default 10: 5.000 points = 50.000 in a VND shop, as in the catalog)
+const POINTS_REDEEM_VALUE = parseFloat(process.env.POINTS_REDEEM_VALUE) || 10;
+
+const MAX_WRITE_ATTEMPTS = 3;
+
+/**
+ * Thrown for redemptions that cannot be applied; `details` is merged into the error response
+ */
+class RedemptionError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'RedemptionError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Work out the order discount for a priced cart (lib/pricing.js totals, in the shop currency).
+ *
+ * options.redeemPoints - points to spend at POINTS_REDEEM_VALUE each
+ * options.rewardId     - catalog reward to apply instead
+ *
+ * Returns { points, amount, reward, description, capped }. With redeem_points the
+ * points are reduced to what the cart and the discount cap can take.
+ */
+async function planRedemption({ tier, totals, redeemPoints, rewardId }) {
+  if (redeemPoints !== undefined && rewardId !== undefined) {
+    throw new RedemptionError('Send either redeem_points or reward_id, not both');
+  }
+  if (redeemPoints !== undefined && (!Number.isInteger(redeemPoints) || redeemPoints <= 0)) {
+    throw new RedemptionError('redeem_points must be a positive integer');
+  }
+
+  // Most the order discount may take off, in minor units of the shop currency
+  const { currency } = totals;
+  const pricingRules = await loadPricingRules();
+  const totalMinor = toMinor(totals.total, currency);
+  let availableMinor = totalMinor;
+  if (pricingRules.reward_stacking === 'cap') {
+    // Rounded down - the cap is never exceeded
+    const allowedMinor = Math.floor(toMinor(totals.subtotal, currency) * pricingRules.max_total_discount_percent / 100)
+      - toMinor(totals.discount, currency);
+    availableMinor = Math.min(availableMinor, Math.max(allowedMinor, 0));
+  }
+  const available = fromMinor(availableMinor, currency);
+
+  if (redeemPoints !== undefined) {
+    // Not rounded: a point may be worth a fraction of the minor unit
+    const pointValueMinor = POINTS_REDEEM_VALUE * Math.pow(10, currencyDecimals(currency));
+    const points = Math.min(redeemPoints, Math.floor(availableMinor / pointValueMinor));
+    if (points <= 0) {
+      throw new RedemptionError('No points can be applied to this order', 400, {
+        code: 'DISCOUNT_CAP_REACHED',
+        max_discount_amount: available
+      });
+    }
+    return {
+      points,
+      amount: fromMinor(Math.floor(points * pointValueMinor), currency),
+      reward: null,
+      description: `Reward points: ${points} points`,
+      capped: points < redeemPoints
+    };
+  }
+
+  const catalog = await loadRewardCatalog();
+  const reward = findReward(catalog, rewardId);
+  if (!reward) {
+    throw new RedemptionError('Invalid reward_id', 400, { valid_reward_ids: catalog.map(r => r.id) });
+  }
+  if (!['fixed_amount', 'percentage'].includes(reward.type)
+    || reward.entitled_product_ids.length > 0
+    || reward.entitled_collection_ids.length > 0) {
+    throw new RedemptionError(`Reward ${reward.id} cannot be applied to a draft order, use /api/rewards/exchange`);
+  }
+  if (!isRewardEligible(reward, tier)) {
+    throw new RedemptionError('Customer tier is not eligible for this reward', 403, {
+      reward_id: reward.id,
+      eligible_tiers: reward.tiers
+    });
+  }
+  if (reward.min_order_subtotal > 0 && totalMinor < toMinor(reward.min_order_subtotal, currency)) {
+    throw new RedemptionError(`Reward ${reward.id} needs an order of at least ${reward.min_order_subtotal}`, 400, {
+      min_order_subtotal: reward.min_order_subtotal
+    });
+  }
+
+  const amountMinor = reward.type === 'percentage'
+    ? roundMinor(totalMinor * reward.value / 100)
+    : toMinor(reward.value, currency);
+  if (amountMinor > availableMinor) {
+    // The reward costs a fixed number of points - never hand out less than it is worth
+    throw new RedemptionError(`Reward ${reward.id} exceeds the discount allowed on this order`, 400, {
+      code: 'REWARD_EXCEEDS_CAP',
+      max_discount_amount: available
+    });
+  }
+
+  return {
+    points: reward.points_cost,
+    amount: fromMinor(amountMinor, currency),
+    reward,
+    description: `Reward: ${reward.title}`,
+    capped: false
+  };
+}
+
+/**
+ * The order-level discount (DraftOrderInput.appliedDiscount) of a planned redemption
+ */
+function redemptionDiscount(redemption) {
+  return {
+    title: redemption.reward ? redemption.reward.title : 'Reward points',
+    description: redemption.description,
+    valueType: 'FIXED_AMOUNT',
+    value: redemption.amount
+  };
+}
+
+/**
+ * Plan a draft order's recorded redemption again for a changed cart (draft-orders/update).
+ * The points are already spent, so the new cart must still take all of them - or the
+ * whole reward - within the discount cap; otherwise RedemptionError 409.
+ */
+async function replanDraftRedemption(record, { tier, totals }) {
+  if (record.reward_id === undefined) {
+    // Recorded before reward_id was kept - the discount cannot be worked out again
+    throw new RedemptionError('The items of this draft order cannot be changed, delete it and create a new one', 409, {
+      code: 'REDEMPTION_NOT_REPLANNABLE'
+    });
+  }
+
+  let redemption;
+  try {
+    redemption = record.reward_id
+      ? await planRedemption({ tier, totals, rewardId: record.reward_id })
+      : await planRedemption({ tier, totals, redeemPoints: record.points });
+  } catch (error) {
+    if (!(error instanceof RedemptionError)) {
+      throw error;
+    }
+    throw new RedemptionError(`The new items cannot take the redeemed discount: ${error.message}`, 409, {
+      ...error.details,
+      code: 'REDEMPTION_EXCEEDS_CART',
+      points_redeemed: record.points
+    });
+  }
+
+  if (!record.reward_id && redemption.points < record.points) {
+    throw new RedemptionError('The new items cannot take all the redeemed points', 409, {
+      code: 'REDEMPTION_EXCEEDS_CART',
+      points_redeemed: record.points,
+      points_applicable: redemption.points
+    });
+  }
+  return { ...redemption, points: record.points };
+}
+
+/**
+ * Take points from a customer's balance (oldest lots first).
+ * Returns { balance, consumed } - keep `consumed` to undo it with restorePoints.
+ */
+async function deductPoints(customerId, points) {
+  for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+    const state = await getPointsState(customerId);
+    if (!state) {
+      throw new RedemptionError('Customer not found', 404);
+    }
+    if (state.points < points) {
+      throw new RedemptionError('Insufficient points', 400, {
+        current_points: state.points,
+        points_required: points
+      });
+    }
+
+    const lots = consumeLots(state.lots, points);
+    try {
+      await writeRecords(balanceWrites(customerId, state, state.points - points, lots));
+    } catch (error) {
+      if (!(error instanceof StaleBalanceError) || attempt === MAX_WRITE_ATTEMPTS) {
+        throw error;
+      }
+      continue;
+    }
+
+    return { balance: state.points - points, consumed: consumedLots(state.lots, lots) };
+  }
+}
+
+/**
+ * Give back points taken by deductPoints, into the lots they came from
+ */
+async function restorePoints(customerId, points, consumed) {
+  for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+    const state = await getPointsState(customerId);
+    if (!state) {
+      throw new RedemptionError(`Customer not found, ${points} points could not be restored`, 404, { points });
+    }
+    try {
+      await writeRecords(balanceWrites(customerId, state, state.points + points, restoreLots(state.lots, consumed)));
+      return;
+    } catch (error) {
+      if (!(error instanceof StaleBalanceError) || attempt === MAX_WRITE_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Remember on the draft order which points it spent
+ */
+async function recordDraftRedemption(draftOrderId, customerId, redemption, deduction) {
+  await writeRecords([draftRedemptionWrite(draftOrderId, {
+    customer_id: toNumericId(customerId),
+    points: redemption.points,
+    reward_id: redemption.reward ? redemption.reward.id : null,
+    consumed: deduction.consumed,
+    redeemed_at: new Date().toISOString()
+  }, null)]);
+}
+
+/**
+ * Claim a draft order's redemption before deleting the draft uncompleted.
+ * The record is marked released with compare-and-set, so two racing deletes cannot
+ * both give the points back. Returns the record, or null when there is nothing to give back.
+ */
+async function claimDraftRedemption(draftOrderId) {
+  const { redemption: record, version } = await getDraftRedemption(draftOrderId);
+  if (!record || record.released_at) {
+    return null;
+  }
+
+  try {
+    await writeRecords([draftRedemptionWrite(draftOrderId, {
+      ...record,
+      released_at: new Date().toISOString()
+    }, version)]);
+  } catch (error) {
+    if (error instanceof StaleBalanceError) {
+      return null;
+    }
+    throw error;
+  }
+
+  return record;
+}
+
+/**
+ * Undo claimDraftRedemption when the draft order could not be deleted after all
+ */
+async function unclaimDraftRedemption(draftOrderId, record) {
+  // No version: overwrite whatever is there
+  await writeRecords([draftRedemptionWrite(draftOrderId, record, undefined)]);
+}
+
+/**
+ * Give the points of a claimed redemption back to the customer
+ */
+async function restoreDraftRedemption(draftOrderId, record, { reason }) {
+  await restorePoints(record.customer_id, record.points, record.consumed);
+
+  try {
+    const state = await getPointsState(record.customer_id);
+    await addRewardHistory(record.customer_id, {
+      date: new Date().toISOString(),
+      type: 'adjust',
+      action: 'Hoàn điểm',
+      points: record.points,
+      balance_after: state ? state.points : undefined,
+      draft_order_id: toNumericId(draftOrderId),
+      reason,
+      operator: 'system'
+    });
+  } catch (error) {
+    logger.error('Failed to save reward history', { error });
+  }
+
+  logger.info('Restored points from draft order', { customer_id: record.customer_id, draft_order_id: draftOrderId, points: record.points });
+}
+
+module.exports = {
+  POINTS_REDEEM_VALUE,
+  RedemptionError,
+  planRedemption,
+  redemptionDiscount,
+  replanDraftRedemption,
+  deductPoints,
+  restorePoints,
+  recordDraftRedemption,
+  claimDraftRedemption,
+  unclaimDraftRedemption,
+  restoreDraftRedemption
+};
@@ -0,0 +1,123 @@
+/**
+ * Points reversal for refunded and cancelled orders
+ *
+ * Reads the award recorded on the order (rewards.points_awarded), subtracts the
+ * points from the customer's balance and records the reversal on the order in the
+ * same atomic write. Each reversal has an ID (refund:<id> or cancel), so webhook
+ * retries are no-ops, and the total reversed never exceeds what was awarded.
+ */
+
+const { logger } = require('./logger');
+const {
+  StaleBalanceError,
+  getPointsState,
+  writeRecords,
+  balanceWrites,
+  getOrderRewards,
+  orderRewardsWrite,
+  addRewardHistory
+} = require('./rewards');
+const { consumeLots } = require('./point-lots');
+
+// Allow the balance to go negative when the points were already spent
+const POINTS_ALLOW_NEGATIVE_BALANCE = process.env.POINTS_ALLOW_NEGATIVE_BALANCE === 'true';
+
+const MAX_WRITE_ATTEMPTS = 3;
+
+/**
+ * Reverse points for an order.
+ *
+ * options.reversalId - unique ID for this reversal (e.g. refund:123, cancel)
+ * options.reason     - 'refund' or 'cancel'
+ * options.amount     - refunded subtotal; reverses the proportional share of the award.
+ *                      Omit to reverse everything not yet reversed.
+ *
+ * Returns { status, points, balance } where status is 'reversed', 'duplicate',
+ * 'not_awarded' (no points were ever awarded for the order) or 'nothing_left'.
+ */
+async function reverseOrderPoints(orderId, { reversalId, reason, amount, refundId } = {}) {
+  for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+    const orderRewards = await getOrderRewards(orderId);
+    if (!orderRewards || !orderRewards.rewards) {
+      return { status: 'not_awarded', points: 0, balance: null };
+    }
+
+    const award = orderRewards.rewards;
+    const reversals = award.reversals || [];
+    if (reversals.some(reversal => reversal.id === reversalId)) {
+      return { status: 'duplicate', points: 0, balance: null };
+    }
+
+    const alreadyReversed = reversals.reduce((sum, reversal) => sum + reversal.points, 0);
+    const remaining = award.points - alreadyReversed;
+
+    let points = remaining;
+    if (amount !== undefined) {
+      points = award.subtotal > 0 ? Math.round(award.points * amount / award.subtotal) : 0;
+      points = Math.min(points, remaining);
+    }
+
+    if (points <= 0) {
+      return { status: 'nothing_left', points: 0, balance: null };
+    }
+
+    const state = await getPointsState(award.customer_id);
+    if (!state) {
+      return { status: 'not_awarded', points: 0, balance: null };
+    }
+
+    let newBalance = state.points - points;
+    if (newBalance < 0 && !POINTS_ALLOW_NEGATIVE_BALANCE) {
+      newBalance = Math.min(state.points, 0);
+    }
+    const deducted = state.points - newBalance;
+
+    const updatedAward = {
+      ...award,
+      reversals: [
+        ...reversals,
+        { id: reversalId, reason, points, deducted, date: new Date().toISOString() }
+      ]
+    };
+
+    try {
+      // Take the points from the order's own lot first
+      const lots = consumeLots(state.lots, deducted, { preferOrderId: orderId });
+      await writeRecords([
+        ...balanceWrites(award.customer_id, state, newBalance, lots),
+        orderRewardsWrite(orderId, updatedAward, orderRewards.version)
+      ]);
+    } catch (error) {
+      if (!(error instanceof StaleBalanceError) || attempt === MAX_WRITE_ATTEMPTS) {
+        throw error;
+      }
+      logger.warn('Concurrent update while reversing order, retrying', { order_id: orderId, attempt, max_attempts: MAX_WRITE_ATTEMPTS });
+      continue;
+    }
+
+    try {
+      await addRewardHistory(award.customer_id, {
+        date: new Date().toISOString(),
+        type: 'reversal',
+        action: 'Thu hồi điểm',
+        reason,
+        points_reversed: deducted,
+        points: -deducted,
+        balance_after: newBalance,
+        order_id: orderId.toString(),
+        order_name: award.order_name,
+        refund_id: refundId ? refundId.toString() : undefined
+      });
+    } catch (error) {
+      logger.error('Failed to save reward history', { error });
+    }
+
+    return { status: 'reversed', points: deducted, balance: newBalance, customer_id: award.customer_id };
+  }
+
+  return { status: 'nothing_left', points: 0, balance: null };
+}
+
+module.exports = {
+  reverseOrderPoints
+};
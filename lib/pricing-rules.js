@@ -0,0 +1,189 @@
+/**
+ * Tier pricing rules engine
+ *
+ * Every customer with a tier gets the tier's base discount (config/tiers.json).
+ * Rules add quantity breaks and collection / product type / product overrides:
+ *
+ *   {
+ *     "id": "gold-rings-10",          // recorded in applied_discount.description
+ *     "tiers": ["Gold"],              // optional, default: any tier
+ *     "min_quantity": 10,             // optional quantity break
+ *     "collections": ["rings"],       // optional, collection handle or ID
+ *     "product_types": ["Ring"],      // optional
+ *     "products": ["123456"],         // optional, product ID
+ *     "discount_percent": 20,
+ *     "override": false               // true: replaces the tier discount and non-override rules
+ *   }
+ *
+ * Top-level settings:
+ *   stacking             - 'best' (highest match wins), 'additive' (matches add up) or 'first' (first match in list order)
+ *   max_discount_percent - cap applied after stacking
+ *   excluded_skus        - SKUs that never get a tier discount
+ *   reward_stacking      - how a points / reward discount on a draft order combines with the
+ *                          line discounts: 'stack' (on top) or 'cap' (line + reward discount
+ *                          together stay within max_total_discount_percent of the subtotal)
+ *   max_total_discount_percent - cap for 'cap' (default: max_discount_percent)
+ *
+ * Rules load from config/pricing-rules.json, or from the shop metafield
+ * tier_pricing.rules when PRICING_RULES_SOURCE=metafield.
+ */
+
+const { logger } = require('./logger');
+const { getShopMetafield } = require('./shopify');
+const DEFAULT_RULES = require('../config/pricing-rules.json');
+
+const PRICING_RULES_SOURCE = process.env.PRICING_RULES_SOURCE === 'metafield' ? 'metafield' : 'file';
+const RULES_METAFIELD_NAMESPACE = 'tier_pricing';
+const RULES_METAFIELD_KEY = 'rules';
+const RULES_CACHE_TTL = 60 * 1000; // 1 minute
+
+const STACKING_POLICIES = ['best', 'additive', 'first'];
+const REWARD_STACKING_POLICIES = ['stack', 'cap'];
+
+let cachedRules = null;
+let cachedAt = 0;
+
+/**
+ * Normalise a rules document and fill in defaults
+ */
+function normalizeRules(config) {
+  const stacking = STACKING_POLICIES.includes(config.stacking) ? config.stacking : 'best';
+  const maxDiscount = config.max_discount_percent !== undefined ? Number(config.max_discount_percent) : 100;
+  const maxTotalDiscount = config.max_total_discount_percent !== undefined ? Number(config.max_total_discount_percent) : maxDiscount;
+
+  return {
+    stacking,
+    max_discount_percent: Math.min(Math.max(maxDiscount, 0), 100),
+    reward_stacking: REWARD_STACKING_POLICIES.includes(config.reward_stacking) ? config.reward_stacking : 'stack',
+    max_total_discount_percent: Math.min(Math.max(maxTotalDiscount, 0), 100),
+    excluded_skus: (config.excluded_skus || []).map(sku => sku.toString().toLowerCase()),
+    rules: (config.rules || []).map((rule, index) => ({
+      id: rule.id || `rule-${index + 1}`,
+      tiers: rule.tiers ? rule.tiers.map(name => name.toLowerCase()) : null,
+      min_quantity: Number(rule.min_quantity) || 0,
+      collections: rule.collections ? rule.collections.map(c => c.toString().toLowerCase()) : null,
+      product_types: rule.product_types ? rule.product_types.map(t => t.toLowerCase()) : null,
+      products: rule.products ? rule.products.map(p => p.toString()) : null,
+      discount_percent: Number(rule.discount_percent) || 0,
+      override: rule.override === true
+    }))
+  };
+}
+
+/**
+ * Load pricing rules (cached for a minute)
+ */
+async function loadPricingRules() {
+  if (cachedRules && Date.now() - cachedAt < RULES_CACHE_TTL) {
+    return cachedRules;
+  }
+
+  let config = DEFAULT_RULES;
+
+  if (PRICING_RULES_SOURCE === 'metafield') {
+    const metafield = await getShopMetafield(RULES_METAFIELD_NAMESPACE, RULES_METAFIELD_KEY);
+    if (metafield) {
+      try {
+        config = JSON.parse(metafield.value);
+      } catch (e) {
+        logger.error('Invalid tier_pricing.rules metafield, falling back to config/pricing-rules.json', { error: e });
+      }
+    }
+  }
+
+  cachedRules = normalizeRules(config);
+  cachedAt = Date.now();
+  return cachedRules;
+}
+
+/**
+ * Check whether a rule applies to a line
+ */
+function ruleMatches(rule, { tier, variant, quantity }) {
+  if (rule.tiers && !rule.tiers.includes(tier.name.toLowerCase())) {
+    return false;
+  }
+  if (quantity < rule.min_quantity) {
+    return false;
+  }
+  if (rule.collections) {
+    const inCollection = variant.collections.some(collection =>
+      rule.collections.includes(collection.handle.toLowerCase()) || rule.collections.includes(collection.id)
+    );
+    if (!inCollection) {
+      return false;
+    }
+  }
+  if (rule.product_types && !rule.product_types.includes((variant.product_type || '').toLowerCase())) {
+    return false;
+  }
+  if (rule.products && !rule.products.includes(variant.product_id)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Evaluate the discount for one line.
+ * Returns { percent, rules, capped, description } - percent is 0 when nothing applies.
+ */
+function evaluateLine(pricingRules, { tier, variant, quantity }) {
+  const none = { percent: 0, rules: [], capped: false, description: null };
+
+  if (!tier) {
+    return none;
+  }
+  if (variant.sku && pricingRules.excluded_skus.includes(variant.sku.toLowerCase())) {
+    return none;
+  }
+
+  const matched = pricingRules.rules
+    .filter(rule => ruleMatches(rule, { tier, variant, quantity }))
+    .map(rule => ({ id: rule.id, percent: rule.discount_percent, override: rule.override }));
+
+  const overrides = matched.filter(candidate => candidate.override);
+  let candidates;
+  if (overrides.length > 0) {
+    candidates = overrides;
+  } else {
+    candidates = matched;
+    if (tier.discount_percent > 0) {
+      // Tier base discount goes last so 'first' prefers explicit rules
+      candidates.push({ id: `tier:${tier.name}`, percent: tier.discount_percent });
+    }
+  }
+
+  if (candidates.length === 0) {
+    return none;
+  }
+
+  let applied;
+  if (pricingRules.stacking === 'additive') {
+    applied = candidates;
+  } else if (pricingRules.stacking === 'first') {
+    applied = [candidates[0]];
+  } else {
+    applied = [candidates.reduce((best, candidate) => (candidate.percent > best.percent ? candidate : best))];
+  }
+
+  let percent = applied.reduce((sum, candidate) => sum + candidate.percent, 0);
+  const capped = percent > pricingRules.max_discount_percent;
+  if (capped) {
+    percent = pricingRules.max_discount_percent;
+  }
+
+  if (percent <= 0) {
+    return none;
+  }
+
+  const ruleIds = applied.map(candidate => candidate.id);
+  const description = `${tier.name} Tier Discount ${percent}% (${ruleIds.join(' + ')}${capped ? `, capped at ${percent}%` : ''})`;
+
+  return { percent, rules: ruleIds, capped, description };
+}
+
+module.exports = {
+  normalizeRules,
+  loadPricingRules,
+  evaluateLine
+};
@@ -0,0 +1,189 @@
+/**
+ * Cart pricing
+ * The one place that turns a cart (`items`) into tier prices, shared by
+ * create-draft-order and pricing/quote so the quote always matches the invoice.
+ *
+ * Prices come from Shopify (lib/variants.js), the discount from the customer's tier
+ * (lib/tiers.js) and the pricing rules (lib/pricing-rules.js). Client prices and
+ * discount_percent values are only compared against them.
+ *
+ * Amounts are worked out in minor units of the shop currency (lib/money.js). Line
+ * discounts are rounded together, so they always add up to the cart discount.
+ */
+
+const { resolveCustomerTier } = require('./tiers');
+const { getVariants } = require('./variants');
+const { loadPricingRules, evaluateLine } = require('./pricing-rules');
+const { toNumericId, getShopCurrencies } = require('./shopify');
+const { toMinor, fromMinor, roundMinor, roundAllocations } = require('./money');
+
+// How to handle a client discount_percent that differs from the tier: 'clamp' or 'reject'
+const TIER_DISCOUNT_MISMATCH = process.env.TIER_DISCOUNT_MISMATCH === 'reject' ? 'reject' : 'clamp';
+
+/**
+ * Thrown for carts that cannot be priced; `details` is merged into the error response
+ */
+class PricingError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'PricingError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Check the shape of the items payload
+ */
+function validateItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new PricingError('No items provided');
+  }
+
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    if (!item || !item.variant_id) {
+      throw new PricingError(`Item ${i}: variant_id is required`);
+    }
+    if (!Number.isInteger(item.quantity) || item.quantity <= 0) {
+      throw new PricingError(`Item ${i}: quantity must be a whole number greater than 0`);
+    }
+    if (item.price !== undefined && (typeof item.price !== 'number' || item.price < 0)) {
+      throw new PricingError(`Item ${i}: price must be a positive number`);
+    }
+    if (item.discount_percent !== undefined && (typeof item.discount_percent !== 'number' || item.discount_percent < 0 || item.discount_percent > 100)) {
+      throw new PricingError(`Item ${i}: discount_percent must be between 0 and 100`);
+    }
+  }
+}
+
+/**
+ * Price a cart for a customer (null for guests).
+ *
+ * Returns { customer, tier, currency, lines, totals, staleItems, adjustedItems } where
+ * customer is the Shopify customer (null for guests), currency the shop currency and
+ * each line is
+ * { index, variant_id, quantity, variant, original_price, discount_percent,
+ *   discount_amount, final_price, line_total, description, rules, capped }.
+ * Amounts are decimal numbers in the shop currency.
+ * Throws a PricingError for invalid items, unknown customers or variants, and
+ * mismatching discounts when TIER_DISCOUNT_MISMATCH=reject.
+ */
+async function priceCart({ customerId, items }) {
+  validateItems(items);
+
+  // Resolve tier on the server - never trust the frontend discount
+  let customer = null;
+  let tier = null;
+  if (customerId) {
+    const resolved = await resolveCustomerTier(customerId);
+    if (!resolved) {
+      throw new PricingError('Customer not found', 404);
+    }
+    customer = resolved.customer;
+    tier = resolved.tier;
+  }
+
+  // Look up current variant prices - the client price is only used to detect a stale cart
+  const variants = await getVariants(items.map(item => item.variant_id));
+  const { currency } = await getShopCurrencies();
+
+  const staleItems = [];
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    const variant = variants.get(toNumericId(item.variant_id));
+    if (!variant) {
+      throw new PricingError(`Item ${i}: variant ${item.variant_id} not found`);
+    }
+    if (!variant.available) {
+      throw new PricingError(`Item ${i}: variant ${item.variant_id} is not available for sale`);
+    }
+    if (item.price !== undefined && toMinor(item.price, currency) !== toMinor(variant.price, currency)) {
+      staleItems.push({
+        index: i,
+        variant_id: item.variant_id,
+        client_price: item.price,
+        current_price: variant.price,
+        compare_at_price: variant.compare_at_price
+      });
+    }
+  }
+
+  // Evaluate tier pricing rules per line
+  const pricingRules = await loadPricingRules();
+  const discounts = items.map(item => evaluateLine(pricingRules, {
+    tier,
+    variant: variants.get(toNumericId(item.variant_id)),
+    quantity: item.quantity
+  }));
+
+  // Check client-supplied discounts against the rules
+  const adjustedItems = [];
+  for (let i = 0; i < items.length; i++) {
+    const requested = items[i].discount_percent;
+    const allowedPercent = discounts[i].percent;
+    if (requested !== undefined && requested !== allowedPercent) {
+      if (TIER_DISCOUNT_MISMATCH === 'reject') {
+        throw new PricingError(`Item ${i}: discount_percent does not match customer tier`, 400, {
+          requested_percent: requested,
+          allowed_percent: allowedPercent
+        });
+      }
+      adjustedItems.push({
+        index: i,
+        variant_id: items[i].variant_id,
+        requested_percent: requested,
+        applied_percent: allowedPercent
+      });
+    }
+  }
+
+  // Discounts in minor units, rounded so the lines add up to the rounded cart discount
+  const grossMinor = items.map(item => toMinor(variants.get(toNumericId(item.variant_id)).price, currency) * item.quantity);
+  const discountMinor = roundAllocations(grossMinor.map((gross, i) => gross * discounts[i].percent / 100));
+
+  const lines = items.map((item, i) => {
+    const variant = variants.get(toNumericId(item.variant_id));
+    const discount = discounts[i];
+    const lineTotalMinor = grossMinor[i] - discountMinor[i];
+
+    return {
+      index: i,
+      variant_id: item.variant_id,
+      quantity: item.quantity,
+      variant,
+      original_price: variant.price,
+      discount_percent: discount.percent,
+      discount_amount: fromMinor(discountMinor[i], currency),
+      final_price: fromMinor(roundMinor(lineTotalMinor / item.quantity), currency),
+      line_total: fromMinor(lineTotalMinor, currency),
+      description: discount.description,
+      rules: discount.rules,
+      capped: discount.capped
+    };
+  });
+
+  const subtotalMinor = grossMinor.reduce((sum, amount) => sum + amount, 0);
+  const totalDiscountMinor = discountMinor.reduce((sum, amount) => sum + amount, 0);
+
+  return {
+    customer,
+    tier,
+    currency,
+    lines,
+    totals: {
+      item_count: lines.reduce((sum, line) => sum + line.quantity, 0),
+      currency,
+      subtotal: fromMinor(subtotalMinor, currency),
+      discount: fromMinor(totalDiscountMinor, currency),
+      total: fromMinor(subtotalMinor - totalDiscountMinor, currency)
+    },
+    staleItems,
+    adjustedItems
+  };
+}
+
+module.exports = {
+  PricingError,
+  priceCart
+};
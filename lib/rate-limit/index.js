@@ -0,0 +1,206 @@
+/**
+ * Rate limiting for the customer-facing endpoints
+ * Token buckets per route: one per client IP, checked before authentication, and one
+ * per customer, checked once the request is bound to a customer (lib/auth.js). A
+ * bucket holds `capacity` requests and refills `refill_per_minute` of them; an empty
+ * bucket answers 429 with Retry-After and logs a security event.
+ *
+ * App Proxy requests all arrive from Shopify's addresses, so those with a valid App Proxy
+ * signature skip the IP bucket: logged-in customers get their customer bucket, guests the
+ * route's `guest` bucket for their address. A request that only carries a `signature`
+ * parameter is limited by IP like any other.
+ *
+ * Limits: config/rate-limits.json, with RATE_LIMITS (same JSON shape) merged over it
+ * per route and scope - null turns a route or scope off. RATE_LIMIT_ENABLED=false
+ * turns rate limiting off altogether.
+ *
+ * RATE_LIMIT_STORE selects where buckets live:
+ *   memory (default) - per instance (./memory.js)
+ *   redis            - shared, Upstash-compatible REST endpoint (./redis.js)
+ * Every store implements take(key, { capacity, refillPerMs, cost }) ->
+ *   { allowed, remaining, retryAfterMs }.
+ *
+ * When the store cannot be reached the request is let through: an outage of the
+ * limiter should not take the storefront down with it.
+ */
+
+const { logger } = require('../logger');
+const { verifyAppProxySignature } = require('../auth');
+const DEFAULT_RATE_LIMITS = require('../../config/rate-limits.json');
+
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'memory';
+
+const STORE_TYPES = ['memory', 'redis'];
+
+let store = null;
+
+/**
+ * Create a store by type
+ */
+function createRateLimitStore(type) {
+  switch (type) {
+    case 'memory':
+      return require('./memory').createMemoryStore();
+    case 'redis':
+      return require('./redis').createRedisStore({
+        url: process.env.RATE_LIMIT_REDIS_URL,
+        token: process.env.RATE_LIMIT_REDIS_TOKEN,
+        timeoutMs: parseInt(process.env.RATE_LIMIT_TIMEOUT_MS) || 1000
+      });
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE "${type}" (expected ${STORE_TYPES.join(', ')})`);
+  }
+}
+
+/**
+ * The configured store (created on first use)
+ */
+function getRateLimitStore() {
+  if (!store) {
+    store = createRateLimitStore(RATE_LIMIT_STORE);
+  }
+  return store;
+}
+
+/**
+ * Replace the configured store, e.g. with a fresh memory store in tests
+ */
+function setRateLimitStore(replacement) {
+  store = replacement;
+}
+
+/**
+ * Load the limits: { route: { ip: { capacity, refill_per_minute } | null, customer: ... } }
+ */
+function loadRateLimits() {
+  const routes = {};
+  for (const [route, limits] of Object.entries(DEFAULT_RATE_LIMITS.routes || {})) {
+    routes[route] = { ...limits };
+  }
+
+  if (process.env.RATE_LIMITS) {
+    try {
+      const overrides = JSON.parse(process.env.RATE_LIMITS).routes || {};
+      for (const [route, limits] of Object.entries(overrides)) {
+        routes[route] = limits === null ? null : { ...routes[route], ...limits };
+      }
+    } catch (e) {
+      logger.error('Invalid RATE_LIMITS, falling back to config/rate-limits.json', { error: e });
+    }
+  }
+
+  return routes;
+}
+
+/**
+ * The bucket settings of a route and scope, or null when that limit is off
+ */
+function findLimit(route, scope) {
+  const limit = loadRateLimits()[route]?.[scope];
+  const capacity = Number(limit?.capacity);
+  const perMinute = Number(limit?.refill_per_minute);
+  if (!(capacity > 0) || !(perMinute > 0)) {
+    return null;
+  }
+  return { capacity, refillPerMs: perMinute / 60000 };
+}
+
+/**
+ * The client's IP as seen by the platform: Vercel's X-Real-IP, else the last
+ * X-Forwarded-For hop (the one the proxy appended). Earlier X-Forwarded-For entries
+ * come from the client and are never trusted.
+ */
+function clientIp(req) {
+  const realIp = req.headers?.['x-real-ip'];
+  if (realIp) {
+    return realIp.toString().trim();
+  }
+  const forwarded = req.headers?.['x-forwarded-for'];
+  if (forwarded) {
+    return forwarded.toString().split(',').pop().trim();
+  }
+  return req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * Request sent through the Shopify App Proxy: its signature verifies (lib/auth.js)
+ */
+function isAppProxyRequest(req) {
+  return verifyAppProxySignature(req.query);
+}
+
+/**
+ * Take a token from a bucket; answer 429 when it is empty.
+ * Returns true when the request was rejected (the response has been sent).
+ */
+async function consume(req, res, route, scope, id) {
+  const limit = RATE_LIMIT_ENABLED && id ? findLimit(route, scope) : null;
+  if (!limit) {
+    return false;
+  }
+
+  let result;
+  try {
+    result = await getRateLimitStore().take(`ratelimit:${route}:${scope}:${id}`, limit);
+  } catch (error) {
+    logger.error('Rate limit store unavailable, request let through', { route, scope, error });
+    return false;
+  }
+  if (result.allowed) {
+    return false;
+  }
+
+  const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+  logger.warn('Rate limit exceeded', {
+    event: 'security.rate_limited',
+    route,
+    scope,
+    ip: clientIp(req),
+    customer_id: scope === 'customer' ? id : undefined,
+    app_proxy: isAppProxyRequest(req),
+    retry_after: retryAfter
+  });
+
+  res.setHeader('Retry-After', retryAfter.toString());
+  res.status(429).json({
+    error: 'Too many requests',
+    code: 'RATE_LIMITED',
+    message: `Too many requests, please try again in ${retryAfter} seconds`,
+    retry_after: retryAfter
+  });
+  return true;
+}
+
+/**
+ * Apply the route's per-IP limit (not to signed App Proxy requests). Returns true when
+ * the request was rejected.
+ */
+function limitByIp(req, res, route) {
+  if (isAppProxyRequest(req)) {
+    return false;
+  }
+  return consume(req, res, route, 'ip', clientIp(req));
+}
+
+/**
+ * Apply the route's per-customer limit, or its guest limit (per client IP) to App Proxy
+ * guests. Returns true when the request was rejected.
+ */
+function limitByCustomer(req, res, route, customerId) {
+  if (!customerId && isAppProxyRequest(req)) {
+    return consume(req, res, route, 'guest', clientIp(req));
+  }
+  return consume(req, res, route, 'customer', customerId ? customerId.toString() : null);
+}
+
+module.exports = {
+  STORE_TYPES,
+  createRateLimitStore,
+  getRateLimitStore,
+  setRateLimitStore,
+  loadRateLimits,
+  clientIp,
+  limitByIp,
+  limitByCustomer
+};
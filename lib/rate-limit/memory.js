@@ -0,0 +1,60 @@
+/**
+ * In-memory rate limit store (RATE_LIMIT_STORE=memory)
+ * For local development and tests. Every serverless instance keeps its own buckets,
+ * so in production a client can get up to one bucket per warm instance.
+ */
+
+const MAX_BUCKETS = 10000; // full buckets are dropped beyond this
+
+/**
+ * Create a store. `now` returns the current time in ms (replaceable in tests).
+ */
+function createMemoryStore({ now = Date.now } = {}) {
+  const buckets = new Map();
+
+  // Forget buckets that have refilled completely - they behave like new ones
+  function prune(time) {
+    for (const [key, bucket] of buckets) {
+      if (time >= bucket.fullAt) {
+        buckets.delete(key);
+      }
+    }
+  }
+
+  return {
+    type: 'memory',
+
+    async take(key, { capacity, refillPerMs, cost = 1 }) {
+      const time = now();
+      const bucket = buckets.get(key);
+      let tokens = capacity;
+      if (bucket) {
+        tokens = Math.min(capacity, bucket.tokens + (time - bucket.updatedAt) * refillPerMs);
+      }
+
+      let allowed = false;
+      let retryAfterMs = 0;
+      if (tokens >= cost) {
+        tokens -= cost;
+        allowed = true;
+      } else {
+        retryAfterMs = Math.ceil((cost - tokens) / refillPerMs);
+      }
+
+      if (!bucket && buckets.size >= MAX_BUCKETS) {
+        prune(time);
+      }
+      buckets.set(key, {
+        tokens,
+        updatedAt: time,
+        fullAt: time + (capacity - tokens) / refillPerMs
+      });
+
+      return { allowed, remaining: Math.floor(tokens), retryAfterMs };
+    }
+  };
+}
+
+module.exports = {
+  createMemoryStore
+};
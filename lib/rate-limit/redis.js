@@ -0,0 +1,89 @@
+/**
+ * Redis rate limit store (RATE_LIMIT_STORE=redis)
+ * Shares buckets across all serverless instances. Talks to any Redis behind an
+ * Upstash-compatible REST endpoint (Upstash, Vercel KV, a self-hosted proxy):
+ * POST RATE_LIMIT_REDIS_URL with the command as a JSON array, bearer RATE_LIMIT_REDIS_TOKEN.
+ *
+ * The refill and take run in one Lua script, so concurrent requests cannot both spend
+ * the last token. Times come from the Redis server clock, not the instances'.
+ */
+
+const { UpstreamError, CircuitBreaker, httpRequest } = require('../http');
+
+// KEYS[1] bucket; ARGV capacity, refill per ms, cost.
+// Returns { allowed (0/1), remaining tokens, retry after ms }.
+const TAKE_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'updated_at')
+local tokens = tonumber(bucket[1]) or capacity
+local updated = tonumber(bucket[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - updated) * rate)
+local allowed = 0
+local retry = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+else
+  retry = math.ceil((cost - tokens) / rate)
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updated_at', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil((capacity - tokens) / rate) + 1000)
+return { allowed, math.floor(tokens), retry }
+`;
+
+/**
+ * Create a store for the REST endpoint at `url`
+ */
+function createRedisStore({ url, token, timeoutMs = 1000 }) {
+  if (!url) {
+    throw new Error('RATE_LIMIT_STORE=redis needs RATE_LIMIT_REDIS_URL');
+  }
+
+  // Stop waiting on a Redis that is down; requests are let through meanwhile (see index.js)
+  const breaker = new CircuitBreaker('Rate limit store', { failureThreshold: 5, cooldownMs: 30000 });
+
+  async function command(args) {
+    const response = await httpRequest(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: JSON.stringify(args),
+      timeoutMs,
+      retries: 0,
+      breaker
+    });
+
+    let body;
+    try {
+      body = JSON.parse(response.text);
+    } catch (e) {
+      throw new UpstreamError('Rate limit store returned an invalid JSON response', { code: 'RATE_LIMIT_STORE_ERROR', cause: e });
+    }
+    if (body.error) {
+      throw new UpstreamError(`Rate limit store error: ${body.error}`, { code: 'RATE_LIMIT_STORE_ERROR' });
+    }
+    return body.result;
+  }
+
+  return {
+    type: 'redis',
+
+    async take(key, { capacity, refillPerMs, cost = 1 }) {
+      const [allowed, remaining, retryAfterMs] = await command([
+        'EVAL', TAKE_SCRIPT, '1', key, String(capacity), String(refillPerMs), String(cost)
+      ]);
+      return { allowed: allowed === 1, remaining, retryAfterMs };
+    }
+  };
+}
+
+module.exports = {
+  TAKE_SCRIPT,
+  createRedisStore
+};
@@ -0,0 +1,155 @@
+/**
+ * Reward catalog
+ * What customers can exchange points for, and at what cost.
+ *
+ * Entry:
+ *   {
+ *     "id": "vnd-100000",
+ *     "type": "fixed_amount" | "percentage" | "free_shipping" | "free_product",
+ *     "title": "Voucher 100.000đ",
+ *     "value": 100000,               // amount (fixed_amount) or percent (percentage)
+ *     "variant_id": "123",           // free_product only
+ *     "points_cost": 10000,
+ *     "expiry_days": 90,             // code validity, default 90
+ *     "min_order_subtotal": 0,       // optional
+ *     "entitled_product_ids": [],    // optional, fixed_amount / percentage only
+ *     "entitled_collection_ids": [], // optional, fixed_amount / percentage only
+ *     "tiers": ["Gold"]              // optional, default: everyone
+ *   }
+ *
+ * Loads from config/rewards-catalog.json, or from the shop metafield
+ * rewards.catalog when REWARDS_CATALOG_SOURCE=metafield.
+ */
+
+const { logger } = require('./logger');
+const { getShopMetafield } = require('./shopify');
+const DEFAULT_CATALOG = require('../config/rewards-catalog.json');
+
+const REWARDS_CATALOG_SOURCE = process.env.REWARDS_CATALOG_SOURCE === 'metafield' ? 'metafield' : 'file';
+const CATALOG_METAFIELD_NAMESPACE = 'rewards';
+const CATALOG_METAFIELD_KEY = 'catalog';
+const CATALOG_CACHE_TTL = 60 * 1000; // 1 minute
+
+const REWARD_TYPES = ['fixed_amount', 'percentage', 'free_shipping', 'free_product'];
+const DEFAULT_EXPIRY_DAYS = 90;
+
+let cachedCatalog = null;
+let cachedAt = 0;
+
+/**
+ * Normalise a list of Shopify IDs (numeric or gid://) to numeric strings
+ */
+function normalizeIds(ids) {
+  if (!Array.isArray(ids)) {
+    return [];
+  }
+  return ids.map(id => id.toString().replace(/\D/g, '')).filter(Boolean);
+}
+
+/**
+ * Validate and normalise one catalog entry, or return null when it is unusable
+ */
+function normalizeReward(entry) {
+  if (!entry || !entry.id || !REWARD_TYPES.includes(entry.type)) {
+    return null;
+  }
+
+  const pointsCost = parseInt(entry.points_cost);
+  if (!pointsCost || pointsCost <= 0) {
+    return null;
+  }
+
+  const value = Number(entry.value) || 0;
+  if ((entry.type === 'fixed_amount' && value <= 0) || (entry.type === 'percentage' && (value <= 0 || value > 100))) {
+    return null;
+  }
+  if (entry.type === 'free_product' && !entry.variant_id) {
+    return null;
+  }
+
+  return {
+    id: entry.id.toString(),
+    type: entry.type,
+    title: entry.title || entry.id.toString(),
+    value: entry.type === 'fixed_amount' || entry.type === 'percentage' ? value : null,
+    variant_id: entry.type === 'free_product' ? entry.variant_id.toString() : null,
+    points_cost: pointsCost,
+    expiry_days: parseInt(entry.expiry_days) || DEFAULT_EXPIRY_DAYS,
+    min_order_subtotal: Number(entry.min_order_subtotal) || 0,
+    entitled_product_ids: normalizeIds(entry.entitled_product_ids),
+    entitled_collection_ids: normalizeIds(entry.entitled_collection_ids),
+    tiers: Array.isArray(entry.tiers) && entry.tiers.length > 0 ? entry.tiers : null
+  };
+}
+
+/**
+ * Load the reward catalog (cached for a minute)
+ */
+async function loadRewardCatalog() {
+  if (cachedCatalog && Date.now() - cachedAt < CATALOG_CACHE_TTL) {
+    return cachedCatalog;
+  }
+
+  let config = DEFAULT_CATALOG;
+
+  if (REWARDS_CATALOG_SOURCE === 'metafield') {
+    const metafield = await getShopMetafield(CATALOG_METAFIELD_NAMESPACE, CATALOG_METAFIELD_KEY);
+    if (metafield) {
+      try {
+        config = JSON.parse(metafield.value);
+      } catch (e) {
+        logger.error('Invalid rewards.catalog metafield, falling back to config/rewards-catalog.json', { error: e });
+      }
+    }
+  }
+
+  const rewards = [];
+  for (const entry of config.rewards || []) {
+    const reward = normalizeReward(entry);
+    if (!reward) {
+      logger.error('Skipping invalid reward catalog entry', { reward_id: entry?.id });
+      continue;
+    }
+    rewards.push(reward);
+  }
+
+  cachedCatalog = rewards;
+  cachedAt = Date.now();
+  return cachedCatalog;
+}
+
+/**
+ * Find a reward by ID
+ */
+function findReward(catalog, rewardId) {
+  return catalog.find(reward => reward.id === rewardId.toString()) || null;
+}
+
+/**
+ * Find the fixed-amount reward for a legacy discount_value request
+ */
+function findRewardByValue(catalog, discountValue) {
+  return catalog.find(reward => reward.type === 'fixed_amount' && reward.value === Number(discountValue)) || null;
+}
+
+/**
+ * Check whether a tier may redeem a reward
+ */
+function isRewardEligible(reward, tier) {
+  if (!reward.tiers) {
+    return true;
+  }
+  if (!tier) {
+    return false;
+  }
+  return reward.tiers.some(name => name.toLowerCase() === tier.name.toLowerCase());
+}
+
+module.exports = {
+  REWARD_TYPES,
+  normalizeReward,
+  loadRewardCatalog,
+  findReward,
+  findRewardByValue,
+  isRewardEligible
+};
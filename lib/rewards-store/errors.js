@@ -0,0 +1,17 @@
+/**
+ * Errors shared by the rewards store adapters
+ */
+
+/**
+ * Thrown when a compare-and-set write lost to a concurrent update
+ */
+class StaleBalanceError extends Error {
+  constructor(message = 'Points balance changed during the update') {
+    super(message);
+    this.name = 'StaleBalanceError';
+  }
+}
+
+module.exports = {
+  StaleBalanceError
+};
@@ -0,0 +1,35 @@
+/**
+ * Rewards store in a local JSON file (REWARDS_STORE=file, path REWARDS_STORE_PATH)
+ * For local development and single-instance hosting: the file is re-read for every
+ * operation and replaced atomically (write to a temp file, then rename), but only
+ * one process may use it at a time. Not for Vercel - its filesystem is read-only.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { emptyDocument, createLocalStore } = require('./local');
+
+function createFileStore(filePath) {
+  return createLocalStore('file', {
+    load: async () => {
+      try {
+        return JSON.parse(await fs.readFile(filePath, 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return emptyDocument();
+        }
+        throw error;
+      }
+    },
+    save: async document => {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(document, null, 2));
+      await fs.rename(tempPath, filePath);
+    }
+  });
+}
+
+module.exports = {
+  createFileStore
+};
@@ -0,0 +1,77 @@
+/**
+ * Rewards store - where balances, lots, order awards, draft redemptions, idempotency
+ * records, adjustment references and history are kept. lib/rewards.js and
+ * lib/history-store.js go through it; nothing else should talk to an adapter directly.
+ *
+ * REWARDS_STORE selects the adapter:
+ *   metafield (default) - Shopify metafields, namespace `rewards` (./metafield.js)
+ *   file                - local JSON file at REWARDS_STORE_PATH (./file.js)
+ *   memory              - in-process, for tests (./memory.js)
+ *
+ * Every adapter implements:
+ *   read(ownerType, ownerId, keys)   - { key: { value, version } | null }, or null when
+ *                                      the owner (Customer, Order, DraftOrder) does not exist
+ *   write(writes)                    - [{ ownerType, ownerId, key, value, version }], all or
+ *                                      nothing. version: the one read (compare-and-set),
+ *                                      null = must not exist yet, undefined = overwrite.
+ *                                      A lost compare-and-set throws StaleBalanceError.
+ *   listCustomers(keys, { first, after }) - { customers: [{ id, records }], nextCursor }
+ *   appendHistory(customerId, entry)
+ *   readHistory(customerId)          - entries oldest first, or null when the customer does not exist
+ *   readHistoryIndex(customerId)     - { count, totals } (totals: lib/history-store.js addToTotals
+ *                                      over every entry, or null when not kept), or null
+ *   readHistoryRange(customerId, start, end) - entries start to end - 1, oldest first, or null
+ * The metafield adapter also has listOwners() and the local ones importHistory(), both
+ * for migrate-rewards.js.
+ */
+
+const path = require('path');
+const { StaleBalanceError } = require('./errors');
+
+const REWARDS_STORE = process.env.REWARDS_STORE || 'metafield';
+const REWARDS_STORE_PATH = process.env.REWARDS_STORE_PATH || path.join(process.cwd(), '.data', 'rewards-store.json');
+
+const STORE_TYPES = ['metafield', 'file', 'memory'];
+
+let store = null;
+
+/**
+ * Create an adapter by type
+ */
+function createRewardsStore(type, { filePath = REWARDS_STORE_PATH } = {}) {
+  switch (type) {
+    case 'metafield':
+      return require('./metafield');
+    case 'file':
+      return require('./file').createFileStore(filePath);
+    case 'memory':
+      return require('./memory').createMemoryStore();
+    default:
+      throw new Error(`Unknown REWARDS_STORE "${type}" (expected ${STORE_TYPES.join(', ')})`);
+  }
+}
+
+/**
+ * The configured store (created on first use)
+ */
+function getRewardsStore() {
+  if (!store) {
+    store = createRewardsStore(REWARDS_STORE);
+  }
+  return store;
+}
+
+/**
+ * Replace the configured store, e.g. with a memory store in tests
+ */
+function setRewardsStore(replacement) {
+  store = replacement;
+}
+
+module.exports = {
+  STORE_TYPES,
+  StaleBalanceError,
+  createRewardsStore,
+  getRewardsStore,
+  setRewardsStore
+};
@@ -0,0 +1,158 @@
+/**
+ * Rewards store kept in one JSON document - shared by the file and memory adapters
+ *
+ * {
+ *   records: { "Customer/123": { points: { value, version }, lots: {...} }, "Order/456": {...} },
+ *   history: { "123": [entry, ...] }   // oldest first
+ * }
+ *
+ * Versions are counters, bumped on every write. Operations run one at a time per
+ * process (each reads the document, and writes it back when it changed it), which is
+ * what makes compare-and-set and multi-record writes atomic. These stores do not know
+ * which customers or orders exist in Shopify: reads never return null for the owner.
+ */
+
+const { toNumericId } = require('../shopify');
+const { StaleBalanceError } = require('./errors');
+
+function emptyDocument() {
+  return { records: {}, history: {} };
+}
+
+function ownerKey(ownerType, ownerId) {
+  return `${ownerType}/${toNumericId(ownerId)}`;
+}
+
+// Numeric IDs as strings, in numeric order
+function compareIds(a, b) {
+  return a.length - b.length || a.localeCompare(b);
+}
+
+function clone(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+/**
+ * options.load - async () => document
+ * options.save - async (document) => void
+ */
+function createLocalStore(name, { load, save }) {
+  let queue = Promise.resolve();
+
+  function run(operation, { writes = false } = {}) {
+    const result = queue.then(async () => {
+      const document = await load();
+      const value = operation(document);
+      if (writes) {
+        await save(document);
+      }
+      return value;
+    });
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  function readRecords(document, ownerType, ownerId, keys) {
+    const stored = document.records[ownerKey(ownerType, ownerId)] || {};
+    return Object.fromEntries(keys.map(key => [key, stored[key] ? clone(stored[key]) : null]));
+  }
+
+  async function read(ownerType, ownerId, keys) {
+    return run(document => readRecords(document, ownerType, ownerId, keys));
+  }
+
+  async function write(writes) {
+    return run(document => {
+      // Check every version first, so a stale write changes nothing
+      for (const { ownerType, ownerId, key, version } of writes) {
+        const current = document.records[ownerKey(ownerType, ownerId)]?.[key];
+        if (version === undefined) {
+          continue;
+        }
+        if (version === null ? current : !current || current.version !== version) {
+          throw new StaleBalanceError();
+        }
+      }
+
+      for (const { ownerType, ownerId, key, value } of writes) {
+        const owner = ownerKey(ownerType, ownerId);
+        const current = document.records[owner]?.[key];
+        document.records[owner] = {
+          ...document.records[owner],
+          [key]: { value: clone(value), version: current ? current.version + 1 : 1 }
+        };
+      }
+    }, { writes: true });
+  }
+
+  /**
+   * Customers with any record or history, by ascending ID; `after` is the last ID of the previous page
+   */
+  async function listCustomers(keys, { first = 50, after = null } = {}) {
+    return run(document => {
+      const ids = new Set(Object.keys(document.history));
+      for (const owner of Object.keys(document.records)) {
+        const [ownerType, id] = owner.split('/');
+        if (ownerType === 'Customer') {
+          ids.add(id);
+        }
+      }
+
+      const sorted = [...ids]
+        .sort(compareIds)
+        .filter(id => after === null || compareIds(id, after) > 0);
+      const page = sorted.slice(0, first);
+
+      return {
+        customers: page.map(id => ({ id, records: readRecords(document, 'Customer', id, keys) })),
+        nextCursor: sorted.length > first ? page[page.length - 1] : null
+      };
+    });
+  }
+
+  async function appendHistory(customerId, entry) {
+    return run(document => {
+      const id = toNumericId(customerId);
+      document.history[id] = [...(document.history[id] || []), clone(entry)];
+    }, { writes: true });
+  }
+
+  async function readHistory(customerId) {
+    return run(document => clone(document.history[toNumericId(customerId)] || []));
+  }
+
+  // No totals: the whole history is in memory, paging it there costs nothing
+  async function readHistoryIndex(customerId) {
+    return run(document => ({ count: (document.history[toNumericId(customerId)] || []).length, totals: null }));
+  }
+
+  async function readHistoryRange(customerId, start, end) {
+    return run(document => clone((document.history[toNumericId(customerId)] || []).slice(start, end)));
+  }
+
+  /**
+   * Replace a customer's history (used by the metafield migration)
+   */
+  async function importHistory(customerId, entries) {
+    return run(document => {
+      document.history[toNumericId(customerId)] = clone(entries);
+    }, { writes: true });
+  }
+
+  return {
+    name,
+    read,
+    write,
+    listCustomers,
+    appendHistory,
+    readHistory,
+    readHistoryIndex,
+    readHistoryRange,
+    importHistory
+  };
+}
+
+module.exports = {
+  emptyDocument,
+  createLocalStore
+};
@@ -0,0 +1,20 @@
+/**
+ * In-memory rewards store (REWARDS_STORE=memory)
+ * For tests and local experiments - everything is lost when the process exits.
+ */
+
+const { emptyDocument, createLocalStore } = require('./local');
+
+/**
+ * Create a store, optionally seeded with a document (see lib/rewards-store/local.js)
+ */
+function createMemoryStore(document = emptyDocument()) {
+  return createLocalStore('memory', {
+    load: async () => document,
+    save: async () => {}
+  });
+}
+
+module.exports = {
+  createMemoryStore
+};
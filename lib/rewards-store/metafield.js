@@ -0,0 +1,380 @@
+/**
+ * Rewards store on Shopify metafields (REWARDS_STORE=metafield, the default)
+ * Records are metafields of namespace `rewards` on their owner - the customer, order
+ * or draft order - and a record's version is the metafield's compareDigest, so writes
+ * are metafieldsSet compare-and-set.
+ *
+ * History is append-only and uncapped: entries are kept oldest first in chunked customer
+ * metafields rewards.history_0, rewards.history_1, ... of up to CHUNK_SIZE entries,
+ * with rewards.history_index ({ chunks, count, totals }) pointing at the last chunk.
+ * Chunk i holds entries i * CHUNK_SIZE and up, so a page of history only reads the
+ * chunks it falls in. An index written before totals were kept gets them on the
+ * next append.
+ * The old capped rewards.history metafield (newest first, max 100) is moved into
+ * the first chunks the first time a customer gets a new entry, and is not written
+ * after that.
+ */
+
+const { shopifyGraphql, toGid, toNumericId, setMetafields } = require('../shopify');
+const { StaleBalanceError } = require('./errors');
+const { emptyTotals, addToTotals } = require('../history-store');
+
+const NAMESPACE = 'rewards';
+const CHUNK_SIZE = 100;
+const MAX_APPEND_ATTEMPTS = 3;
+// Metafields per records query (RECORDS_QUERY reads up to 50)
+const MAX_KEYS_PER_READ = 50;
+
+// Metafield type of each record; anything not listed is json
+const RECORD_TYPES = {
+  points: 'number_integer'
+};
+
+const RECORDS_QUERY = `
+  query RewardsRecords($id: ID!, $keys: [String!]!) {
+    node(id: $id) {
+      id
+      ... on HasMetafields {
+        metafields(keys: $keys, first: 50) {
+          nodes {
+            key
+            value
+            compareDigest
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Connection listing each owner type
+const CONNECTIONS = {
+  Customer: 'customers',
+  Order: 'orders',
+  DraftOrder: 'draftOrders'
+};
+
+function ownersQuery(ownerType) {
+  return `
+    query RewardsOwners($first: Int!, $after: String, $query: String, $keys: [String!]!) {
+      owners: ${CONNECTIONS[ownerType]}(first: $first, after: $after, query: $query) {
+        nodes {
+          id
+          metafields(keys: $keys, first: 50) {
+            nodes {
+              key
+              value
+              compareDigest
+            }
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
+}
+
+const HISTORY_HEAD_QUERY = `
+  query HistoryHead($id: ID!) {
+    customer(id: $id) {
+      index: metafield(namespace: "rewards", key: "history_index") {
+        value
+        compareDigest
+      }
+      legacy: metafield(namespace: "rewards", key: "history") {
+        value
+      }
+    }
+  }
+`;
+
+const HISTORY_CHUNK_QUERY = `
+  query HistoryChunk($id: ID!, $key: String!) {
+    customer(id: $id) {
+      chunk: metafield(namespace: "rewards", key: $key) {
+        value
+        compareDigest
+      }
+    }
+  }
+`;
+
+const REWARDS_METAFIELDS_QUERY = `
+  query RewardsMetafields($id: ID!, $after: String) {
+    customer(id: $id) {
+      metafields(namespace: "rewards", first: 250, after: $after) {
+        nodes {
+          key
+          value
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  }
+`;
+
+function parseJson(value, fallback) {
+  if (!value) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+}
+
+function decodeValue(key, value) {
+  return RECORD_TYPES[key] === 'number_integer' ? parseInt(value) || 0 : parseJson(value, null);
+}
+
+function encodeValue(key, value) {
+  return RECORD_TYPES[key] === 'number_integer' ? value.toString() : JSON.stringify(value);
+}
+
+function metafieldKeys(keys) {
+  return keys.map(key => `${NAMESPACE}.${key}`);
+}
+
+/**
+ * { key: { value, version } | null } for the requested keys from metafield nodes
+ */
+function recordsFromNodes(nodes, keys) {
+  const records = Object.fromEntries(keys.map(key => [key, null]));
+  for (const node of nodes) {
+    records[node.key] = { value: decodeValue(node.key, node.value), version: node.compareDigest };
+  }
+  return records;
+}
+
+async function read(ownerType, ownerId, keys) {
+  const data = await shopifyGraphql(RECORDS_QUERY, {
+    id: toGid(ownerType, ownerId),
+    keys: metafieldKeys(keys)
+  });
+  return data.node ? recordsFromNodes(data.node.metafields.nodes, keys) : null;
+}
+
+async function write(writes) {
+  try {
+    await setMetafields(writes.map(({ ownerType, ownerId, key, value, version }) => ({
+      ownerId: toGid(ownerType, ownerId),
+      namespace: NAMESPACE,
+      key,
+      type: RECORD_TYPES[key] || 'json',
+      value: encodeValue(key, value),
+      compareDigest: version
+    })));
+  } catch (error) {
+    if (error.userErrors?.some(e => e.code === 'STALE_OBJECT')) {
+      throw new StaleBalanceError();
+    }
+    throw error;
+  }
+}
+
+/**
+ * Page through customers, orders or draft orders with their records.
+ * options.query - Shopify search syntax, to narrow the list
+ * Returns { owners: [{ id, records }], nextCursor }.
+ */
+async function listOwners(ownerType, keys, { first = 50, after = null, query = null } = {}) {
+  const data = await shopifyGraphql(ownersQuery(ownerType), { first, after, query, keys: metafieldKeys(keys) });
+  const { nodes, pageInfo } = data.owners;
+
+  return {
+    owners: nodes.map(node => ({
+      id: toNumericId(node.id),
+      records: recordsFromNodes(node.metafields.nodes, keys)
+    })),
+    nextCursor: pageInfo.hasNextPage ? pageInfo.endCursor : null
+  };
+}
+
+async function listCustomers(keys, options) {
+  const page = await listOwners('Customer', keys, options);
+  return { customers: page.owners, nextCursor: page.nextCursor };
+}
+
+function chunkKey(index) {
+  return `history_${index}`;
+}
+
+function historyMetafield(customerId, key, value, compareDigest) {
+  return {
+    ownerId: toGid('Customer', customerId),
+    namespace: NAMESPACE,
+    key,
+    type: 'json',
+    value: JSON.stringify(value),
+    compareDigest
+  };
+}
+
+/**
+ * Append to the last history chunk, or start a new one when it is full.
+ * Retries when a concurrent append moved the last chunk.
+ */
+async function appendHistory(customerId, entry) {
+  const id = toGid('Customer', customerId);
+
+  for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+    const head = (await shopifyGraphql(HISTORY_HEAD_QUERY, { id })).customer;
+    if (!head) {
+      throw new Error(`Customer ${customerId} not found`);
+    }
+
+    let writes;
+    if (!head.index) {
+      // First entry in chunked storage - move the legacy history over
+      const entries = [...parseJson(head.legacy?.value, [])].reverse();
+      entries.push(entry);
+
+      writes = [];
+      let chunks = 0;
+      for (let i = 0; i < entries.length; i += CHUNK_SIZE) {
+        writes.push(historyMetafield(customerId, chunkKey(chunks), entries.slice(i, i + CHUNK_SIZE), null));
+        chunks++;
+      }
+      const totals = entries.reduce(addToTotals, emptyTotals());
+      writes.push(historyMetafield(customerId, 'history_index', { chunks, count: entries.length, totals }, null));
+    } else {
+      const index = parseJson(head.index.value, { chunks: 0, count: 0 });
+      const totals = addToTotals(index.totals || (await readHistory(customerId)).reduce(addToTotals, emptyTotals()), entry);
+      const lastKey = chunkKey(Math.max(index.chunks - 1, 0));
+      const last = (await shopifyGraphql(HISTORY_CHUNK_QUERY, { id, key: lastKey })).customer.chunk;
+      const lastEntries = parseJson(last?.value, []);
+
+      if (index.chunks > 0 && lastEntries.length < CHUNK_SIZE) {
+        writes = [historyMetafield(customerId, lastKey, [...lastEntries, entry], last ? last.compareDigest : null)];
+        writes.push(historyMetafield(customerId, 'history_index', { chunks: index.chunks, count: index.count + 1, totals }, head.index.compareDigest));
+      } else {
+        writes = [historyMetafield(customerId, chunkKey(index.chunks), [entry], null)];
+        writes.push(historyMetafield(customerId, 'history_index', { chunks: index.chunks + 1, count: index.count + 1, totals }, head.index.compareDigest));
+      }
+    }
+
+    try {
+      await setMetafields(writes);
+      return;
+    } catch (error) {
+      const stale = error.userErrors?.some(e => e.code === 'STALE_OBJECT');
+      if (!stale || attempt === MAX_APPEND_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * All rewards metafields of a customer as { key: value }, or null when the customer does not exist
+ */
+async function readRewardsMetafields(customerId) {
+  const values = {};
+  let after = null;
+
+  do {
+    const data = await shopifyGraphql(REWARDS_METAFIELDS_QUERY, { id: toGid('Customer', customerId), after });
+    if (!data.customer) {
+      return null;
+    }
+    const { nodes, pageInfo } = data.customer.metafields;
+    for (const node of nodes) {
+      values[node.key] = node.value;
+    }
+    after = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+  } while (after);
+
+  return values;
+}
+
+/**
+ * History from the chunks, or from the legacy metafield before the first append
+ */
+async function readHistory(customerId) {
+  const values = await readRewardsMetafields(customerId);
+  if (!values) {
+    return null;
+  }
+
+  const index = parseJson(values.history_index, null);
+  if (!index) {
+    return [...parseJson(values.history, [])].reverse();
+  }
+
+  const entries = [];
+  for (let i = 0; i < index.chunks; i++) {
+    entries.push(...parseJson(values[chunkKey(i)], []));
+  }
+  return entries;
+}
+
+/**
+ * { count, totals } from the history index (totals null until the next append), or
+ * null when the customer does not exist
+ */
+async function readHistoryIndex(customerId) {
+  const head = (await shopifyGraphql(HISTORY_HEAD_QUERY, { id: toGid('Customer', customerId) })).customer;
+  if (!head) {
+    return null;
+  }
+  if (!head.index) {
+    return { count: parseJson(head.legacy?.value, []).length, totals: null };
+  }
+
+  const index = parseJson(head.index.value, { chunks: 0, count: 0 });
+  return { count: index.count, totals: index.totals || null };
+}
+
+/**
+ * Entries start to end - 1, oldest first, reading only the chunks they are in.
+ * Null when the customer does not exist (an empty range reads nothing).
+ */
+async function readHistoryRange(customerId, start, end) {
+  const firstChunk = Math.floor(start / CHUNK_SIZE);
+  const keys = [];
+  for (let i = firstChunk; i * CHUNK_SIZE < end; i++) {
+    keys.push(chunkKey(i));
+  }
+
+  if (keys.length === 0) {
+    return [];
+  }
+
+  // history_index tells chunked history from the legacy metafield
+  const records = {};
+  for (let i = 0; i < keys.length; i += MAX_KEYS_PER_READ - 1) {
+    const batch = await read('Customer', customerId, ['history_index', ...keys.slice(i, i + MAX_KEYS_PER_READ - 1)]);
+    if (!batch) {
+      return null;
+    }
+    Object.assign(records, batch);
+  }
+
+  if (!records.history_index) {
+    // Not chunked yet - the legacy metafield is a single read anyway
+    const entries = await readHistory(customerId);
+    return entries && entries.slice(start, end);
+  }
+
+  const offset = firstChunk * CHUNK_SIZE;
+  return keys.flatMap(key => records[key]?.value || []).slice(start - offset, end - offset);
+}
+
+module.exports = {
+  name: 'metafield',
+  read,
+  write,
+  listCustomers,
+  listOwners,
+  appendHistory,
+  readHistory,
+  readHistoryIndex,
+  readHistoryRange
+};
@@ -0,0 +1,220 @@
+/**
+ * Rewards points storage
+ * Points, lots, history, idempotency records and the references of manual adjustments
+ * (adjustment_refs) are kept per customer in the rewards
+ * store (lib/rewards-store, customer metafields of namespace `rewards` by default);
+ * points earned from an order are recorded against the order (points_awarded), and
+ * points redeemed on a draft order against the draft (redemption).
+ * `points` is the balance; `lots` holds the same points as dated lots
+ * (see lib/point-lots.js) and every balance write updates both.
+ *
+ * Writes are compare-and-set on the versions read, so a write based on a stale
+ * read fails with a StaleBalanceError instead of silently overwriting a concurrent one.
+ */
+
+const { StaleBalanceError, getRewardsStore } = require('./rewards-store');
+const { appendHistory } = require('./history-store');
+const { reconcileLots } = require('./point-lots');
+
+const IDEMPOTENCY_LIMIT = 20;
+const IDEMPOTENCY_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const ADJUSTMENT_REF_LIMIT = 200;
+
+const BALANCE_KEYS = ['points', 'lots'];
+
+/**
+ * Read the points balance, idempotency records and adjustment references together
+ * with their versions. Returns null when the customer does not exist.
+ */
+async function getPointsState(customerId) {
+  const records = await getRewardsStore().read('Customer', customerId, [...BALANCE_KEYS, 'idempotency', 'adjustment_refs']);
+  if (!records) {
+    return null;
+  }
+
+  const { idempotency, adjustment_refs: adjustmentRefs } = records;
+  return {
+    ...balanceState(records),
+    idempotency: idempotency?.value || {},
+    idempotencyVersion: idempotency ? idempotency.version : null,
+    adjustmentRefs: adjustmentRefs?.value || {},
+    adjustmentRefsVersion: adjustmentRefs ? adjustmentRefs.version : null
+  };
+}
+
+/**
+ * Balance and lots from raw points / lots records.
+ * lotsReconciled is true when the stored lots did not add up to the balance (e.g. a
+ * balance from before lots existed), so `lots` holds lots that are not saved yet.
+ */
+function balanceState({ points, lots }) {
+  const balance = points ? parseInt(points.value) || 0 : 0;
+  const stored = Array.isArray(lots?.value) ? lots.value : [];
+  const storedTotal = stored.reduce((sum, lot) => sum + lot.points, 0);
+  return {
+    points: balance,
+    pointsVersion: points ? points.version : null,
+    lots: reconcileLots(stored, balance),
+    lotsVersion: lots ? lots.version : null,
+    lotsReconciled: storedTotal !== Math.max(balance, 0)
+  };
+}
+
+/**
+ * Page through all customers with their balance state (for scheduled jobs).
+ * Returns { customers: [{ id, ...balanceState }], nextCursor } - nextCursor is null on the last page.
+ */
+async function listCustomerBalances({ first = 50, after = null } = {}) {
+  const page = await getRewardsStore().listCustomers(BALANCE_KEYS, { first, after });
+
+  return {
+    customers: page.customers.map(customer => ({
+      id: customer.id,
+      ...balanceState(customer.records)
+    })),
+    nextCursor: page.nextCursor
+  };
+}
+
+/**
+ * Write records atomically (all or nothing), see lib/rewards-store.
+ * Throws StaleBalanceError when one of them changed since it was read.
+ */
+async function writeRecords(writes) {
+  await getRewardsStore().write(writes);
+}
+
+/**
+ * Writes for a new balance and its lots, guarded by the versions in `state`
+ */
+function balanceWrites(customerId, state, balance, lots) {
+  return [
+    { ownerType: 'Customer', ownerId: customerId, key: 'points', value: balance, version: state.pointsVersion },
+    { ownerType: 'Customer', ownerId: customerId, key: 'lots', value: reconcileLots(lots, balance), version: state.lotsVersion }
+  ];
+}
+
+/**
+ * Read the points record stored for an order.
+ * Returns { rewards, version } where rewards is null when no points were awarded,
+ * or null when the order does not exist.
+ */
+async function getOrderRewards(orderId) {
+  const records = await getRewardsStore().read('Order', orderId, ['points_awarded']);
+  if (!records) {
+    return null;
+  }
+
+  const rewards = records.points_awarded;
+  return {
+    rewards: rewards ? rewards.value : null,
+    version: rewards ? rewards.version : null
+  };
+}
+
+/**
+ * Write for an order's points record
+ */
+function orderRewardsWrite(orderId, rewards, version) {
+  return { ownerType: 'Order', ownerId: orderId, key: 'points_awarded', value: rewards, version };
+}
+
+/**
+ * Read the points redeemed on a draft order.
+ * Returns { redemption, version } - redemption is null when none was recorded.
+ */
+async function getDraftRedemption(draftOrderId) {
+  const records = await getRewardsStore().read('DraftOrder', draftOrderId, ['redemption']);
+  const redemption = records?.redemption;
+  return {
+    redemption: redemption ? redemption.value : null,
+    version: redemption ? redemption.version : null
+  };
+}
+
+/**
+ * Write for a draft order's redemption record
+ */
+function draftRedemptionWrite(draftOrderId, redemption, version) {
+  return { ownerType: 'DraftOrder', ownerId: draftOrderId, key: 'redemption', value: redemption, version };
+}
+
+/**
+ * Look up a stored idempotent result
+ */
+function findIdempotentResult(state, key) {
+  const record = state.idempotency[key];
+  if (!record || Date.now() - new Date(record.created_at).getTime() > IDEMPOTENCY_TTL) {
+    return null;
+  }
+  return record;
+}
+
+/**
+ * Write recording an idempotent result.
+ * Keeps the most recent records only and drops expired ones.
+ */
+function idempotencyWrite(customerId, state, key, record) {
+  const records = Object.entries({ ...state.idempotency, [key]: { ...record, created_at: new Date().toISOString() } })
+    .filter(([, r]) => Date.now() - new Date(r.created_at).getTime() <= IDEMPOTENCY_TTL)
+    .sort(([, a], [, b]) => new Date(b.created_at) - new Date(a.created_at))
+    .slice(0, IDEMPOTENCY_LIMIT);
+
+  return {
+    ownerType: 'Customer',
+    ownerId: customerId,
+    key: 'idempotency',
+    value: Object.fromEntries(records),
+    version: state.idempotencyVersion
+  };
+}
+
+/**
+ * Look up a manual adjustment recorded under its reference
+ */
+function findAdjustmentRef(state, ref) {
+  return state.adjustmentRefs[ref] || null;
+}
+
+/**
+ * Write recording a manual adjustment under its reference.
+ * Unlike idempotency records these do not expire; the most recent
+ * ADJUSTMENT_REF_LIMIT per customer are kept.
+ */
+function adjustmentRefWrite(customerId, state, ref, record) {
+  const refs = Object.entries({ ...state.adjustmentRefs, [ref]: { ...record, created_at: new Date().toISOString() } })
+    .sort(([, a], [, b]) => new Date(b.created_at) - new Date(a.created_at))
+    .slice(0, ADJUSTMENT_REF_LIMIT);
+
+  return {
+    ownerType: 'Customer',
+    ownerId: customerId,
+    key: 'adjustment_refs',
+    value: Object.fromEntries(refs),
+    version: state.adjustmentRefsVersion
+  };
+}
+
+/**
+ * Add a rewards history entry (append-only, see lib/history-store.js)
+ */
+async function addRewardHistory(customerId, historyEntry) {
+  await appendHistory(customerId, historyEntry);
+}
+
+module.exports = {
+  StaleBalanceError,
+  getPointsState,
+  listCustomerBalances,
+  writeRecords,
+  balanceWrites,
+  getOrderRewards,
+  orderRewardsWrite,
+  getDraftRedemption,
+  draftRedemptionWrite,
+  findIdempotentResult,
+  idempotencyWrite,
+  findAdjustmentRef,
+  adjustmentRefWrite,
+  addRewardHistory
+};
@@ -0,0 +1,418 @@
+/**
+ * Shared Shopify Admin API client
+ * Every call to Shopify goes through the GraphQL Admin API here, with typed helpers for
+ * customers and metafields (draft orders: lib/draft-orders.js, discount codes:
+ * lib/discount-codes.js).
+ *
+ * SHOPIFY_API_VERSION picks the Admin API version (default 2024-10).
+ *
+ * Throttling: GraphQL requests are limited by query cost. Each response reports the
+ * cost bucket in extensions.cost.throttleStatus; the client tracks it and waits before
+ * a query the bucket cannot pay for yet, and retries THROTTLED responses once the bucket
+ * has refilled. Timeouts, retries of 429 / 5xx / network errors and the circuit breaker
+ * come from lib/http.js (SHOPIFY_TIMEOUT_MS, SHOPIFY_MAX_RETRIES,
+ * SHOPIFY_BREAKER_THRESHOLD, SHOPIFY_BREAKER_COOLDOWN_MS). Mutations are only retried
+ * when Shopify cannot have applied them: 429, THROTTLED, or no connection made.
+ *
+ * Errors: UpstreamError subclasses when Shopify failed, ShopifyUserError when it
+ * rejected a mutation.
+ */
+
+const SHOPIFY_SHOP = process.env.SHOPIFY_SHOP; // your-shop.myshopify.com
+const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN; // Admin API access token
+const API_VERSION = process.env.SHOPIFY_API_VERSION || '2024-10'; // Shopify API version
+
+const { logger } = require('./logger');
+const { UpstreamError, RateLimitError, CircuitBreaker, httpRequest } = require('./http');
+
+const SHOPIFY_TIMEOUT_MS = parseInt(process.env.SHOPIFY_TIMEOUT_MS) || 10000;
+const SHOPIFY_MAX_RETRIES = process.env.SHOPIFY_MAX_RETRIES !== undefined ? parseInt(process.env.SHOPIFY_MAX_RETRIES) || 0 : 3;
+const MAX_THROTTLE_RETRIES = 5;
+
+const CUSTOMER_FIELDS = `
+  id
+  email
+  firstName
+  lastName
+  tags
+  taxExempt
+`;
+
+const CUSTOMER_QUERY = `
+  query Customer($id: ID!) {
+    customer(id: $id) {
+      ${CUSTOMER_FIELDS}
+    }
+  }
+`;
+
+const CUSTOMER_SEARCH_QUERY = `
+  query CustomerSearch($query: String!) {
+    customers(first: 5, query: $query) {
+      nodes {
+        ${CUSTOMER_FIELDS}
+      }
+    }
+  }
+`;
+
+const CUSTOMER_METAFIELD_QUERY = `
+  query CustomerMetafield($id: ID!, $namespace: String!, $key: String!) {
+    customer(id: $id) {
+      metafield(namespace: $namespace, key: $key) {
+        namespace
+        key
+        type
+        value
+        compareDigest
+      }
+    }
+  }
+`;
+
+const SHOP_METAFIELD_QUERY = `
+  query ShopMetafield($namespace: String!, $key: String!) {
+    shop {
+      metafield(namespace: $namespace, key: $key) {
+        namespace
+        key
+        type
+        value
+        compareDigest
+      }
+    }
+  }
+`;
+
+const METAFIELDS_SET_MUTATION = `
+  mutation MetafieldsSet($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }
+`;
+
+const METAFIELDS_DELETE_MUTATION = `
+  mutation MetafieldsDelete($metafields: [MetafieldIdentifierInput!]!) {
+    metafieldsDelete(metafields: $metafields) {
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const breaker = new CircuitBreaker('Shopify', {
+  failureThreshold: parseInt(process.env.SHOPIFY_BREAKER_THRESHOLD) || 5,
+  cooldownMs: parseInt(process.env.SHOPIFY_BREAKER_COOLDOWN_MS) || 30000
+});
+
+/**
+ * The response carried GraphQL errors (bad query, access denied, ...)
+ */
+class ShopifyGraphqlError extends UpstreamError {
+  constructor(errors) {
+    super(`Shopify GraphQL error: ${errors.map(e => e.message).join('; ')}`, { code: 'SHOPIFY_GRAPHQL_ERROR' });
+    this.name = 'ShopifyGraphqlError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * A mutation was rejected (userErrors). Not an outage: Shopify answered, the input
+ * or the object's state is wrong. `code` is the first error code (e.g. STALE_OBJECT).
+ */
+class ShopifyUserError extends Error {
+  constructor(message, userErrors) {
+    super(message);
+    this.name = 'ShopifyUserError';
+    this.status = 422;
+    this.code = userErrors.find(e => e.code)?.code;
+    this.userErrors = userErrors;
+  }
+}
+
+/**
+ * POST a GraphQL request through the shared HTTP layer (timeout, retries, circuit breaker)
+ * and return the parsed JSON body
+ */
+async function graphqlRequest(body) {
+  const response = await httpRequest(`https://${SHOPIFY_SHOP}/admin/api/${API_VERSION}/graphql.json`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN
+    },
+    body: JSON.stringify(body),
+    timeoutMs: SHOPIFY_TIMEOUT_MS,
+    retries: SHOPIFY_MAX_RETRIES,
+    // A mutation may have been applied before its response was lost
+    idempotent: !/^\s*mutation\b/.test(body.query),
+    breaker
+  });
+
+  try {
+    return JSON.parse(response.text);
+  } catch (e) {
+    throw new UpstreamError('Shopify returned an invalid JSON response', { code: 'SHOPIFY_INVALID_RESPONSE', cause: e });
+  }
+}
+
+// Query cost bucket as last reported by Shopify (per function instance)
+const costBucket = {
+  available: null,
+  maximum: null,
+  restoreRate: null,
+  updatedAt: 0
+};
+
+// Last requested cost of each query, to know what the next run will need
+const queryCosts = new Map();
+
+/**
+ * Cost points available now: the last reported amount plus what has refilled since
+ */
+function availableCost() {
+  if (costBucket.available === null) {
+    return Infinity;
+  }
+  const elapsed = (Date.now() - costBucket.updatedAt) / 1000;
+  return Math.min(costBucket.maximum, costBucket.available + elapsed * costBucket.restoreRate);
+}
+
+function updateCostBucket(cost) {
+  const status = cost?.throttleStatus;
+  if (!status) {
+    return;
+  }
+  costBucket.available = status.currentlyAvailable;
+  costBucket.maximum = status.maximumAvailable;
+  costBucket.restoreRate = status.restoreRate;
+  costBucket.updatedAt = Date.now();
+}
+
+/**
+ * Wait until the bucket can pay for a query of this cost
+ */
+async function waitForCost(cost) {
+  const available = availableCost();
+  if (available >= cost || !costBucket.restoreRate) {
+    return;
+  }
+  const delay = Math.ceil((cost - available) / costBucket.restoreRate * 1000);
+  logger.info('Query cost exceeds available budget, waiting', { cost, available: Math.floor(available), delay_ms: delay });
+  await sleep(delay);
+}
+
+/**
+ * Name of the operation in a query document, for logs ("anonymous" when unnamed)
+ */
+function operationName(query) {
+  return query.match(/^\s*(?:query|mutation)\s+(\w+)/)?.[1] || 'anonymous';
+}
+
+/**
+ * Call the Admin GraphQL API and return the `data` object.
+ * Every call is logged with its operation name, duration and query cost.
+ * Throws an UpstreamError (lib/http.js) when Shopify cannot be reached or the response
+ * carries GraphQL errors.
+ */
+async function shopifyGraphql(query, variables = {}) {
+  for (let attempt = 0; ; attempt++) {
+    await waitForCost(queryCosts.get(query) || 0);
+
+    const startedAt = Date.now();
+    let data;
+    try {
+      data = await graphqlRequest({ query, variables });
+    } catch (error) {
+      logger.warn('Shopify call failed', { operation: operationName(query), duration_ms: Date.now() - startedAt, error });
+      throw error;
+    }
+    const cost = data.extensions?.cost;
+    logger.info('Shopify call', {
+      operation: operationName(query),
+      duration_ms: Date.now() - startedAt,
+      cost: cost?.actualQueryCost ?? cost?.requestedQueryCost
+    });
+    updateCostBucket(cost);
+    if (cost?.requestedQueryCost !== undefined) {
+      queryCosts.set(query, cost.requestedQueryCost);
+    }
+
+    const errors = data.errors || [];
+    const throttled = errors.some(e => e.extensions?.code === 'THROTTLED');
+    if (throttled && attempt < MAX_THROTTLE_RETRIES) {
+      logger.warn('Throttled, waiting for the cost bucket', { attempt: attempt + 1, max_attempts: MAX_THROTTLE_RETRIES });
+      if (!cost) {
+        await sleep(1000 * Math.pow(2, attempt));
+      }
+      continue;
+    }
+
+    if (throttled) {
+      throw new RateLimitError('Shopify GraphQL query cost limit exceeded', {
+        retryAfterMs: costBucket.restoreRate ? Math.ceil((queryCosts.get(query) || 0) / costBucket.restoreRate * 1000) : null
+      });
+    }
+    if (errors.length > 0) {
+      throw new ShopifyGraphqlError(errors);
+    }
+
+    return data.data;
+  }
+}
+
+/**
+ * Throw a ShopifyUserError when a mutation result carries userErrors
+ */
+function throwOnUserErrors(result, what) {
+  const errors = result?.userErrors || [];
+  if (errors.length > 0) {
+    throw new ShopifyUserError(`Failed to ${what}: ${errors.map(e => e.message).join('; ')}`, errors);
+  }
+}
+
+/**
+ * Strip a gid:// prefix or any other non-digit characters from a Shopify ID
+ */
+function toNumericId(id) {
+  return id.toString().replace(/\D/g, '');
+}
+
+/**
+ * GraphQL ID of a resource from a numeric or gid ID
+ */
+function toGid(type, id) {
+  return `gid://shopify/${type}/${toNumericId(id)}`;
+}
+
+/**
+ * Customer in the shape used across the app:
+ * { id, email, first_name, last_name, tags: [], tax_exempt }
+ */
+function normalizeCustomer(node) {
+  return {
+    id: toNumericId(node.id),
+    email: node.email,
+    first_name: node.firstName,
+    last_name: node.lastName,
+    tags: node.tags || [],
+    tax_exempt: node.taxExempt === true
+  };
+}
+
+/**
+ * Get a customer by ID, or null when it does not exist
+ */
+async function getCustomer(customerId) {
+  const data = await shopifyGraphql(CUSTOMER_QUERY, { id: toGid('Customer', customerId) });
+  return data.customer ? normalizeCustomer(data.customer) : null;
+}
+
+/**
+ * Find a customer by email, or null when there is no exact match
+ */
+async function findCustomerByEmail(email) {
+  const data = await shopifyGraphql(CUSTOMER_SEARCH_QUERY, { query: `email:${JSON.stringify(email.trim())}` });
+  const wanted = email.trim().toLowerCase();
+  const node = data.customers.nodes.find(customer => (customer.email || '').toLowerCase() === wanted);
+  return node ? normalizeCustomer(node) : null;
+}
+
+/**
+ * Get a single customer metafield ({ namespace, key, type, value, compareDigest }),
+ * or null when it is not set
+ */
+async function getCustomerMetafield(customerId, namespace, key) {
+  const data = await shopifyGraphql(CUSTOMER_METAFIELD_QUERY, {
+    id: toGid('Customer', customerId),
+    namespace,
+    key
+  });
+  return data.customer?.metafield || null;
+}
+
+/**
+ * Get a single shop-level metafield, or null when it is not set
+ */
+async function getShopMetafield(namespace, key) {
+  const data = await shopifyGraphql(SHOP_METAFIELD_QUERY, { namespace, key });
+  return data.shop.metafield || null;
+}
+
+/**
+ * Write metafields atomically (all or nothing).
+ * Each input may carry compareDigest; null means "must not exist yet". A lost
+ * compare-and-set throws an error with code STALE_OBJECT.
+ */
+async function setMetafields(metafields) {
+  const data = await shopifyGraphql(METAFIELDS_SET_MUTATION, { metafields });
+  throwOnUserErrors(data.metafieldsSet, 'set metafields');
+}
+
+/**
+ * Delete metafields by { ownerId, namespace, key }
+ */
+async function deleteMetafields(metafields) {
+  const data = await shopifyGraphql(METAFIELDS_DELETE_MUTATION, { metafields });
+  throwOnUserErrors(data.metafieldsDelete, 'delete metafields');
+}
+
+/**
+ * Get the shop's GraphQL ID (cached for the lifetime of the function instance)
+ */
+let shopGid = null;
+async function getShopGid() {
+  if (!shopGid) {
+    const data = await shopifyGraphql('{ shop { id } }');
+    shopGid = data.shop.id;
+  }
+  return shopGid;
+}
+
+/**
+ * Shop currency and the currencies the storefront may present prices in
+ * ({ currency, presentment_currencies }, cached for the lifetime of the function instance)
+ */
+let shopCurrencies = null;
+async function getShopCurrencies() {
+  if (!shopCurrencies) {
+    const data = await shopifyGraphql('{ shop { currencyCode enabledPresentmentCurrencies } }');
+    shopCurrencies = {
+      currency: data.shop.currencyCode,
+      presentment_currencies: data.shop.enabledPresentmentCurrencies
+    };
+  }
+  return shopCurrencies;
+}
+
+/**
+ * Sleep utility for retry delays
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  API_VERSION,
+  ShopifyGraphqlError,
+  ShopifyUserError,
+  shopifyGraphql,
+  throwOnUserErrors,
+  toNumericId,
+  toGid,
+  getCustomer,
+  findCustomerByEmail,
+  getCustomerMetafield,
+  getShopMetafield,
+  setMetafields,
+  deleteMetafields,
+  getShopGid,
+  getShopCurrencies
+};
@@ -0,0 +1,286 @@
+/**
+ * Tier qualification
+ * Works out which tier a customer has earned from what they spent, using the
+ * min_spend thresholds in the tier table (config/tiers.json), and writes it back
+ * where lib/tiers.js reads it.
+ *
+ * TIER_QUALIFICATION_BASIS
+ *   rolling_12_months (default) - current subtotal of paid, non-cancelled orders of the last 12 months
+ *   lifetime                    - the customer's amountSpent (Shopify's total_spent)
+ * TIER_ASSIGNMENT
+ *   metafield (default) - customer metafield rewards.tier
+ *   tag                 - the tier's tag (other tier tags are removed)
+ *   both
+ *
+ * Tiers without min_spend are assigned by hand only: customers holding one are
+ * never moved automatically.
+ */
+
+const { logger } = require('./logger');
+const {
+  shopifyGraphql,
+  throwOnUserErrors,
+  toNumericId,
+  toGid,
+  setMetafields,
+  deleteMetafields
+} = require('./shopify');
+const {
+  TIER_METAFIELD_NAMESPACE,
+  TIER_METAFIELD_KEY,
+  loadTierTable,
+  findTierByName,
+  findTierByTags
+} = require('./tiers');
+const { addRewardHistory } = require('./rewards');
+
+const TIER_QUALIFICATION_BASIS = process.env.TIER_QUALIFICATION_BASIS === 'lifetime' ? 'lifetime' : 'rolling_12_months';
+const TIER_ASSIGNMENT = ['tag', 'both'].includes(process.env.TIER_ASSIGNMENT) ? process.env.TIER_ASSIGNMENT : 'metafield';
+
+// Orders that count towards spend
+const COUNTED_FINANCIAL_STATUSES = ['PAID', 'PARTIALLY_PAID', 'PARTIALLY_REFUNDED'];
+
+const CUSTOMER_TIER_QUERY = `
+  query CustomerTier($id: ID!) {
+    customer(id: $id) {
+      id
+      tags
+      amountSpent {
+        amount
+      }
+      tier: metafield(namespace: "rewards", key: "tier") {
+        value
+      }
+    }
+  }
+`;
+
+const CUSTOMER_ORDERS_QUERY = `
+  query CustomerOrders($query: String!, $after: String) {
+    orders(first: 100, after: $after, query: $query) {
+      nodes {
+        id
+        cancelledAt
+        displayFinancialStatus
+        currentSubtotalPriceSet {
+          shopMoney {
+            amount
+          }
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+const CUSTOMER_IDS_QUERY = `
+  query CustomerIds($first: Int!, $after: String) {
+    customers(first: $first, after: $after) {
+      nodes {
+        id
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+const TAGS_ADD_MUTATION = `
+  mutation TagsAdd($id: ID!, $tags: [String!]!) {
+    tagsAdd(id: $id, tags: $tags) {
+      userErrors {
+        message
+      }
+    }
+  }
+`;
+
+const TAGS_REMOVE_MUTATION = `
+  mutation TagsRemove($id: ID!, $tags: [String!]!) {
+    tagsRemove(id: $id, tags: $tags) {
+      userErrors {
+        message
+      }
+    }
+  }
+`;
+
+/**
+ * Highest tier whose min_spend the spend reaches, or null
+ */
+function qualifyTier(spend, tiers) {
+  return tiers
+    .filter(tier => tier.min_spend !== null && spend >= tier.min_spend)
+    .reduce((best, tier) => (!best || tier.min_spend > best.min_spend ? tier : best), null);
+}
+
+/**
+ * Spend over the last 12 months.
+ * `order` ({ id, amount }) is counted even when the orders search has not indexed it yet,
+ * which is usually the case while its orders/paid webhook is being handled.
+ */
+async function rollingSpend(customerId, order = null) {
+  const since = new Date();
+  since.setFullYear(since.getFullYear() - 1);
+
+  const query = `customer_id:${toNumericId(customerId)} created_at:>=${since.toISOString()}`;
+  let spend = 0;
+  let seenOrder = false;
+  let after = null;
+
+  do {
+    const data = await shopifyGraphql(CUSTOMER_ORDERS_QUERY, { query, after });
+    const { nodes, pageInfo } = data.orders;
+
+    for (const node of nodes) {
+      if (order && toNumericId(node.id) === toNumericId(order.id)) {
+        seenOrder = true;
+      }
+      if (node.cancelledAt || !COUNTED_FINANCIAL_STATUSES.includes(node.displayFinancialStatus)) {
+        continue;
+      }
+      spend += parseFloat(node.currentSubtotalPriceSet.shopMoney.amount) || 0;
+    }
+    after = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+  } while (after);
+
+  if (order && !seenOrder) {
+    spend += order.amount;
+  }
+
+  return spend;
+}
+
+/**
+ * Write the tier where lib/tiers.js reads it (null removes it)
+ */
+async function assignTier(customerId, tier, tiers, currentTags) {
+  const id = toGid('Customer', customerId);
+
+  if (TIER_ASSIGNMENT !== 'tag') {
+    if (tier) {
+      await setMetafields([{
+        ownerId: id,
+        namespace: TIER_METAFIELD_NAMESPACE,
+        key: TIER_METAFIELD_KEY,
+        type: 'single_line_text_field',
+        value: tier.name
+      }]);
+    } else {
+      await deleteMetafields([{ ownerId: id, namespace: TIER_METAFIELD_NAMESPACE, key: TIER_METAFIELD_KEY }]);
+    }
+  }
+
+  if (TIER_ASSIGNMENT !== 'metafield') {
+    const lowerTags = currentTags.map(tag => tag.toLowerCase());
+    const staleTags = tiers
+      .filter(other => other.tag && other !== tier && lowerTags.includes(other.tag.toLowerCase()))
+      .map(other => other.tag);
+
+    if (staleTags.length > 0) {
+      const result = await shopifyGraphql(TAGS_REMOVE_MUTATION, { id, tags: staleTags });
+      throwOnUserErrors(result.tagsRemove, 'remove tier tags');
+    }
+    if (tier?.tag && !lowerTags.includes(tier.tag.toLowerCase())) {
+      const result = await shopifyGraphql(TAGS_ADD_MUTATION, { id, tags: [tier.tag] });
+      throwOnUserErrors(result.tagsAdd, 'add tier tag');
+    }
+  }
+}
+
+/**
+ * Recompute a customer's tier and store it when it changed.
+ *
+ * options.order - { id, amount } of an order that just got paid (see rollingSpend)
+ *
+ * Returns { customer_id, basis, spend, previous_tier, tier, changed, direction?, skipped? }
+ * (direction is 'upgrade' or 'downgrade' when the tier changed),
+ * or null when the customer does not exist.
+ */
+async function applyCustomerTier(customerId, { order = null } = {}) {
+  const tiers = loadTierTable();
+  const data = await shopifyGraphql(CUSTOMER_TIER_QUERY, { id: toGid('Customer', customerId) });
+  const customer = data.customer;
+  if (!customer) {
+    return null;
+  }
+
+  const tags = customer.tags || [];
+  const current = findTierByName(tiers, customer.tier?.value) || findTierByTags(tiers, tags);
+
+  const result = {
+    customer_id: toNumericId(customerId),
+    basis: TIER_QUALIFICATION_BASIS,
+    spend: 0,
+    previous_tier: current ? current.name : null,
+    tier: current ? current.name : null,
+    changed: false
+  };
+
+  if (!tiers.some(tier => tier.min_spend !== null)) {
+    return { ...result, skipped: 'no_thresholds' };
+  }
+  if (current && current.min_spend === null) {
+    return { ...result, skipped: 'manual_tier' };
+  }
+
+  result.spend = TIER_QUALIFICATION_BASIS === 'lifetime'
+    ? parseFloat(customer.amountSpent?.amount) || 0
+    : await rollingSpend(customerId, order);
+
+  const qualified = qualifyTier(result.spend, tiers);
+  result.tier = qualified ? qualified.name : null;
+
+  if (qualified === current) {
+    return result;
+  }
+
+  await assignTier(customerId, qualified, tiers, tags);
+  const upgrade = !current || (qualified && qualified.min_spend > current.min_spend);
+  result.changed = true;
+  result.direction = upgrade ? 'upgrade' : 'downgrade';
+
+  try {
+    await addRewardHistory(customerId, {
+      date: new Date().toISOString(),
+      type: 'tier',
+      action: upgrade ? 'Lên hạng' : 'Xuống hạng',
+      direction: result.direction,
+      from_tier: result.previous_tier,
+      to_tier: result.tier,
+      spend: result.spend,
+      basis: TIER_QUALIFICATION_BASIS
+    });
+  } catch (error) {
+    logger.error('Failed to save reward history', { error });
+  }
+
+  logger.info('Customer tier applied', { customer_id: result.customer_id, previous_tier: result.previous_tier || null, tier: result.tier || null });
+
+  return result;
+}
+
+/**
+ * One page of customer ids, for the nightly recompute
+ */
+async function listCustomerIds({ first = 50, after = null } = {}) {
+  const data = await shopifyGraphql(CUSTOMER_IDS_QUERY, { first, after });
+  const { nodes, pageInfo } = data.customers;
+
+  return {
+    customerIds: nodes.map(node => toNumericId(node.id)),
+    nextCursor: pageInfo.hasNextPage ? pageInfo.endCursor : null
+  };
+}
+
+module.exports = {
+  TIER_QUALIFICATION_BASIS,
+  qualifyTier,
+  applyCustomerTier,
+  listCustomerIds
+};
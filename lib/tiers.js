@@ -0,0 +1,102 @@
+/**
+ * Customer tier resolution
+ * Works out a customer's pricing tier on the server from Shopify data,
+ * so the storefront never decides its own discount.
+ *
+ * Tier table: config/tiers.json, or the TIER_CONFIG env var (same JSON shape)
+ * Lookup order: customer metafield rewards.tier (tier name), then customer tags
+ */
+
+const { logger } = require('./logger');
+const { getCustomer, getCustomerMetafield } = require('./shopify');
+const DEFAULT_TIER_CONFIG = require('../config/tiers.json');
+
+const TIER_METAFIELD_NAMESPACE = 'rewards';
+const TIER_METAFIELD_KEY = 'tier';
+
+/**
+ * Load the configured tier table
+ */
+function loadTierTable() {
+  let config = DEFAULT_TIER_CONFIG;
+
+  if (process.env.TIER_CONFIG) {
+    try {
+      config = JSON.parse(process.env.TIER_CONFIG);
+    } catch (e) {
+      logger.error('Invalid TIER_CONFIG, falling back to config/tiers.json', { error: e });
+    }
+  }
+
+  return (config.tiers || []).map(tier => ({
+    name: tier.name,
+    tag: tier.tag || null,
+    discount_percent: Number(tier.discount_percent) || 0,
+    points_multiplier: tier.points_multiplier !== undefined ? Number(tier.points_multiplier) : 1,
+    // Spend needed to qualify automatically (lib/tier-qualification.js); null = assigned by hand only
+    min_spend: tier.min_spend !== undefined && tier.min_spend !== null ? Number(tier.min_spend) : null,
+    // Members may order tax-exempt (wholesale)
+    tax_exempt: tier.tax_exempt === true
+  }));
+}
+
+/**
+ * Find a tier by name (case-insensitive)
+ */
+function findTierByName(tiers, name) {
+  if (!name) {
+    return null;
+  }
+  const wanted = name.toString().trim().toLowerCase();
+  return tiers.find(tier => tier.name.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Find the best tier matching a customer's tags (array or comma-separated string).
+ * When several tier tags are present the highest discount wins.
+ */
+function findTierByTags(tiers, tags) {
+  const customerTags = (Array.isArray(tags) ? tags : (tags || '').split(','))
+    .map(tag => tag.trim().toLowerCase())
+    .filter(Boolean);
+
+  return tiers
+    .filter(tier => tier.tag && customerTags.includes(tier.tag.toLowerCase()))
+    .reduce((best, tier) => (!best || tier.discount_percent > best.discount_percent ? tier : best), null);
+}
+
+/**
+ * Resolve the tier for a customer.
+ * Returns { customer, tier } where tier is null for customers without one,
+ * or null when the customer does not exist.
+ */
+async function resolveCustomerTier(customerId) {
+  const customer = await getCustomer(customerId);
+  if (!customer) {
+    return null;
+  }
+
+  const tiers = loadTierTable();
+
+  const metafield = await getCustomerMetafield(customerId, TIER_METAFIELD_NAMESPACE, TIER_METAFIELD_KEY);
+  const metafieldTier = findTierByName(tiers, metafield?.value);
+  if (metafieldTier) {
+    return { customer, tier: { ...metafieldTier, source: 'metafield' } };
+  }
+
+  const tagTier = findTierByTags(tiers, customer.tags);
+  if (tagTier) {
+    return { customer, tier: { ...tagTier, source: 'tag' } };
+  }
+
+  return { customer, tier: null };
+}
+
+module.exports = {
+  TIER_METAFIELD_NAMESPACE,
+  TIER_METAFIELD_KEY,
+  loadTierTable,
+  findTierByName,
+  findTierByTags,
+  resolveCustomerTier
+};
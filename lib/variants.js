@@ -0,0 +1,75 @@
+/**
+ * Variant price lookup
+ * Fetches current prices for a batch of variants in a single GraphQL call,
+ * so discounts are computed from Shopify's numbers rather than the cart's.
+ */
+
+const { shopifyGraphql, toNumericId } = require('./shopify');
+
+const VARIANTS_QUERY = `
+  query VariantPrices($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on ProductVariant {
+        id
+        title
+        sku
+        price
+        compareAtPrice
+        availableForSale
+        product {
+          id
+          productType
+          collections(first: 25) {
+            nodes {
+              id
+              handle
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Get variants by ID.
+ * Returns a Map keyed by numeric variant ID; unknown variants are absent.
+ */
+async function getVariants(variantIds) {
+  const numericIds = [...new Set(variantIds.map(id => toNumericId(id)))];
+  const variants = new Map();
+
+  if (numericIds.length === 0) {
+    return variants;
+  }
+
+  const data = await shopifyGraphql(VARIANTS_QUERY, {
+    ids: numericIds.map(id => `gid://shopify/ProductVariant/${id}`)
+  });
+
+  for (const node of data.nodes || []) {
+    if (!node || !node.id) {
+      continue;
+    }
+    variants.set(toNumericId(node.id), {
+      id: toNumericId(node.id),
+      title: node.title,
+      sku: node.sku || null,
+      price: Number(node.price),
+      compare_at_price: node.compareAtPrice !== null && node.compareAtPrice !== undefined ? Number(node.compareAtPrice) : null,
+      available: node.availableForSale,
+      product_id: node.product ? toNumericId(node.product.id) : null,
+      product_type: node.product?.productType || null,
+      collections: (node.product?.collections?.nodes || []).map(collection => ({
+        id: toNumericId(collection.id),
+        handle: collection.handle
+      }))
+    });
+  }
+
+  return variants;
+}
+
+module.exports = {
+  getVariants
+};
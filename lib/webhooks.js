@@ -0,0 +1,44 @@
+/**
+ * Shopify webhook verification
+ * Shopify signs the raw body with the app secret and sends the base64 HMAC-SHA256
+ * in X-Shopify-Hmac-Sha256. The webhook routes turn Vercel's body parser off so
+ * the raw body is still there to check (see readRawBody in lib/auth.js).
+ */
+
+const crypto = require('crypto');
+const { readRawBody } = require('./auth');
+
+// Webhook signing secret - the app secret unless webhooks were created with a separate one
+const SHOPIFY_WEBHOOK_SECRET = process.env.SHOPIFY_WEBHOOK_SECRET || process.env.SHOPIFY_API_SECRET;
+
+/**
+ * Verify a webhook request and return its parsed payload, or null when the
+ * signature is missing or wrong.
+ */
+async function verifyShopifyWebhook(req) {
+  const signature = req.headers?.['x-shopify-hmac-sha256'];
+  if (!SHOPIFY_WEBHOOK_SECRET || typeof signature !== 'string') {
+    return null;
+  }
+
+  const rawBody = await readRawBody(req);
+  if (!rawBody) {
+    return null;
+  }
+  const digest = crypto.createHmac('sha256', SHOPIFY_WEBHOOK_SECRET).update(rawBody).digest();
+  const received = Buffer.from(signature, 'base64');
+
+  if (digest.length !== received.length || !crypto.timingSafeEqual(digest, received)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(rawBody.toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = {
+  verifyShopifyWebhook
+};
@@ -0,0 +1,104 @@
+/**
+ * Copy rewards data from Shopify metafields into the configured rewards store
+ *
+ * Imports every customer's rewards.points, rewards.lots, rewards.idempotency,
+ * rewards.adjustment_refs and history (rewards.history_* chunks, or the legacy rewards.history), the points
+ * awarded on orders and the redemptions recorded on open draft orders.
+ * Records in the target store are overwritten, so the migration can be re-run.
+ *
+ * Usage: REWARDS_STORE=file node migrate-rewards.js [--dry-run]
+ * Stop the webhooks and crons while it runs - writes made meanwhile are not copied.
+ */
+
+require('dotenv').config();
+
+const { createRewardsStore } = require('./lib/rewards-store');
+const source = require('./lib/rewards-store/metafield');
+
+const REWARDS_STORE = process.env.REWARDS_STORE || 'metafield';
+const PAGE_SIZE = 100;
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const CUSTOMER_KEYS = ['points', 'lots', 'idempotency', 'adjustment_refs', 'history_index', 'history'];
+
+/**
+ * Call `handle` for every owner of a type, page by page
+ */
+async function eachOwner(ownerType, keys, query, handle) {
+  let after = null;
+  do {
+    const page = await source.listOwners(ownerType, keys, { first: PAGE_SIZE, after, query });
+    for (const owner of page.owners) {
+      await handle(owner);
+    }
+    after = page.nextCursor;
+  } while (after);
+}
+
+/**
+ * Writes copying the records that are set, without a version (overwrite)
+ */
+function copyWrites(ownerType, ownerId, records, keys) {
+  return keys
+    .filter(key => records[key])
+    .map(key => ({ ownerType, ownerId, key, value: records[key].value, version: undefined }));
+}
+
+async function migrate() {
+  if (!process.env.SHOPIFY_SHOP || !process.env.SHOPIFY_ACCESS_TOKEN) {
+    console.error('❌ Missing SHOPIFY_SHOP / SHOPIFY_ACCESS_TOKEN');
+    process.exit(1);
+  }
+  if (REWARDS_STORE === 'metafield' || REWARDS_STORE === 'memory') {
+    console.error(`❌ REWARDS_STORE is "${REWARDS_STORE}" - set it to the store to migrate into (e.g. file)`);
+    process.exit(1);
+  }
+
+  const target = createRewardsStore(REWARDS_STORE);
+  const summary = { customers: 0, history_entries: 0, orders: 0, draft_orders: 0 };
+  console.log(`Migrating rewards metafields into the ${target.name} store${DRY_RUN ? ' (dry run)' : ''}...\n`);
+
+  await eachOwner('Customer', CUSTOMER_KEYS, null, async customer => {
+    const { records } = customer;
+    if (!CUSTOMER_KEYS.some(key => records[key])) {
+      return;
+    }
+
+    const history = records.history_index || records.history ? await source.readHistory(customer.id) : [];
+    summary.customers++;
+    summary.history_entries += history.length;
+    console.log(`Customer ${customer.id}: ${records.points ? records.points.value : 0} points, ${history.length} history entries`);
+
+    if (!DRY_RUN) {
+      await target.write(copyWrites('Customer', customer.id, records, ['points', 'lots', 'idempotency', 'adjustment_refs']));
+      await target.importHistory(customer.id, history);
+    }
+  });
+
+  await eachOwner('Order', ['points_awarded'], null, async order => {
+    if (!order.records.points_awarded) {
+      return;
+    }
+    summary.orders++;
+    if (!DRY_RUN) {
+      await target.write(copyWrites('Order', order.id, order.records, ['points_awarded']));
+    }
+  });
+
+  await eachOwner('DraftOrder', ['redemption'], 'tag:tier-pricing -status:completed', async draftOrder => {
+    if (!draftOrder.records.redemption) {
+      return;
+    }
+    summary.draft_orders++;
+    if (!DRY_RUN) {
+      await target.write(copyWrites('DraftOrder', draftOrder.id, draftOrder.records, ['redemption']));
+    }
+  });
+
+  console.log('\n✅ Migration finished:', summary);
+}
+
+migrate().catch(error => {
+  console.error('❌ Migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,198 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { SECRETS, shopify, invoke, request, signed, admin, setPoints, getPoints, idOf } = require('./support/harness');
+const points = require('../api/admin/points');
+const pointsBulk = require('../api/admin/points-bulk');
+const ledger = require('../api/admin/ledger');
+
+let customer;
+
+beforeEach(() => {
+  shopify.reset();
+  customer = shopify.addCustomer({ email: 'member@example.com' });
+});
+
+function adjust(body) {
+  return invoke(points, admin({ method: 'POST', body }));
+}
+
+test('admin endpoints need the admin token or a call signed with the admin secret', async () => {
+  const body = { customer_id: idOf(customer), points: 100, reason: 'Goodwill', operator: 'staff@example.com' };
+
+  assert.equal((await invoke(points, request({ method: 'POST', body }))).statusCode, 401);
+  assert.equal((await invoke(pointsBulk, request({ method: 'POST', body: { csv: 'x' } }))).statusCode, 401);
+  assert.equal((await invoke(ledger, request({ query: { customer_id: idOf(customer) } }))).statusCode, 401);
+  assert.equal((await invoke(points, signed({ method: 'POST', body }, SECRETS.ADMIN_HMAC_SECRET))).statusCode, 200);
+
+  // The storefront servers' secret does not open the admin endpoints
+  assert.equal((await invoke(points, signed({ method: 'POST', body }))).statusCode, 401);
+  assert.equal(getPoints(customer), 100);
+});
+
+test('points credits and debits a balance with an audit entry', async () => {
+  const credit = await adjust({ email: 'MEMBER@example.com', points: 500, reason: 'Goodwill', operator: 'staff@example.com' });
+  assert.equal(credit.statusCode, 200);
+  assert.equal(credit.body.balance_after, 500);
+
+  const debit = await adjust({ customer_id: idOf(customer), points: -200, reason: 'Correction', operator: 'staff@example.com' });
+  assert.equal(debit.body.balance_before, 500);
+  assert.equal(getPoints(customer), 300);
+
+  const history = shopify.getMetafield(customer.id, 'rewards', 'history_0');
+  assert.deepEqual(history.map(entry => [entry.type, entry.points, entry.operator]), [
+    ['adjust', 500, 'staff@example.com'],
+    ['adjust', -200, 'staff@example.com']
+  ]);
+});
+
+test('points rejects invalid adjustments', async () => {
+  setPoints(customer, 100);
+  const base = { customer_id: idOf(customer), reason: 'Correction', operator: 'staff@example.com' };
+
+  assert.equal((await adjust({ ...base, points: -500 })).statusCode, 400);
+  assert.equal((await adjust({ ...base, points: 1.5 })).statusCode, 400);
+  assert.equal((await adjust({ ...base, points: 10, reason: undefined })).statusCode, 400);
+  assert.equal((await adjust({ ...base, customer_id: '999', points: 10 })).statusCode, 404);
+  assert.equal((await adjust({ email: 'nobody@example.com', points: 10, reason: 'x', operator: 'y' })).statusCode, 404);
+  assert.equal(getPoints(customer), 100);
+});
+
+test('points-bulk applies each row and reports failures', async () => {
+  const other = shopify.addCustomer({ email: 'other@example.com' });
+  const csv = [
+    'customer_id,email,points,reason',
+    `${idOf(customer)},,100,`,
+    ',other@example.com,50,Birthday',
+    '999,,10,',
+    `${idOf(customer)},,-500,`
+  ].join('\n');
+
+  const res = await invoke(pointsBulk, admin({ method: 'POST', body: { csv, reason: 'Campaign', operator: 'staff@example.com' } }));
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.succeeded, 2);
+  assert.equal(res.body.failed, 2);
+  assert.deepEqual(res.body.results.map(result => result.line), [2, 3, 4, 5]);
+  assert.match(res.body.results[3].error, /Insufficient points/);
+  assert.equal(getPoints(customer), 100);
+  assert.equal(getPoints(other), 50);
+  assert.equal(shopify.getMetafield(other.id, 'rewards', 'history_0')[0].reason, 'Birthday');
+});
+
+test('points-bulk reports the line of each row in the file', async () => {
+  const csv = `customer_id,points\n\n${idOf(customer)},100\n\n\n999,10\n`;
+
+  const res = await invoke(pointsBulk, admin({ method: 'POST', body: { csv, reason: 'Campaign', operator: 'staff@example.com' } }));
+
+  assert.deepEqual(res.body.results.map(result => result.line), [3, 6]);
+});
+
+test('points-bulk skips the rows already applied when an upload is posted again', async () => {
+  const other = shopify.addCustomer({ email: 'other@example.com' });
+  const post = (csv, headers) => invoke(pointsBulk, admin({
+    method: 'POST',
+    body: { csv, reason: 'Campaign', operator: 'staff@example.com' },
+    headers
+  }));
+
+  // Same Idempotency-Key: rows are matched by their line
+  const csv = `customer_id,points\n${idOf(customer)},100\n${idOf(other)},-10`;
+  assert.equal((await post(csv, { 'Idempotency-Key': 'upload-1' })).body.succeeded, 1);
+  setPoints(other, 10);
+  const again = await post(csv, { 'Idempotency-Key': 'upload-1' });
+  assert.equal(again.body.succeeded, 2);
+  assert.equal(again.body.skipped, 1);
+  assert.equal(again.body.results[0].duplicate, true);
+  assert.equal(again.body.results[0].balance_after, 100);
+  assert.equal(getPoints(customer), 100);
+  assert.equal(getPoints(other), 0);
+
+  // A reference column holds across uploads and line changes
+  const referenced = `customer_id,points,reference\n${idOf(customer)},50,gift-42`;
+  assert.equal((await post(referenced)).body.skipped, 0);
+  const moved = await post(`customer_id,points,reference\n\n${idOf(customer)},50,gift-42`);
+  assert.equal(moved.body.skipped, 1);
+  assert.equal(getPoints(customer), 150);
+
+  // The same reference with other points is an error, not a skip
+  const changed = await post(`customer_id,points,reference\n${idOf(customer)},70,gift-42`);
+  assert.equal(changed.body.failed, 1);
+  assert.equal(getPoints(customer), 150);
+});
+
+test('points-bulk references outlive the idempotency records', async () => {
+  const post = csv => invoke(pointsBulk, admin({ method: 'POST', body: { csv, reason: 'Campaign', operator: 'staff@example.com' } }));
+  const csv = `customer_id,points,reference\n${idOf(customer)},50,gift-42`;
+  await post(csv);
+
+  // Two days later, with the idempotency records filled by exchanges meanwhile
+  const refs = shopify.getMetafield(customer.id, 'rewards', 'adjustment_refs');
+  refs['adjust:gift-42'].created_at = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString();
+  shopify.setMetafield(customer.id, 'rewards', 'adjustment_refs', refs);
+  shopify.setMetafield(customer.id, 'rewards', 'idempotency', Object.fromEntries(
+    Array.from({ length: 20 }, (_, i) => [`exchange-${i}`, { response: {}, created_at: new Date().toISOString() }])
+  ));
+
+  const again = await post(csv);
+  assert.equal(again.body.skipped, 1);
+  assert.equal(getPoints(customer), 50);
+});
+
+test('points-bulk stops at its time budget and resumes from next_line', async () => {
+  const csv = ['customer_id,points', ...Array.from({ length: 5 }, () => `${idOf(customer)},10`)].join('\n');
+  const post = (body, headers) => invoke(pointsBulk, admin({
+    method: 'POST',
+    body: { csv, reason: 'Campaign', operator: 'staff@example.com', ...body },
+    headers: { 'Idempotency-Key': 'upload-2' }
+  }));
+
+  // The first row waits out a 2 second Retry-After, past the 1.5 second test budget
+  shopify.failNext({ status: 429, retryAfter: 2 }, { operation: 'RewardsRecords' });
+  const first = await post();
+
+  assert.equal(first.statusCode, 200);
+  assert.equal(first.body.complete, false);
+  assert.equal(first.body.success, false);
+  assert.equal(first.body.next_line, 3);
+  assert.equal(first.body.total, 1);
+  assert.equal(getPoints(customer), 10);
+
+  const rest = await post({ start_line: first.body.next_line });
+  assert.equal(rest.body.complete, true);
+  assert.equal(rest.body.next_line, null);
+  assert.equal(rest.body.results[0].line, first.body.next_line);
+  assert.equal(getPoints(customer), 50);
+
+  assert.equal((await post({ start_line: 0 })).statusCode, 400);
+});
+
+test('points-bulk validates the upload', async () => {
+  const bulk = body => invoke(pointsBulk, admin({ method: 'POST', body: { operator: 'staff@example.com', ...body } }));
+
+  assert.equal((await bulk({})).statusCode, 400);
+  assert.equal((await bulk({ csv: 'points\n10' })).statusCode, 400);
+  assert.equal((await bulk({ csv: 'customer_id\n1' })).statusCode, 400);
+  assert.equal((await invoke(pointsBulk, admin({ method: 'POST', body: { csv: 'customer_id,points\n1,1' } }))).statusCode, 400);
+});
+
+test('ledger shows balance, lots and history', async () => {
+  await adjust({ customer_id: idOf(customer), points: 500, reason: 'Goodwill', operator: 'staff@example.com' });
+  await adjust({ customer_id: idOf(customer), points: -100, reason: 'Correction', operator: 'staff@example.com' });
+
+  const res = await invoke(ledger, admin({ query: { email: 'member@example.com' } }));
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.points, 400);
+  assert.equal(res.body.lots.length, 1);
+  assert.equal(res.body.lots[0].points, 400);
+  assert.ok(res.body.lots[0].expires_at);
+  assert.deepEqual(res.body.entries.map(entry => entry.points), [-100, 500]);
+  assert.equal(res.body.totals.adjusted, 400);
+});
+
+test('ledger validates its parameters', async () => {
+  assert.equal((await invoke(ledger, admin({ query: {} }))).statusCode, 400);
+  assert.equal((await invoke(ledger, admin({ query: { customer_id: '999' } }))).statusCode, 404);
+  assert.equal((await invoke(ledger, admin({ query: { email: 'nobody@example.com' } }))).statusCode, 404);
+  assert.equal((await invoke(ledger, admin({ query: { customer_id: idOf(customer), limit: 1000 } }))).statusCode, 400);
+});
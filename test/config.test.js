@@ -0,0 +1,48 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { shopify, invoke, request } = require('./support/harness');
+const health = require('../api/health');
+const testConfig = require('../api/test-config');
+
+beforeEach(() => {
+  shopify.reset();
+});
+
+test('health reports the configuration without calling Shopify', async () => {
+  const res = await invoke(health, request());
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.status, 'ok');
+  assert.equal(res.body.config.hasToken, true);
+  assert.equal(shopify.requests.length, 0);
+});
+
+test('test-config reaches the shop', async () => {
+  const res = await invoke(testConfig, request());
+
+  assert.equal(res.body.success, true);
+  assert.equal(res.body.shopName, 'Helios Test');
+  assert.equal(res.body.shopDomain, shopify.shop.myshopifyDomain);
+});
+
+test('test-config reports a rejected token', async () => {
+  shopify.failNext({ status: 401, body: '[API] Invalid API key or access token' });
+
+  const res = await invoke(testConfig, request());
+
+  assert.equal(res.body.success, false);
+  assert.equal(res.body.message, 'Configuration error');
+  assert.equal(res.body.error.status, 401);
+  assert.equal(shopify.requests.length, 1); // 4xx is not retried
+});
+
+test('test-config reports an unreachable shop', async t => {
+  t.mock.method(Math, 'random', () => 0);
+  shopify.failNext({ network: true }, { times: 4 });
+
+  const res = await invoke(testConfig, request());
+
+  assert.equal(res.body.success, false);
+  assert.equal(res.body.message, 'Connection error');
+  assert.match(res.body.error, /fetch failed/);
+});
@@ -0,0 +1,297 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('node:stream');
+const { shopify, invoke, request, signed, appProxy, setPoints, getPoints, idOf } = require('./support/harness');
+const handler = require('../api/create-draft-order');
+
+let gold;
+let variant;
+
+beforeEach(() => {
+  shopify.reset();
+  gold = shopify.addCustomer({ email: 'gold@example.com', tags: ['tier-gold'] });
+  variant = shopify.addVariant({ price: 100000 });
+});
+
+function createDraft(body) {
+  return invoke(handler, signed({ method: 'POST', body }));
+}
+
+function items(quantity = 2) {
+  return [{ variant_id: idOf(variant), quantity }];
+}
+
+test('rejects unsigned requests and other methods', async () => {
+  assert.equal((await invoke(handler, request({ method: 'GET' }))).statusCode, 405);
+
+  const res = await invoke(handler, request({ method: 'POST', body: { items: items() } }));
+  assert.equal(res.statusCode, 401);
+  assert.equal(shopify.requests.length, 0);
+});
+
+test('checks signed calls against the raw body and fails closed without it', async () => {
+  const { method, url, query, headers, rawBody } = signed({ method: 'POST', body: { customer_id: idOf(gold), items: items() } });
+
+  // The body parser is off: the handler reads the stream
+  const streamed = Object.assign(Readable.from([Buffer.from(rawBody)]), { method, url, query, headers });
+  assert.equal((await invoke(handler, streamed)).statusCode, 200);
+
+  // Already parsed, raw bytes gone: never rebuilt from the parsed body
+  const parsed = { method, url, query, headers, body: JSON.parse(rawBody) };
+  const res = await invoke(handler, parsed);
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.message, 'Invalid request signature');
+});
+
+test('rejects a signature that is stale or made for another request', async () => {
+  const body = { customer_id: idOf(gold), items: items() };
+
+  const stale = signed({ method: 'POST', body, timestamp: Math.floor(Date.now() / 1000) - 600 });
+  assert.equal((await invoke(handler, stale)).statusCode, 401);
+
+  // A signed body replayed on another route or with another method
+  const { headers, rawBody } = signed({ method: 'POST', path: '/api/pricing/quote', body });
+  assert.equal((await invoke(handler, request({ method: 'POST', rawBody, headers }))).statusCode, 401);
+  const other = signed({ method: 'PUT', body });
+  assert.equal((await invoke(handler, { ...other, method: 'POST' })).statusCode, 401);
+
+  // Without a timestamp
+  const unstamped = signed({ method: 'POST', body });
+  delete unstamped.headers['x-helios-timestamp'];
+  assert.equal((await invoke(handler, unstamped)).statusCode, 401);
+  assert.equal(shopify.draftOrders.size, 0);
+});
+
+test('creates a draft order with the tier discount', async () => {
+  const res = await createDraft({ customer_id: idOf(gold), items: items() });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.tier, { name: 'Gold', discount_percent: 15 });
+  assert.equal(res.body.total_price, '170000.00');
+  assert.equal(res.body.line_discounts[0].discount_percent, 15);
+
+  const draftOrder = shopify.draftOrders.get(`gid://shopify/DraftOrder/${res.body.draft_order_id}`);
+  assert.equal(draftOrder.customerId, gold.id);
+  assert.deepEqual(draftOrder.tags, ['tier-pricing', 'Gold']);
+  assert.equal(draftOrder.lineItems[0].appliedDiscount.value, 15);
+});
+
+test('creates a guest draft order without a discount', async () => {
+  const res = await createDraft({ customer_email: 'guest@example.com', items: items(1) });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.tier, null);
+  assert.equal(res.body.total_price, '100000.00');
+  assert.equal(shopify.draftOrders.get(`gid://shopify/DraftOrder/${res.body.draft_order_id}`).email, 'guest@example.com');
+});
+
+test('binds app proxy requests to the logged-in customer', async () => {
+  const other = shopify.addCustomer();
+  const res = await invoke(handler, appProxy(gold.id, {
+    method: 'POST',
+    body: { customer_id: idOf(other), items: items() }
+  }));
+
+  assert.equal(res.statusCode, 401);
+  assert.equal(shopify.draftOrders.size, 0);
+});
+
+test('storefront callers can only email the invoice to the logged-in customer', async () => {
+  const storefront = (customerId, body) => invoke(handler, appProxy(customerId, { method: 'POST', body: { items: items(), ...body } }));
+
+  const guest = await storefront(null, { customer_email: 'victim@example.com', send_invoice: true });
+  assert.equal(guest.statusCode, 401);
+
+  const custom = await storefront(gold.id, { send_invoice: { subject: 'Urgent', custom_message: 'Pay here' } });
+  assert.equal(custom.statusCode, 403);
+  assert.equal(shopify.draftOrders.size, 0);
+
+  const res = await storefront(gold.id, { customer_email: 'victim@example.com', send_invoice: true });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.invoice, { sent: true, to: 'gold@example.com' });
+  const draftOrder = shopify.draftOrders.get(`gid://shopify/DraftOrder/${res.body.draft_order_id}`);
+  assert.deepEqual(draftOrder.invoices, [{ to: 'gold@example.com' }]);
+});
+
+test('server callers may address and word the invoice', async () => {
+  const res = await createDraft({
+    customer_id: idOf(gold),
+    items: items(),
+    send_invoice: { to: 'buyer@example.com', subject: 'Your quote', custom_message: 'Thanks' }
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.invoice, { sent: true, to: 'buyer@example.com' });
+  const draftOrder = shopify.draftOrders.get(`gid://shopify/DraftOrder/${res.body.draft_order_id}`);
+  assert.deepEqual(draftOrder.invoices, [{ to: 'buyer@example.com', subject: 'Your quote', customMessage: 'Thanks' }]);
+});
+
+test('returns 400 for a missing or non-JSON body and fractional quantities', async () => {
+  for (const rawBody of ['', 'not json']) {
+    assert.equal((await invoke(handler, signed({ method: 'POST', rawBody }))).statusCode, 400);
+  }
+
+  const res = await createDraft({ customer_id: idOf(gold), items: items(1.5) });
+  assert.equal(res.statusCode, 400);
+  assert.match(res.body.error, /whole number/);
+  assert.equal(shopify.draftOrders.size, 0);
+});
+
+test('returns 404 for an unknown customer and 400 for an unknown variant', async () => {
+  assert.equal((await createDraft({ customer_id: '999', items: items() })).statusCode, 404);
+
+  const res = await createDraft({ customer_id: idOf(gold), items: [{ variant_id: '999', quantity: 1 }] });
+  assert.equal(res.statusCode, 400);
+  assert.match(res.body.error, /not found/);
+});
+
+test('redeems points on an order discount', async () => {
+  setPoints(gold, 10000);
+
+  const res = await createDraft({ customer_id: idOf(gold), items: items(), redeem_points: 1000 });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.redemption.points_used, 1000);
+  assert.equal(res.body.redemption.remaining_points, 9000);
+  assert.equal(res.body.total_price, '160000.00');
+  assert.equal(getPoints(gold), 9000);
+
+  const draftOrderId = `gid://shopify/DraftOrder/${res.body.draft_order_id}`;
+  assert.equal(shopify.getMetafield(draftOrderId, 'rewards', 'redemption').points, 1000);
+  assert.equal(shopify.getMetafield(gold.id, 'rewards', 'history_0')[0].type, 'redeem');
+});
+
+test('refuses a redemption larger than the balance', async () => {
+  setPoints(gold, 500);
+
+  const res = await createDraft({ customer_id: idOf(gold), items: items(), redeem_points: 1000 });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, 'Insufficient points');
+  assert.equal(getPoints(gold), 500);
+  assert.equal(shopify.draftOrders.size, 0);
+});
+
+test('retries a 429 after Retry-After', async () => {
+  shopify.failNext({ status: 429, retryAfter: 1 }, { operation: 'DraftOrderCreate' });
+
+  const startedAt = Date.now();
+  const res = await createDraft({ customer_id: idOf(gold), items: items() });
+
+  assert.equal(res.statusCode, 200);
+  assert.ok(Date.now() - startedAt >= 1000, 'waited for Retry-After');
+  assert.equal(shopify.operations().filter(op => op === 'DraftOrderCreate').length, 2);
+  assert.equal(shopify.draftOrders.size, 1);
+});
+
+test('retries a draft order creation that never reached Shopify', async t => {
+  t.mock.method(Math, 'random', () => 0); // no backoff delay
+  shopify.failNext({ network: 'ECONNREFUSED' }, { operation: 'DraftOrderCreate' });
+
+  const res = await createDraft({ customer_id: idOf(gold), items: items() });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(shopify.operations().filter(op => op === 'DraftOrderCreate').length, 2);
+  assert.equal(shopify.draftOrders.size, 1);
+});
+
+test('does not retry a draft order creation Shopify may have applied', async t => {
+  t.mock.method(Math, 'random', () => 0);
+  const creates = () => shopify.operations().filter(op => op === 'DraftOrderCreate').length;
+
+  shopify.failNext({ status: 502 }, { operation: 'DraftOrderCreate' });
+  assert.equal((await createDraft({ customer_id: idOf(gold), items: items() })).statusCode, 503);
+  assert.equal(creates(), 1);
+
+  // Connection lost after the request went out
+  shopify.failNext({ network: true }, { operation: 'DraftOrderCreate' });
+  assert.equal((await createDraft({ customer_id: idOf(gold), items: items() })).statusCode, 503);
+  assert.equal(creates(), 2);
+});
+
+test('returns 503 and gives the points back when the draft order fails', async t => {
+  t.mock.method(Math, 'random', () => 0);
+  setPoints(gold, 10000);
+  shopify.failNext({ status: 503 }, { operation: 'DraftOrderCreate' });
+
+  const res = await createDraft({ customer_id: idOf(gold), items: items(), redeem_points: 1000 });
+
+  assert.equal(res.statusCode, 503);
+  assert.equal(res.body.code, 'UPSTREAM_HTTP_ERROR');
+  assert.equal(shopify.operations().filter(op => op === 'DraftOrderCreate').length, 1);
+  assert.equal(getPoints(gold), 10000);
+  assert.equal(shopify.draftOrders.size, 0);
+});
+
+test('keeps the points when the draft order was created but its response was lost', async () => {
+  setPoints(gold, 10000);
+  shopify.failNext({ lostResponse: true }, { operation: 'DraftOrderCreate' });
+
+  const res = await createDraft({ customer_id: idOf(gold), items: items(), redeem_points: 1000 });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.redemption.points_used, 1000);
+  assert.equal(getPoints(gold), 9000);
+  assert.equal(shopify.draftOrders.size, 1);
+  const draftOrderId = `gid://shopify/DraftOrder/${res.body.draft_order_id}`;
+  assert.equal(shopify.getMetafield(draftOrderId, 'rewards', 'redemption').points, 1000);
+  assert.ok(shopify.draftOrders.get(draftOrderId).tags.some(tag => tag.startsWith('points-redemption-')));
+});
+
+test('keeps the points when a failed draft order cannot be looked up', async t => {
+  t.mock.method(Math, 'random', () => 0);
+  setPoints(gold, 10000);
+  const errors = [];
+  t.mock.method(console, 'error', line => errors.push(JSON.parse(line)));
+  shopify.failNext({ network: true }, { operation: 'DraftOrderCreate' });
+  shopify.failNext({ graphqlErrors: [{ message: 'Internal error' }] }, { operation: 'DraftOrders' });
+
+  const res = await createDraft({ customer_id: idOf(gold), items: items(), redeem_points: 1000 });
+
+  assert.equal(res.statusCode, 503);
+  assert.equal(getPoints(gold), 9000);
+  assert.equal(errors.find(entry => entry.msg === 'Draft order outcome unknown, points kept').points, 1000);
+});
+
+test('logs the points it cannot give back when the customer is gone', async t => {
+  setPoints(gold, 10000);
+  const errors = [];
+  t.mock.method(console, 'error', line => errors.push(JSON.parse(line)));
+  shopify.onNext('DraftOrderCreate', () => {
+    shopify.customers.delete(gold.id);
+    return { draftOrderCreate: { draftOrder: null, userErrors: [{ field: ['customerId'], message: 'Customer does not exist' }] } };
+  });
+
+  const res = await createDraft({ customer_id: idOf(gold), items: items(), redeem_points: 1000 });
+
+  assert.equal(res.statusCode, 500);
+  assert.match(res.body.message, /Customer does not exist/);
+  const failed = errors.find(entry => entry.msg === 'Failed to restore points after draft order failure');
+  assert.equal(failed.points, 1000);
+  assert.equal(failed.error.name, 'RedemptionError');
+  assert.equal(failed.error.status, 404);
+  assert.match(failed.error.message, /1000 points could not be restored/);
+});
+
+test('returns 503 when Shopify keeps rate limiting', async t => {
+  t.mock.method(Math, 'random', () => 0);
+  shopify.failNext({ status: 429, retryAfter: 0 }, { operation: 'DraftOrderCreate', times: 4 });
+
+  const res = await createDraft({ customer_id: idOf(gold), items: items() });
+
+  assert.equal(res.statusCode, 503);
+  assert.equal(res.body.code, 'UPSTREAM_RATE_LIMITED');
+});
+
+test('gives the points back when Shopify rejects the draft order', async () => {
+  setPoints(gold, 10000);
+  shopify.onNext('DraftOrderCreate', () => ({
+    draftOrderCreate: { draftOrder: null, userErrors: [{ field: ['lineItems'], message: 'Invalid line item' }] }
+  }));
+
+  const res = await createDraft({ customer_id: idOf(gold), items: items(), redeem_points: 1000 });
+
+  assert.equal(res.statusCode, 500);
+  assert.match(res.body.message, /Invalid line item/);
+  assert.equal(getPoints(gold), 10000);
+});
@@ -0,0 +1,194 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { SECRETS, shopify, invoke, request, signed, cron, setPoints, getPoints, idOf } = require('./support/harness');
+const expirePoints = require('../api/cron/expire-points');
+const cleanupDraftOrders = require('../api/cron/cleanup-draft-orders');
+const recomputeTiers = require('../api/cron/recompute-tiers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * DAY).toISOString();
+}
+
+beforeEach(() => {
+  shopify.reset();
+});
+
+test('cron endpoints need the cron secret or a call signed with the cron secret', async () => {
+  for (const handler of [expirePoints, cleanupDraftOrders, recomputeTiers]) {
+    assert.equal((await invoke(handler, request())).statusCode, 401);
+    assert.equal((await invoke(handler, signed({}, SECRETS.AUTH_HMAC_SECRET))).statusCode, 401);
+    assert.equal((await invoke(handler, signed({}, SECRETS.ADMIN_HMAC_SECRET))).statusCode, 401);
+    assert.equal((await invoke(handler, signed({}, SECRETS.CRON_HMAC_SECRET))).statusCode, 200);
+  }
+});
+
+test('expire-points removes lots past their lifetime', async () => {
+  const customer = shopify.addCustomer();
+  shopify.addCustomer();
+  setPoints(customer, 500);
+  shopify.setMetafield(customer.id, 'rewards', 'lots', [
+    { id: 'old', points: 300, earned_at: daysAgo(400), source: 'earn' },
+    { id: 'new', points: 200, earned_at: daysAgo(10), source: 'earn' }
+  ]);
+
+  const res = await invoke(expirePoints, cron());
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.finished, true);
+  assert.equal(res.body.customers_checked, 2);
+  assert.equal(res.body.points_expired, 300);
+  assert.equal(getPoints(customer), 200);
+  assert.deepEqual(shopify.getMetafield(customer.id, 'rewards', 'lots').map(lot => lot.id), ['new']);
+  assert.equal(shopify.getMetafield(customer.id, 'rewards', 'history_0')[0].type, 'expire');
+});
+
+test('expire-points saves the legacy lot of a balance without lots, which then expires', async () => {
+  const customer = shopify.addCustomer();
+  setPoints(customer, 700);
+
+  const first = await invoke(expirePoints, cron());
+
+  assert.equal(first.body.lots_saved, 1);
+  assert.equal(first.body.points_expired, 0);
+  const [legacy] = shopify.getMetafield(customer.id, 'rewards', 'lots');
+  assert.equal(legacy.source, 'legacy');
+  assert.equal(legacy.points, 700);
+
+  // Saved lots are not saved again, and keep their date
+  const again = await invoke(expirePoints, cron());
+  assert.equal(again.body.lots_saved, 0);
+  assert.equal(shopify.getMetafield(customer.id, 'rewards', 'lots')[0].earned_at, legacy.earned_at);
+
+  // A lifetime later the legacy points expire
+  shopify.setMetafield(customer.id, 'rewards', 'lots', [{ ...legacy, earned_at: daysAgo(400) }]);
+  const later = await invoke(expirePoints, cron());
+  assert.equal(later.body.points_expired, 700);
+  assert.equal(getPoints(customer), 0);
+});
+
+test('expire-points resumes from the saved cursor and clears it', async () => {
+  shopify.addCustomer();
+  shopify.addCustomer();
+  shopify.addCustomer();
+  // Cursor after the first customer (the fake's cursors are base64 offsets)
+  shopify.setMetafield(shopify.shop.id, 'rewards', 'expiry_cursor', Buffer.from('1').toString('base64'), 'single_line_text_field');
+
+  const res = await invoke(expirePoints, cron());
+
+  assert.equal(res.body.customers_checked, 2);
+  assert.equal(shopify.getMetafield(shopify.shop.id, 'rewards', 'expiry_cursor'), null);
+});
+
+test('expire-points returns 500 with the summary so far when Shopify fails', async t => {
+  t.mock.method(Math, 'random', () => 0);
+  shopify.addCustomer();
+  shopify.failNext({ status: 500 }, { operation: 'RewardsOwners', times: 4 });
+
+  const res = await invoke(expirePoints, cron());
+
+  assert.equal(res.statusCode, 500);
+  assert.equal(res.body.customers_checked, 0);
+});
+
+test('cleanup-draft-orders deletes stale drafts and gives back their points', async () => {
+  const customer = shopify.addCustomer();
+  setPoints(customer, 9000);
+  const draft = fields => shopify.addDraftOrder({
+    purchasingEntity: { customerId: customer.id },
+    tags: ['tier-pricing'],
+    lineItems: [],
+    ...fields
+  });
+
+  const stale = draft({ updatedAt: daysAgo(45) });
+  shopify.setMetafield(stale.id, 'rewards', 'redemption', { customer_id: idOf(customer), points: 1000, consumed: [] });
+  const recent = draft({ updatedAt: daysAgo(5) });
+  const completed = draft({ updatedAt: daysAgo(45), status: 'COMPLETED' });
+  const untagged = draft({ updatedAt: daysAgo(45), tags: [] });
+
+  const res = await invoke(cleanupDraftOrders, cron());
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.drafts_deleted, 1);
+  assert.equal(res.body.points_restored, 1000);
+  assert.equal(getPoints(customer), 10000);
+  assert.deepEqual([...shopify.draftOrders.keys()], [recent.id, completed.id, untagged.id]);
+});
+
+test('cleanup-draft-orders counts a failed delete and goes on', async t => {
+  t.mock.method(Math, 'random', () => 0);
+  const first = shopify.addDraftOrder({ tags: ['tier-pricing'], lineItems: [], updatedAt: daysAgo(40) });
+  shopify.addDraftOrder({ tags: ['tier-pricing'], lineItems: [], updatedAt: daysAgo(50) });
+  shopify.failNext({ status: 502 }, { operation: 'DraftOrderDelete' });
+
+  const res = await invoke(cleanupDraftOrders, cron());
+
+  assert.equal(res.body.failed, 1);
+  assert.equal(res.body.drafts_deleted, 1);
+  assert.deepEqual([...shopify.draftOrders.keys()], [first.id]);
+});
+
+test('cleanup-draft-orders does not skip drafts that move up after a deleted page', async t => {
+  t.mock.method(Math, 'random', () => 0);
+  for (let i = 0; i < 52; i++) {
+    shopify.addDraftOrder({ tags: ['tier-pricing'], lineItems: [], updatedAt: daysAgo(40) });
+  }
+  shopify.failNext({ status: 502 }, { operation: 'DraftOrderDelete' });
+
+  const res = await invoke(cleanupDraftOrders, cron());
+
+  assert.equal(res.body.finished, true);
+  assert.equal(res.body.failed, 1);
+  assert.equal(res.body.drafts_deleted, 51);
+  assert.equal(shopify.draftOrders.size, 1);
+  assert.equal(shopify.getMetafield(shopify.shop.id, 'rewards', 'draft_cleanup_cursor'), null);
+});
+
+test('cleanup-draft-orders resumes with the cutoff it started with', async () => {
+  const before = shopify.addDraftOrder({ tags: ['tier-pricing'], lineItems: [], updatedAt: daysAgo(40) });
+  const stale = shopify.addDraftOrder({ tags: ['tier-pricing'], lineItems: [], updatedAt: daysAgo(40) });
+  // Went stale after the interrupted sweep started - left for the next sweep
+  const later = shopify.addDraftOrder({ tags: ['tier-pricing'], lineItems: [], updatedAt: daysAgo(31) });
+  const cursor = { updated_before: daysAgo(35), after: Buffer.from('1').toString('base64') };
+  shopify.setMetafield(shopify.shop.id, 'rewards', 'draft_cleanup_cursor', JSON.stringify(cursor), 'single_line_text_field');
+
+  const res = await invoke(cleanupDraftOrders, cron());
+
+  assert.equal(res.body.drafts_deleted, 1);
+  assert.deepEqual([...shopify.draftOrders.keys()], [before.id, later.id]);
+  assert.equal(shopify.draftOrders.has(stale.id), false);
+  assert.equal(shopify.getMetafield(shopify.shop.id, 'rewards', 'draft_cleanup_cursor'), null);
+});
+
+test('recompute-tiers upgrades and downgrades on rolling spend', async () => {
+  const rising = shopify.addCustomer();
+  shopify.addOrder({ customerId: idOf(rising), subtotal: 6000000 });
+  const lapsed = shopify.addCustomer();
+  shopify.setMetafield(lapsed.id, 'rewards', 'tier', 'Gold', 'single_line_text_field');
+  shopify.addOrder({ customerId: idOf(lapsed), subtotal: 30000000, createdAt: daysAgo(400) });
+  shopify.addCustomer();
+
+  const res = await invoke(recomputeTiers, cron());
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.customers_checked, 3);
+  assert.equal(res.body.upgraded, 1);
+  assert.equal(res.body.downgraded, 1);
+  assert.equal(shopify.getMetafield(rising.id, 'rewards', 'tier'), 'Silver');
+  assert.equal(shopify.getMetafield(lapsed.id, 'rewards', 'tier'), null);
+});
+
+test('recompute-tiers counts a customer that fails and goes on', async t => {
+  t.mock.method(Math, 'random', () => 0);
+  shopify.addCustomer();
+  const second = shopify.addCustomer();
+  shopify.addOrder({ customerId: idOf(second), subtotal: 6000000 });
+  shopify.failNext({ network: true }, { operation: 'CustomerTier', times: 4 });
+
+  const res = await invoke(recomputeTiers, cron());
+
+  assert.equal(res.body.failed, 1);
+  assert.equal(res.body.upgraded, 1);
+});
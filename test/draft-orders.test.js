@@ -0,0 +1,177 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { shopify, invoke, signed, appProxy, admin, setPoints, getPoints, idOf } = require('./support/harness');
+const complete = require('../api/draft-orders/complete');
+const remove = require('../api/draft-orders/delete');
+const list = require('../api/draft-orders/list');
+const update = require('../api/draft-orders/update');
+
+let gold;
+let variant;
+
+beforeEach(() => {
+  shopify.reset();
+  gold = shopify.addCustomer({ email: 'gold@example.com', tags: ['tier-gold'] });
+  variant = shopify.addVariant({ price: 100000 });
+});
+
+function addDraft(customer, fields = {}) {
+  return shopify.addDraftOrder({
+    purchasingEntity: customer ? { customerId: customer.id } : undefined,
+    tags: ['tier-pricing'],
+    lineItems: [{ variantId: variant.id, quantity: 1 }],
+    ...fields
+  });
+}
+
+test('list returns the customer\'s open tier-pricing drafts', async () => {
+  const open = addDraft(gold);
+  addDraft(gold, { status: 'COMPLETED' });
+  addDraft(gold, { tags: ['other'] });
+  addDraft(shopify.addCustomer());
+
+  const res = await invoke(list, appProxy(gold.id, { method: 'GET' }));
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.draft_orders.map(draftOrder => draftOrder.id), [idOf(open)]);
+  assert.equal(res.body.draft_orders[0].line_items[0].variant_id, idOf(variant));
+  assert.equal(res.body.next_cursor, null);
+});
+
+test('list needs a customer', async () => {
+  assert.equal((await invoke(list, appProxy(null, { method: 'GET' }))).statusCode, 401);
+  assert.equal((await invoke(list, signed({ method: 'GET' }))).statusCode, 400);
+});
+
+test('update reprices the lines for the draft\'s customer', async () => {
+  const draftOrder = addDraft(gold);
+
+  const res = await invoke(update, appProxy(gold.id, {
+    method: 'POST',
+    body: { draft_order_id: idOf(draftOrder), items: [{ variant_id: idOf(variant), quantity: 3 }] }
+  }));
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.tier.name, 'Gold');
+  assert.equal(res.body.total_price, '255000.00');
+  assert.equal(draftOrder.lineItems[0].quantity, 3);
+});
+
+test('update does not touch another customer\'s or a completed draft', async () => {
+  const other = addDraft(shopify.addCustomer());
+  const completed = addDraft(gold, { status: 'COMPLETED' });
+  const body = id => ({ draft_order_id: id, items: [{ variant_id: idOf(variant), quantity: 1 }] });
+
+  assert.equal((await invoke(update, appProxy(gold.id, { method: 'POST', body: body(idOf(other)) }))).statusCode, 404);
+  assert.equal((await invoke(update, appProxy(gold.id, { method: 'POST', body: body(idOf(completed)) }))).statusCode, 409);
+  assert.equal(shopify.operations().includes('DraftOrderUpdate'), false);
+});
+
+test('update plans the redeemed discount again for the new items', async () => {
+  const draftOrder = addDraft(gold, {
+    lineItems: [{ variantId: variant.id, quantity: 5 }],
+    appliedDiscount: { title: 'Reward points', valueType: 'FIXED_AMOUNT', value: 200000 }
+  });
+  shopify.setMetafield(draftOrder.id, 'rewards', 'redemption', { customer_id: idOf(gold), points: 20000, reward_id: null, consumed: [] });
+  const updateTo = quantity => invoke(update, appProxy(gold.id, {
+    method: 'POST',
+    body: { draft_order_id: idOf(draftOrder), items: [{ variant_id: idOf(variant), quantity }] }
+  }));
+
+  // 3 x 85.000 still covers the 200.000 discount
+  const fits = await updateTo(3);
+  assert.equal(fits.statusCode, 200);
+  assert.equal(draftOrder.appliedDiscount.value, 200000);
+
+  // 1 x 85.000 cannot take it - the points were spent for the whole discount
+  const shrunk = await updateTo(1);
+  assert.equal(shrunk.statusCode, 409);
+  assert.equal(shrunk.body.code, 'REDEMPTION_EXCEEDS_CART');
+  assert.equal(shrunk.body.points_redeemed, 20000);
+  assert.equal(draftOrder.lineItems[0].quantity, 3);
+});
+
+test('update rejects drafts whose redemption cannot be planned again', async () => {
+  const draftOrder = addDraft(gold);
+  shopify.setMetafield(draftOrder.id, 'rewards', 'redemption', { customer_id: idOf(gold), points: 1000, consumed: [] });
+
+  const res = await invoke(update, appProxy(gold.id, {
+    method: 'POST',
+    body: { draft_order_id: idOf(draftOrder), items: [{ variant_id: idOf(variant), quantity: 2 }] }
+  }));
+
+  assert.equal(res.statusCode, 409);
+  assert.equal(res.body.code, 'REDEMPTION_NOT_REPLANNABLE');
+  assert.equal(shopify.operations().includes('DraftOrderUpdate'), false);
+});
+
+test('complete turns the draft into an order', async () => {
+  const draftOrder = addDraft(gold);
+
+  const res = await invoke(complete, admin({ method: 'POST', body: { draft_order_id: idOf(draftOrder), payment_pending: true } }));
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.status, 'completed');
+  assert.equal(shopify.orders.get(`gid://shopify/Order/${res.body.order_id}`).displayFinancialStatus, 'PENDING');
+
+  const again = await invoke(complete, admin({ method: 'POST', body: { draft_order_id: idOf(draftOrder) } }));
+  assert.equal(again.statusCode, 409);
+  assert.equal(again.body.order_id, res.body.order_id);
+});
+
+test('complete is admin only and validates its input', async () => {
+  const draftOrder = addDraft(gold);
+
+  assert.equal((await invoke(complete, appProxy(gold.id, { method: 'POST', body: { draft_order_id: idOf(draftOrder) } }))).statusCode, 401);
+  assert.equal((await invoke(complete, admin({ method: 'POST', body: {} }))).statusCode, 400);
+  assert.equal((await invoke(complete, admin({ method: 'POST', body: { draft_order_id: idOf(draftOrder), payment_pending: 'yes' } }))).statusCode, 400);
+  assert.equal((await invoke(complete, admin({ method: 'POST', body: { draft_order_id: '999' } }))).statusCode, 404);
+});
+
+test('complete reports a draft Shopify refuses to complete', async () => {
+  const draftOrder = addDraft(gold);
+  shopify.onNext('DraftOrderComplete', () => ({
+    draftOrderComplete: { draftOrder: null, userErrors: [{ field: ['id'], message: 'Out of stock' }] }
+  }));
+
+  const res = await invoke(complete, admin({ method: 'POST', body: { draft_order_id: idOf(draftOrder) } }));
+
+  assert.equal(res.statusCode, 422);
+  assert.match(res.body.message, /Out of stock/);
+});
+
+test('delete gives back the points redeemed on the draft', async () => {
+  setPoints(gold, 9000);
+  const draftOrder = addDraft(gold);
+  shopify.setMetafield(draftOrder.id, 'rewards', 'redemption', {
+    customer_id: idOf(gold),
+    points: 1000,
+    consumed: [],
+    redeemed_at: new Date().toISOString()
+  });
+
+  const res = await invoke(remove, appProxy(gold.id, { method: 'POST', body: { draft_order_id: idOf(draftOrder) } }));
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.points_restored, 1000);
+  assert.equal(getPoints(gold), 10000);
+  assert.equal(shopify.draftOrders.size, 0);
+
+  const again = await invoke(remove, appProxy(gold.id, { method: 'POST', body: { draft_order_id: idOf(draftOrder) } }));
+  assert.equal(again.statusCode, 404);
+});
+
+test('delete keeps the redemption when Shopify is unavailable', async t => {
+  t.mock.method(Math, 'random', () => 0);
+  setPoints(gold, 9000);
+  const draftOrder = addDraft(gold);
+  shopify.setMetafield(draftOrder.id, 'rewards', 'redemption', { customer_id: idOf(gold), points: 1000, consumed: [] });
+  shopify.failNext({ network: true }, { operation: 'DraftOrderDelete' });
+
+  const res = await invoke(remove, signed({ method: 'POST', body: { draft_order_id: idOf(draftOrder) } }));
+
+  assert.equal(res.statusCode, 503);
+  assert.equal(res.body.code, 'UPSTREAM_NETWORK_ERROR');
+  assert.equal(getPoints(gold), 9000);
+  assert.equal(shopify.getMetafield(draftOrder.id, 'rewards', 'redemption').released_at, undefined);
+});
@@ -0,0 +1,103 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { shopify, invoke, request } = require('./support/harness');
+const { createLogger, redact } = require('../lib/logger');
+const health = require('../api/health');
+const testConfig = require('../api/test-config');
+
+beforeEach(() => {
+  shopify.reset();
+});
+
+/**
+ * Parsed JSON lines written to console.log during the test
+ */
+function captureLogs(t) {
+  const lines = [];
+  t.mock.method(console, 'log', line => lines.push(JSON.parse(line)));
+  return lines;
+}
+
+test('redact masks secrets, emails and addresses', () => {
+  const fields = redact({
+    access_token: 'shpat_0123456789abcdef',
+    hasToken: true,
+    tokenLength: 16,
+    headers: { authorization: 'Bearer abc.def' },
+    email: 'member@example.com',
+    note: 'Contact member@example.com, token shpat_0123456789abcdef',
+    detail: 'Auth failed for test-admin-token',
+    shipping_address: { address1: '1 Le Loi', city: 'Hanoi' },
+    items: [{ variant_id: '42', quantity: 2 }]
+  });
+
+  assert.deepEqual(fields, {
+    access_token: '[REDACTED]',
+    hasToken: true,
+    tokenLength: 16,
+    headers: { authorization: '[REDACTED]' },
+    email: '[REDACTED]',
+    note: 'Contact [REDACTED], token [REDACTED]',
+    detail: 'Auth failed for [REDACTED]',
+    shipping_address: '[REDACTED]',
+    items: [{ variant_id: '42', quantity: 2 }]
+  });
+});
+
+test('redact serializes errors and survives cycles', () => {
+  const error = Object.assign(new Error('Rejected shpat_0123456789abcdef'), { status: 401 });
+  const cyclic = { error };
+  cyclic.self = cyclic;
+
+  const fields = redact(cyclic);
+
+  assert.equal(fields.error.name, 'Error');
+  assert.equal(fields.error.message, 'Rejected [REDACTED]');
+  assert.equal(fields.error.status, 401);
+  assert.doesNotMatch(fields.error.stack, /shpat_/);
+  assert.equal(fields.self, '[Circular]');
+});
+
+test('createLogger drops entries below its level', () => {
+  const written = [];
+  const logger = createLogger({ level: 'warn', write: (level, line) => written.push(JSON.parse(line)) });
+
+  logger.debug('debug entry');
+  logger.info('info entry');
+  logger.warn('warn entry', { attempt: 2 });
+  logger.error('error entry');
+
+  assert.deepEqual(written.map(entry => entry.level), ['warn', 'error']);
+  assert.equal(written[0].msg, 'warn entry');
+  assert.equal(written[0].attempt, 2);
+  assert.ok(written[0].time);
+});
+
+test('handlers return a request ID and keep a usable incoming one', async () => {
+  const generated = await invoke(health, request());
+  assert.match(generated.headers['x-request-id'], /^[0-9a-f-]{36}$/);
+
+  const incoming = await invoke(health, request({ headers: { 'x-request-id': 'edge-1234' } }));
+  assert.equal(incoming.headers['x-request-id'], 'edge-1234');
+
+  const unusable = await invoke(health, request({ headers: { 'x-request-id': 'bad id\n' } }));
+  assert.notEqual(unusable.headers['x-request-id'], 'bad id\n');
+});
+
+test('log lines carry the request ID, and Shopify calls are timed', async t => {
+  const lines = captureLogs(t);
+
+  const res = await invoke(testConfig, request({ headers: { 'x-request-id': 'req-42' } }));
+
+  assert.equal(res.body.success, true);
+  assert.ok(lines.length > 0);
+  assert.ok(lines.every(entry => entry.request_id === 'req-42' && entry.route === 'test-config'));
+
+  const call = lines.find(entry => entry.msg === 'Shopify call');
+  assert.equal(call.operation, 'anonymous');
+  assert.equal(typeof call.duration_ms, 'number');
+
+  const finished = lines.find(entry => entry.msg === 'Request finished');
+  assert.equal(finished.status, 200);
+  assert.doesNotMatch(JSON.stringify(lines), /shpat_test_token/);
+});
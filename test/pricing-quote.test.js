@@ -0,0 +1,72 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { shopify, invoke, request, signed, appProxy, setPoints, getPoints, idOf } = require('./support/harness');
+const handler = require('../api/pricing/quote');
+
+let gold;
+let variant;
+
+beforeEach(() => {
+  shopify.reset();
+  gold = shopify.addCustomer({ tags: ['tier-gold'] });
+  variant = shopify.addVariant({ title: 'Ring', sku: 'RING-1', price: 100000 });
+});
+
+function quote(body) {
+  return invoke(handler, signed({ method: 'POST', body }));
+}
+
+test('rejects unsigned requests', async () => {
+  const res = await invoke(handler, request({ method: 'POST', body: { items: [] } }));
+  assert.equal(res.statusCode, 401);
+});
+
+test('prices a cart with the tier discount and bulk rules', async () => {
+  const res = await quote({ customer_id: idOf(gold), items: [{ variant_id: idOf(variant), quantity: 10 }] });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.lines[0].title, 'Ring');
+  assert.equal(res.body.lines[0].discount_percent, 20); // gold-bulk-10
+  assert.equal(res.body.totals.subtotal, 1000000);
+  assert.equal(res.body.totals.total, 800000);
+  assert.equal(shopify.draftOrders.size, 0);
+});
+
+test('flags stale client prices and overrides client discounts', async () => {
+  const res = await invoke(handler, appProxy(gold.id, {
+    method: 'POST',
+    body: { items: [{ variant_id: idOf(variant), quantity: 1, price: 90000, discount_percent: 50 }] }
+  }));
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.stale_items[0].current_price, 100000);
+  assert.deepEqual(res.body.adjusted_items[0], { index: 0, variant_id: idOf(variant), requested_percent: 50, applied_percent: 15 });
+});
+
+test('previews a redemption without deducting points', async () => {
+  setPoints(gold, 2000);
+
+  const res = await quote({ customer_id: idOf(gold), items: [{ variant_id: idOf(variant), quantity: 1 }], redeem_points: 1000 });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.redemption.discount_amount, 10000);
+  assert.equal(res.body.totals.total, 75000);
+  assert.equal(getPoints(gold), 2000);
+});
+
+test('reports insufficient points', async () => {
+  const res = await quote({ customer_id: idOf(gold), items: [{ variant_id: idOf(variant), quantity: 1 }], redeem_points: 1000 });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.current_points, 0);
+});
+
+test('returns 503 when Shopify is unavailable', async t => {
+  t.mock.method(Math, 'random', () => 0);
+  shopify.failNext({ status: 500 }, { times: 4 });
+
+  const res = await quote({ customer_id: idOf(gold), items: [{ variant_id: idOf(variant), quantity: 1 }] });
+
+  assert.equal(res.statusCode, 503);
+  assert.equal(res.body.error, 'Service temporarily unavailable');
+});
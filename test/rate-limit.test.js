@@ -0,0 +1,159 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { shopify, invoke, request, appProxy } = require('./support/harness');
+const { setRateLimitStore } = require('../lib/rate-limit');
+const { createMemoryStore } = require('../lib/rate-limit/memory');
+const { createRedisStore } = require('../lib/rate-limit/redis');
+const history = require('../api/rewards/history');
+const createDraftOrder = require('../api/create-draft-order');
+const pricingQuote = require('../api/pricing/quote');
+
+let customer;
+
+beforeEach(() => {
+  shopify.reset();
+  customer = shopify.addCustomer();
+});
+
+afterEach(() => {
+  delete process.env.RATE_LIMITS;
+});
+
+function limit(route, scope, capacity, refillPerMinute = 1) {
+  process.env.RATE_LIMITS = JSON.stringify({
+    routes: { [route]: { [scope]: { capacity, refill_per_minute: refillPerMinute } } }
+  });
+}
+
+test('the customer bucket answers 429 with Retry-After once it is empty', async t => {
+  limit('rewards/history', 'customer', 2);
+  const warnings = [];
+  t.mock.method(console, 'warn', line => warnings.push(JSON.parse(line)));
+
+  assert.equal((await invoke(history, appProxy(customer.id))).statusCode, 200);
+  assert.equal((await invoke(history, appProxy(customer.id))).statusCode, 200);
+  const blocked = await invoke(history, appProxy(customer.id));
+
+  assert.equal(blocked.statusCode, 429);
+  assert.equal(blocked.headers['retry-after'], '60');
+  assert.equal(blocked.body.code, 'RATE_LIMITED');
+  assert.equal(blocked.body.retry_after, 60);
+
+  const event = warnings.find(entry => entry.event === 'security.rate_limited');
+  assert.equal(event.route, 'rewards/history');
+  assert.equal(event.scope, 'customer');
+  assert.equal(event.customer_id, customer.id.replace(/\D/g, ''));
+
+  // Other customers have their own bucket
+  const other = shopify.addCustomer();
+  assert.equal((await invoke(history, appProxy(other.id))).statusCode, 200);
+});
+
+test('the IP bucket applies before authentication, keyed on the platform\'s address', async () => {
+  limit('create-draft-order', 'ip', 2);
+  // The client controls the first X-Forwarded-For entries, the proxy appends the last
+  const from = (spoofed, ip) => request({ method: 'POST', body: { items: [] }, headers: { 'x-forwarded-for': `${spoofed}, ${ip}` } });
+
+  assert.equal((await invoke(createDraftOrder, from('1.1.1.1', '203.0.113.7'))).statusCode, 401);
+  assert.equal((await invoke(createDraftOrder, from('2.2.2.2', '203.0.113.7'))).statusCode, 401);
+  assert.equal((await invoke(createDraftOrder, from('3.3.3.3', '203.0.113.7'))).statusCode, 429);
+  assert.equal((await invoke(createDraftOrder, from('3.3.3.3', '203.0.113.8'))).statusCode, 401);
+
+  // Vercel's X-Real-IP wins over X-Forwarded-For
+  const real = request({ method: 'POST', body: { items: [] }, headers: { 'x-real-ip': '203.0.113.7', 'x-forwarded-for': '203.0.113.9' } });
+  assert.equal((await invoke(createDraftOrder, real)).statusCode, 429);
+});
+
+test('App Proxy requests skip the IP bucket; guests get a guest bucket per address', async () => {
+  process.env.RATE_LIMITS = JSON.stringify({
+    routes: {
+      'pricing/quote': {
+        ip: { capacity: 1, refill_per_minute: 1 },
+        customer: { capacity: 1, refill_per_minute: 1 },
+        guest: { capacity: 1, refill_per_minute: 1 }
+      }
+    }
+  });
+  const variant = shopify.addVariant({ price: 100000 });
+  const quote = (customerId, ip = '23.227.38.1') => invoke(pricingQuote, appProxy(customerId, {
+    method: 'POST',
+    body: { items: [{ variant_id: variant.id.replace(/\D/g, ''), quantity: 1 }] },
+    headers: { 'x-real-ip': ip }
+  }));
+
+  assert.equal((await quote(customer.id)).statusCode, 200);
+  assert.equal((await quote(shopify.addCustomer().id)).statusCode, 200);
+  assert.equal((await quote(customer.id)).statusCode, 429);
+
+  assert.equal((await quote(null)).statusCode, 200);
+  const guest = await quote(null);
+  assert.equal(guest.statusCode, 429);
+  assert.equal(guest.headers['retry-after'], '60');
+  assert.equal((await quote(null, '23.227.38.2')).statusCode, 200);
+});
+
+test('a signature that does not verify does not skip the IP bucket', async () => {
+  limit('create-draft-order', 'ip', 1);
+  const bogus = () => request({
+    method: 'POST',
+    body: { items: [] },
+    query: { signature: 'x', logged_in_customer_id: '' },
+    headers: { 'x-real-ip': '203.0.113.7' }
+  });
+
+  assert.equal((await invoke(createDraftOrder, bogus())).statusCode, 401);
+  assert.equal((await invoke(createDraftOrder, bogus())).statusCode, 429);
+});
+
+test('a null override turns a route off', async () => {
+  process.env.RATE_LIMITS = JSON.stringify({ routes: { 'rewards/history': null } });
+  setRateLimitStore({ take: async () => ({ allowed: false, remaining: 0, retryAfterMs: 1000 }) });
+
+  assert.equal((await invoke(history, appProxy(customer.id))).statusCode, 200);
+});
+
+test('requests go through when the store is down', async () => {
+  setRateLimitStore({ take: async () => { throw new Error('connection refused'); } });
+
+  assert.equal((await invoke(history, appProxy(customer.id))).statusCode, 200);
+});
+
+test('memory buckets refill over time', async () => {
+  let now = 0;
+  const store = createMemoryStore({ now: () => now });
+  const bucket = { capacity: 2, refillPerMs: 1 / 1000 };
+
+  assert.equal((await store.take('k', bucket)).allowed, true);
+  assert.equal((await store.take('k', bucket)).allowed, true);
+  assert.deepEqual(await store.take('k', bucket), { allowed: false, remaining: 0, retryAfterMs: 1000 });
+
+  now = 1500;
+  assert.deepEqual(await store.take('k', bucket), { allowed: true, remaining: 0, retryAfterMs: 0 });
+  now = 60000;
+  assert.equal((await store.take('k', bucket)).remaining, 1);
+});
+
+test('the redis store runs the bucket script over the REST API', async t => {
+  const calls = [];
+  t.mock.method(global, 'fetch', async (url, init) => {
+    calls.push({ url, init });
+    return new Response(JSON.stringify({ result: [0, 0, 4200] }), { status: 200 });
+  });
+  const store = createRedisStore({ url: 'https://redis.example.com', token: 'redis-token' });
+
+  const result = await store.take('ratelimit:rewards/exchange:customer:42', { capacity: 5, refillPerMs: 1 / 60000 });
+
+  assert.deepEqual(result, { allowed: false, remaining: 0, retryAfterMs: 4200 });
+  assert.equal(calls[0].url, 'https://redis.example.com');
+  assert.equal(calls[0].init.headers.Authorization, 'Bearer redis-token');
+  const command = JSON.parse(calls[0].init.body);
+  assert.equal(command[0], 'EVAL');
+  assert.deepEqual(command.slice(2), ['1', 'ratelimit:rewards/exchange:customer:42', '5', String(1 / 60000), '1']);
+});
+
+test('the redis store reports command errors as upstream errors', async t => {
+  t.mock.method(global, 'fetch', async () => new Response(JSON.stringify({ error: 'NOSCRIPT' }), { status: 200 }));
+  const store = createRedisStore({ url: 'https://redis.example.com' });
+
+  await assert.rejects(store.take('k', { capacity: 1, refillPerMs: 1 }), { code: 'RATE_LIMIT_STORE_ERROR' });
+});
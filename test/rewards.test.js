@@ -0,0 +1,262 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { shopify, invoke, request, signed, appProxy, setPoints, getPoints, idOf } = require('./support/harness');
+const catalog = require('../api/rewards/catalog');
+const exchange = require('../api/rewards/exchange');
+const history = require('../api/rewards/history');
+
+let customer;
+
+beforeEach(() => {
+  shopify.reset();
+  customer = shopify.addCustomer({ email: 'member@example.com' });
+});
+
+function exchangeReward(rewardId, headers = {}) {
+  return invoke(exchange, appProxy(customer.id, { method: 'POST', body: { reward_id: rewardId }, headers }));
+}
+
+test('catalog lists rewards for guests and marks what a customer can afford', async () => {
+  const guest = await invoke(catalog, appProxy(null, { method: 'GET' }));
+  assert.equal(guest.statusCode, 200);
+  assert.equal(guest.body.points, undefined);
+  assert.equal(guest.body.rewards.length, 4);
+
+  setPoints(customer, 12000);
+  const res = await invoke(catalog, appProxy(customer.id, { method: 'GET' }));
+  assert.equal(res.body.points, 12000);
+  assert.deepEqual(res.body.rewards.map(reward => reward.affordable), [true, true, false, false]);
+});
+
+test('catalog returns 404 for an unknown customer', async () => {
+  const res = await invoke(catalog, signed({ method: 'GET', query: { customer_id: '999' } }));
+  assert.equal(res.statusCode, 404);
+});
+
+test('exchange creates a single-customer code and deducts the points', async () => {
+  setPoints(customer, 6000);
+
+  const res = await exchangeReward('vnd-50000');
+
+  assert.equal(res.statusCode, 200);
+  assert.match(res.body.discount_code, /^RWD-[A-Z0-9]{8}$/);
+  assert.equal(res.body.points_used, 5000);
+  assert.equal(res.body.remaining_points, 1000);
+  assert.equal(getPoints(customer), 1000);
+
+  const [discount] = shopify.discounts.values();
+  assert.equal(discount.code, res.body.discount_code);
+  assert.deepEqual(discount.customerSelection.customers.add, [customer.id]);
+  assert.equal(discount.customerGets.value.discountAmount.amount, '50000');
+});
+
+test('exchange rejects unknown rewards and insufficient points', async () => {
+  setPoints(customer, 1000);
+
+  const invalid = await exchangeReward('nope');
+  assert.equal(invalid.statusCode, 400);
+  assert.ok(invalid.body.valid_reward_ids.includes('vnd-50000'));
+
+  const poor = await exchangeReward('vnd-50000');
+  assert.equal(poor.statusCode, 400);
+  assert.equal(poor.body.points_required, 5000);
+  assert.equal(shopify.discounts.size, 0);
+});
+
+test('exchange returns 400 for a missing or non-JSON body', async () => {
+  setPoints(customer, 100000);
+
+  assert.equal((await invoke(exchange, appProxy(customer.id, { method: 'POST', rawBody: 'not json' }))).statusCode, 400);
+  assert.equal((await invoke(exchange, signed({ method: 'POST', rawBody: '' }))).statusCode, 400);
+  assert.equal(getPoints(customer), 100000);
+});
+
+test('exchange needs a logged-in customer', async () => {
+  const res = await invoke(exchange, appProxy(null, { method: 'POST', body: { reward_id: 'vnd-50000' } }));
+  assert.equal(res.statusCode, 401);
+
+  const unsigned = await invoke(exchange, request({ method: 'POST', body: { customer_id: idOf(customer), reward_id: 'vnd-50000' } }));
+  assert.equal(unsigned.statusCode, 401);
+});
+
+test('exchange replays the result for a repeated Idempotency-Key', async () => {
+  setPoints(customer, 12000);
+
+  const first = await exchangeReward('vnd-50000', { 'Idempotency-Key': 'order-1' });
+  const second = await exchangeReward('vnd-50000', { 'Idempotency-Key': 'order-1' });
+
+  assert.equal(second.statusCode, 200);
+  assert.equal(second.headers['idempotent-replayed'], 'true');
+  assert.equal(second.body.discount_code, first.body.discount_code);
+  assert.equal(getPoints(customer), 7000);
+  assert.equal(shopify.discounts.size, 1);
+
+  const reused = await exchangeReward('vnd-100000', { 'Idempotency-Key': 'order-1' });
+  assert.equal(reused.statusCode, 422);
+});
+
+test('exchange returns 500 when Shopify rejects the discount code', async () => {
+  setPoints(customer, 6000);
+  shopify.onNext('DiscountCodeBasicCreate', () => ({
+    discountCodeBasicCreate: { codeDiscountNode: null, userErrors: [{ field: ['code'], message: 'Code must be unique', code: 'TAKEN' }] }
+  }));
+
+  const res = await exchangeReward('vnd-50000');
+
+  assert.equal(res.statusCode, 500);
+  assert.equal(res.body.error, 'Failed to create discount code');
+  assert.equal(getPoints(customer), 6000);
+});
+
+test('exchange returns 503 without deducting when Shopify is unavailable', async t => {
+  t.mock.method(Math, 'random', () => 0);
+  setPoints(customer, 6000);
+  shopify.failNext({ status: 503 }, { operation: 'DiscountCodeBasicCreate' });
+
+  const res = await exchangeReward('vnd-50000');
+
+  assert.equal(res.statusCode, 503);
+  assert.equal(getPoints(customer), 6000);
+  assert.equal(shopify.discounts.size, 0);
+});
+
+test('exchange keeps the code when the points write landed but its response was lost', async () => {
+  setPoints(customer, 20000);
+  shopify.failNext({ lostResponse: true }, { operation: 'MetafieldsSet' });
+
+  const res = await exchangeReward('vnd-50000', { 'Idempotency-Key': 'lost-1' });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(getPoints(customer), 15000);
+  assert.equal(shopify.operations().includes('DiscountCodeDelete'), false);
+  assert.equal([...shopify.discounts.values()][0].code, res.body.discount_code);
+
+  const again = await exchangeReward('vnd-50000', { 'Idempotency-Key': 'lost-1' });
+  assert.equal(again.body.discount_code, res.body.discount_code);
+  assert.equal(shopify.discounts.size, 1);
+});
+
+test('exchange deletes the code when a lost write did not land', async () => {
+  setPoints(customer, 20000);
+  shopify.failNext({ network: true }, { operation: 'MetafieldsSet' });
+
+  const res = await exchangeReward('vnd-50000');
+
+  assert.equal(res.statusCode, 503);
+  assert.equal(getPoints(customer), 20000);
+  assert.equal(shopify.discounts.size, 0);
+});
+
+test('exchange returns 409 and deletes the code when the balance changed meanwhile', async () => {
+  setPoints(customer, 6000);
+  // Another request spends points between the read and the write
+  shopify.onNext('DiscountCodeBasicCreate', () => setPoints(customer, 5500));
+
+  const res = await exchangeReward('vnd-50000');
+
+  assert.equal(res.statusCode, 409);
+  assert.equal(res.body.code, 'STALE_BALANCE');
+  assert.equal(getPoints(customer), 5500);
+  assert.equal(shopify.discounts.size, 0);
+  assert.ok(shopify.operations().includes('DiscountCodeDelete'));
+});
+
+test('exchange replays the concurrent result for the same Idempotency-Key', async () => {
+  setPoints(customer, 6000);
+  // A concurrent request with the same key wins the race
+  shopify.onNext('DiscountCodeBasicCreate', () => {
+    setPoints(customer, 1000);
+    shopify.setMetafield(customer.id, 'rewards', 'idempotency', {
+      'order-1': { reward_id: 'vnd-50000', response: { success: true, discount_code: 'RWD-WINNER00' }, created_at: new Date().toISOString() }
+    });
+  });
+
+  const res = await exchangeReward('vnd-50000', { 'Idempotency-Key': 'order-1' });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['idempotent-replayed'], 'true');
+  assert.equal(res.body.discount_code, 'RWD-WINNER00');
+  assert.equal(shopify.discounts.size, 0);
+});
+
+test('history pages entries newest first with running balances', async () => {
+  setPoints(customer, 12000);
+  await exchangeReward('vnd-50000');
+  await exchangeReward('vnd-50000');
+
+  const res = await invoke(history, appProxy(customer.id, { method: 'GET', query: { limit: 1 } }));
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.points, 2000);
+  assert.equal(res.body.history.length, 1);
+  assert.equal(res.body.history[0].balance_after, 2000);
+  assert.ok(res.body.next_cursor);
+
+  const next = await invoke(history, appProxy(customer.id, { method: 'GET', query: { limit: 1, cursor: res.body.next_cursor } }));
+  assert.equal(next.body.history[0].balance_after, 7000);
+  assert.equal(next.body.next_cursor, null);
+});
+
+function storeHistory(count, index) {
+  const entries = Array.from({ length: count }, (_, i) => ({
+    date: new Date(Date.UTC(2026, 0, 1) + i * 60000).toISOString(),
+    type: 'earn',
+    points: 1,
+    balance_after: i + 1
+  }));
+  for (let chunk = 0; chunk * 100 < count; chunk++) {
+    shopify.setMetafield(customer.id, 'rewards', `history_${chunk}`, entries.slice(chunk * 100, chunk * 100 + 100));
+  }
+  shopify.setMetafield(customer.id, 'rewards', 'history_index', { chunks: Math.ceil(count / 100), count, ...index });
+}
+
+function chunksRead() {
+  return shopify.requests
+    .filter(request => request.operation === 'RewardsRecords' || request.operation === 'RewardsMetafields')
+    .flatMap(request => request.variables.keys || ['all'])
+    .filter(key => key === 'all' || /history_\d/.test(key));
+}
+
+test('history reads only the chunks of the requested page', async () => {
+  setPoints(customer, 250);
+  storeHistory(250, { totals: { earned: 250, redeemed: 0, expired: 0, adjusted: 0, reversed: 0, net: 250 } });
+
+  const res = await invoke(history, appProxy(customer.id, { method: 'GET', query: { limit: 20 } }));
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.history.map(entry => entry.seq), Array.from({ length: 20 }, (_, i) => 249 - i));
+  assert.equal(res.body.history[0].balance_after, 250);
+  assert.equal(res.body.totals.earned, 250);
+  assert.deepEqual(chunksRead(), ['rewards.history_2']);
+
+  shopify.requests.length = 0;
+  const next = await invoke(history, appProxy(customer.id, { method: 'GET', query: { limit: 60, cursor: res.body.next_cursor } }));
+  assert.equal(next.body.history[0].seq, 229);
+  assert.equal(next.body.history[59].seq, 170);
+  assert.deepEqual(chunksRead(), ['rewards.history_1', 'rewards.history_2']);
+});
+
+test('history without stored totals reads it all once, then the next entry keeps them', async () => {
+  setPoints(customer, 10150);
+  storeHistory(150, {});
+
+  const res = await invoke(history, appProxy(customer.id, { method: 'GET', query: { limit: 10 } }));
+  assert.equal(res.body.totals.earned, 150);
+  assert.deepEqual(chunksRead(), ['all']);
+
+  await exchangeReward('vnd-50000');
+  assert.equal(shopify.getMetafield(customer.id, 'rewards', 'history_index').totals.earned, 150);
+
+  shopify.requests.length = 0;
+  const after = await invoke(history, appProxy(customer.id, { method: 'GET', query: { limit: 10 } }));
+  assert.equal(after.body.totals.redeemed, 5000);
+  assert.equal(after.body.history[0].type, 'redeem');
+  assert.deepEqual(chunksRead(), ['rewards.history_1']);
+});
+
+test('history validates its parameters', async () => {
+  assert.equal((await invoke(history, signed({ method: 'GET', query: { customer_id: '999' } }))).statusCode, 404);
+  assert.equal((await invoke(history, appProxy(customer.id, { method: 'GET', query: { limit: 0 } }))).statusCode, 400);
+  assert.equal((await invoke(history, appProxy(customer.id, { method: 'GET', query: { type: 'bogus' } }))).statusCode, 400);
+  assert.equal((await invoke(history, appProxy(customer.id, { method: 'GET', query: { cursor: '!!' } }))).statusCode, 400);
+});
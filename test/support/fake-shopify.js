@@ -0,0 +1,722 @@
+/**
+ * In-process stand-in for the Shopify GraphQL Admin API
+ * Replaces global fetch and answers the operations lib/ sends (by operation name) from
+ * in-memory customers, variants, orders, draft orders, discount codes, metafields and
+ * shop settings. Anything it does not know fails the test with a GraphQL error.
+ *
+ * Failures can be queued to exercise the retry paths of lib/http.js: HTTP statuses
+ * (429 with Retry-After, 5xx), network errors, GraphQL errors and mutation userErrors.
+ */
+
+const SHOP_DOMAIN = 'test-shop.myshopify.com';
+
+const EMPTY_PAGE = { hasNextPage: false, endCursor: null };
+
+function gid(type, id) {
+  return `gid://shopify/${type}/${id.toString().replace(/\D/g, '')}`;
+}
+
+function gidType(id) {
+  return id.split('/')[3];
+}
+
+function money(amount) {
+  return (Math.round(amount * 100) / 100).toFixed(2);
+}
+
+/**
+ * Page of a list by offset cursor (the cursor is the index of the next item)
+ */
+function paginate(items, first, after) {
+  const start = after ? parseInt(Buffer.from(after, 'base64').toString('utf8')) : 0;
+  const nodes = items.slice(start, start + first);
+  const hasNextPage = start + first < items.length;
+  return {
+    nodes,
+    pageInfo: {
+      hasNextPage,
+      endCursor: hasNextPage ? Buffer.from((start + first).toString()).toString('base64') : null
+    }
+  };
+}
+
+/**
+ * Split Shopify search syntax into [{ negated, field, op, value }]
+ */
+function parseSearch(query) {
+  const terms = [];
+  for (const raw of (query || '').match(/(?:[^\s"]+|"[^"]*")+/g) || []) {
+    const negated = raw.startsWith('-');
+    const [, field, op, value] = (negated ? raw.slice(1) : raw).match(/^(\w+):(<=|>=|<|>)?(.*)$/) || [];
+    if (field) {
+      terms.push({ negated, field, op: op || '=', value: value.replace(/^"|"$/g, '') });
+    }
+  }
+  return terms;
+}
+
+function compare(actual, op, expected) {
+  switch (op) {
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    default: return actual === expected;
+  }
+}
+
+class FakeShopify {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Forget all data, queued failures and recorded requests
+   */
+  reset() {
+    this.shop = {
+      id: gid('Shop', 1),
+      name: 'Helios Test',
+      myshopifyDomain: SHOP_DOMAIN,
+      currencyCode: 'VND',
+      enabledPresentmentCurrencies: ['VND', 'USD'],
+      // Shop currency -> presentment currency
+      rates: { VND: 1, USD: 0.00004 }
+    };
+    this.customers = new Map();
+    this.variants = new Map();
+    this.orders = new Map();
+    this.draftOrders = new Map();
+    this.discounts = new Map();
+    this.metafields = new Map();
+    this.requests = [];
+    this.failures = [];
+    this.hooks = [];
+    this.sequence = 1000;
+  }
+
+  nextId() {
+    return ++this.sequence;
+  }
+
+  // --- Seeding ---------------------------------------------------------------
+
+  addCustomer({ id = this.nextId(), email = null, firstName = null, lastName = null, tags = [], taxExempt = false, amountSpent = 0 } = {}) {
+    const customer = { id: gid('Customer', id), email, firstName, lastName, tags: [...tags], taxExempt, amountSpent };
+    this.customers.set(customer.id, customer);
+    return customer;
+  }
+
+  addVariant({ id = this.nextId(), title = `Variant ${id}`, price, sku = null, compareAtPrice = null, availableForSale = true, productId = 1, productType = '', collections = [] } = {}) {
+    const variant = {
+      id: gid('ProductVariant', id),
+      title,
+      sku,
+      price: money(price),
+      compareAtPrice: compareAtPrice === null ? null : money(compareAtPrice),
+      availableForSale,
+      product: {
+        id: gid('Product', productId),
+        productType,
+        collections: { nodes: collections.map(c => ({ id: gid('Collection', c.id), handle: c.handle })) }
+      }
+    };
+    this.variants.set(variant.id, variant);
+    return variant;
+  }
+
+  addOrder({ id = this.nextId(), customerId = null, subtotal = 0, displayFinancialStatus = 'PAID', cancelledAt = null, createdAt = new Date().toISOString() } = {}) {
+    const order = {
+      id: gid('Order', id),
+      name: `#${id}`,
+      customerId: customerId ? gid('Customer', customerId) : null,
+      subtotal,
+      displayFinancialStatus,
+      cancelledAt,
+      createdAt
+    };
+    this.orders.set(order.id, order);
+    return order;
+  }
+
+  /**
+   * Add a draft order directly (as if created earlier). Same fields as draftOrderCreate
+   * input plus status, createdAt and updatedAt.
+   */
+  addDraftOrder({ status = 'OPEN', createdAt, updatedAt, ...input } = {}) {
+    const draftOrder = this.createDraft(input);
+    draftOrder.status = status;
+    draftOrder.createdAt = createdAt || draftOrder.createdAt;
+    draftOrder.updatedAt = updatedAt || createdAt || draftOrder.updatedAt;
+    return draftOrder;
+  }
+
+  setMetafield(ownerId, namespace, key, value, type = 'json') {
+    const stored = typeof value === 'string' ? value : JSON.stringify(value);
+    const owner = this.metafields.get(ownerId) || new Map();
+    owner.set(`${namespace}.${key}`, { namespace, key, type, value: stored, compareDigest: `digest-${this.nextId()}` });
+    this.metafields.set(ownerId, owner);
+  }
+
+  /**
+   * Parsed value of a metafield (number_integer as a number, json parsed), or null
+   */
+  getMetafield(ownerId, namespace, key) {
+    const metafield = this.metafields.get(ownerId)?.get(`${namespace}.${key}`);
+    if (!metafield) {
+      return null;
+    }
+    if (metafield.type === 'number_integer') {
+      return parseInt(metafield.value);
+    }
+    return metafield.type === 'json' ? JSON.parse(metafield.value) : metafield.value;
+  }
+
+  // --- Failures and hooks -------------------------------------------------------
+
+  /**
+   * Fail the next request(s).
+   *
+   * failure: { status, retryAfter?, body? } - HTTP error response
+   *          { network: true }               - fetch rejects (connection lost, may have been sent)
+   *          { network: 'ECONNREFUSED' }     - fetch rejects before connecting, with this cause code
+   *          { lostResponse: true }          - the request is applied, then fetch rejects
+   *          { graphqlErrors: [...] }        - 200 with GraphQL errors
+   * options.operation - only requests for this operation (e.g. 'DraftOrderCreate')
+   * options.times     - how many requests fail (default 1)
+   */
+  failNext(failure, { operation = null, times = 1 } = {}) {
+    for (let i = 0; i < times; i++) {
+      this.failures.push({ ...failure, operation });
+    }
+  }
+
+  /**
+   * Run `fn(variables)` before the next `operation` is answered. When it returns a
+   * value, that is sent as the operation's `data` instead (e.g. userErrors).
+   */
+  onNext(operation, fn) {
+    this.hooks.push({ operation, fn });
+  }
+
+  /**
+   * Operation names of the requests received so far
+   */
+  operations() {
+    return this.requests.map(request => request.operation);
+  }
+
+  // --- fetch -------------------------------------------------------------------
+
+  install() {
+    const original = global.fetch;
+    global.fetch = (url, init) => this.fetch(url, init);
+    return () => {
+      global.fetch = original;
+    };
+  }
+
+  async fetch(url, init = {}) {
+    const expected = new RegExp(`^https://${SHOP_DOMAIN.replace(/\./g, '\\.')}/admin/api/[\\w-]+/graphql\\.json$`);
+    if (!expected.test(url.toString())) {
+      throw new TypeError(`FakeShopify: unexpected request to ${url}`);
+    }
+
+    const { query, variables = {} } = JSON.parse(init.body);
+    const operation = (query.match(/^\s*(?:query|mutation)\s+(\w+)/) || [])[1] || 'Shop';
+    this.requests.push({ operation, variables });
+
+    const index = this.failures.findIndex(failure => !failure.operation || failure.operation === operation);
+    const failure = index !== -1 ? this.failures.splice(index, 1)[0] : null;
+    if (failure && !failure.lostResponse) {
+      if (failure.network) {
+        const cause = typeof failure.network === 'string' ? Object.assign(new Error(failure.network), { code: failure.network }) : undefined;
+        throw new TypeError('fetch failed', cause ? { cause } : undefined);
+      }
+      if (failure.graphqlErrors) {
+        return jsonResponse({ errors: failure.graphqlErrors });
+      }
+      const headers = failure.retryAfter !== undefined ? { 'Retry-After': failure.retryAfter.toString() } : {};
+      return new Response(failure.body || 'Service unavailable', { status: failure.status, headers });
+    }
+
+    if (init.headers?.['X-Shopify-Access-Token'] !== process.env.SHOPIFY_ACCESS_TOKEN) {
+      return new Response('[API] Invalid API key or access token', { status: 401 });
+    }
+
+    let data;
+    const hookIndex = this.hooks.findIndex(hook => hook.operation === operation);
+    if (hookIndex !== -1) {
+      const [hook] = this.hooks.splice(hookIndex, 1);
+      data = await hook.fn(variables);
+    }
+
+    if (data === undefined) {
+      const resolver = this[`resolve${operation}`];
+      if (!resolver) {
+        return jsonResponse({ errors: [{ message: `FakeShopify: unsupported operation ${operation}` }] });
+      }
+      data = resolver.call(this, variables, query);
+    }
+
+    if (failure?.lostResponse) {
+      throw new TypeError('fetch failed');
+    }
+
+    return jsonResponse({
+      data,
+      extensions: {
+        cost: {
+          requestedQueryCost: 10,
+          actualQueryCost: 10,
+          throttleStatus: { maximumAvailable: 2000, currentlyAvailable: 1990, restoreRate: 100 }
+        }
+      }
+    });
+  }
+
+  // --- Shop, customers, variants ---------------------------------------------------
+
+  resolveShop() {
+    return { shop: this.shop };
+  }
+
+  customerNode(id) {
+    const customer = this.customers.get(id);
+    if (!customer) {
+      return null;
+    }
+    return {
+      ...customer,
+      amountSpent: { amount: money(customer.amountSpent), currencyCode: this.shop.currencyCode }
+    };
+  }
+
+  resolveCustomer({ id }) {
+    return { customer: this.customerNode(id) };
+  }
+
+  resolveCustomerSearch({ query }) {
+    const email = parseSearch(query).find(term => term.field === 'email')?.value;
+    const nodes = [...this.customers.keys()]
+      .map(id => this.customerNode(id))
+      .filter(customer => !email || (customer.email || '').toLowerCase() === email.toLowerCase());
+    return { customers: { nodes: nodes.slice(0, 5) } };
+  }
+
+  resolveCustomerIds({ first, after }) {
+    const page = paginate([...this.customers.keys()].map(id => ({ id })), first, after);
+    return { customers: page };
+  }
+
+  resolveCustomerTier({ id }) {
+    const customer = this.customerNode(id);
+    if (!customer) {
+      return { customer: null };
+    }
+    const tier = this.metafields.get(id)?.get('rewards.tier');
+    return { customer: { ...customer, tier: tier ? { value: tier.value } : null } };
+  }
+
+  resolveCustomerOrders({ query, after }) {
+    const terms = parseSearch(query);
+    const orders = [...this.orders.values()].filter(order => terms.every(term => {
+      if (term.field === 'customer_id') {
+        return order.customerId === gid('Customer', term.value);
+      }
+      if (term.field === 'created_at') {
+        return compare(order.createdAt, term.op, term.value);
+      }
+      return true;
+    }));
+
+    const page = paginate(orders, 100, after);
+    return {
+      orders: {
+        nodes: page.nodes.map(order => ({
+          id: order.id,
+          cancelledAt: order.cancelledAt,
+          displayFinancialStatus: order.displayFinancialStatus,
+          currentSubtotalPriceSet: { shopMoney: { amount: money(order.subtotal) } }
+        })),
+        pageInfo: page.pageInfo
+      }
+    };
+  }
+
+  resolveTagsAdd({ id, tags }) {
+    const customer = this.customers.get(id);
+    if (!customer) {
+      return { tagsAdd: { userErrors: [{ message: 'Customer does not exist' }] } };
+    }
+    customer.tags = [...new Set([...customer.tags, ...tags])];
+    return { tagsAdd: { userErrors: [] } };
+  }
+
+  resolveTagsRemove({ id, tags }) {
+    const customer = this.customers.get(id);
+    if (!customer) {
+      return { tagsRemove: { userErrors: [{ message: 'Customer does not exist' }] } };
+    }
+    customer.tags = customer.tags.filter(tag => !tags.includes(tag));
+    return { tagsRemove: { userErrors: [] } };
+  }
+
+  resolveVariantPrices({ ids }) {
+    return { nodes: ids.map(id => this.variants.get(id) || null) };
+  }
+
+  // --- Metafields ----------------------------------------------------------------
+
+  ownerExists(ownerId) {
+    switch (gidType(ownerId)) {
+      case 'Shop':
+        return ownerId === this.shop.id;
+      case 'Customer':
+        return this.customers.has(ownerId);
+      case 'Order':
+        return this.orders.has(ownerId);
+      case 'DraftOrder':
+        return this.draftOrders.has(ownerId);
+      default:
+        return false;
+    }
+  }
+
+  metafieldNodes(ownerId, { namespace = null, keys = null } = {}) {
+    return [...(this.metafields.get(ownerId)?.values() || [])]
+      .filter(m => (!namespace || m.namespace === namespace) && (!keys || keys.includes(`${m.namespace}.${m.key}`)));
+  }
+
+  resolveCustomerMetafield({ id, namespace, key }) {
+    if (!this.customers.has(id)) {
+      return { customer: null };
+    }
+    return { customer: { metafield: this.metafields.get(id)?.get(`${namespace}.${key}`) || null } };
+  }
+
+  resolveShopMetafield({ namespace, key }) {
+    return { shop: { metafield: this.metafields.get(this.shop.id)?.get(`${namespace}.${key}`) || null } };
+  }
+
+  resolveMetafieldsSet({ metafields }) {
+    const userErrors = [];
+    metafields.forEach((input, i) => {
+      const current = this.metafields.get(input.ownerId)?.get(`${input.namespace}.${input.key}`);
+      if (!this.ownerExists(input.ownerId)) {
+        userErrors.push({ field: ['metafields', i.toString(), 'ownerId'], message: 'Owner does not exist', code: 'INVALID' });
+      } else if ('compareDigest' in input && (input.compareDigest === null ? current : current?.compareDigest !== input.compareDigest)) {
+        userErrors.push({ field: ['metafields', i.toString()], message: 'The resource has been updated since it was loaded', code: 'STALE_OBJECT' });
+      }
+    });
+
+    // All or nothing, like metafieldsSet
+    if (userErrors.length === 0) {
+      for (const input of metafields) {
+        this.setMetafield(input.ownerId, input.namespace, input.key, input.value, input.type);
+      }
+    }
+    return { metafieldsSet: { metafields: [], userErrors } };
+  }
+
+  resolveMetafieldsDelete({ metafields }) {
+    for (const { ownerId, namespace, key } of metafields) {
+      this.metafields.get(ownerId)?.delete(`${namespace}.${key}`);
+    }
+    return { metafieldsDelete: { deletedMetafields: [], userErrors: [] } };
+  }
+
+  resolveRewardsRecords({ id, keys }) {
+    if (!this.ownerExists(id)) {
+      return { node: null };
+    }
+    return { node: { id, metafields: { nodes: this.metafieldNodes(id, { keys }) } } };
+  }
+
+  resolveRewardsOwners({ first, after, query: search, keys }, query) {
+    const connection = query.match(/owners:\s*(\w+)\(/)[1];
+    let ids;
+    if (connection === 'customers') {
+      ids = [...this.customers.keys()];
+    } else if (connection === 'orders') {
+      ids = [...this.orders.keys()];
+    } else {
+      ids = this.searchDraftOrders(search).map(draftOrder => draftOrder.id);
+    }
+
+    const page = paginate(ids, first, after);
+    return {
+      owners: {
+        nodes: page.nodes.map(id => ({ id, metafields: { nodes: this.metafieldNodes(id, { keys }) } })),
+        pageInfo: page.pageInfo
+      }
+    };
+  }
+
+  resolveHistoryHead({ id }) {
+    if (!this.customers.has(id)) {
+      return { customer: null };
+    }
+    const metafields = this.metafields.get(id);
+    return {
+      customer: {
+        index: metafields?.get('rewards.history_index') || null,
+        legacy: metafields?.get('rewards.history') || null
+      }
+    };
+  }
+
+  resolveHistoryChunk({ id, key }) {
+    if (!this.customers.has(id)) {
+      return { customer: null };
+    }
+    return { customer: { chunk: this.metafields.get(id)?.get(`rewards.${key}`) || null } };
+  }
+
+  resolveRewardsMetafields({ id }) {
+    if (!this.customers.has(id)) {
+      return { customer: null };
+    }
+    return { customer: { metafields: { nodes: this.metafieldNodes(id, { namespace: 'rewards' }), pageInfo: EMPTY_PAGE } } };
+  }
+
+  // --- Draft orders ------------------------------------------------------------------
+
+  /**
+   * Build a stored draft order from a DraftOrderInput
+   */
+  createDraft(input) {
+    const id = this.nextId();
+    const now = new Date().toISOString();
+    const draftOrder = {
+      id: gid('DraftOrder', id),
+      name: `#D${id}`,
+      status: 'OPEN',
+      invoiceUrl: `https://${SHOP_DOMAIN}/invoices/${id}`,
+      createdAt: now,
+      updatedAt: now,
+      orderId: null,
+      invoices: []
+    };
+    this.applyDraftInput(draftOrder, { presentmentCurrencyCode: this.shop.currencyCode, tags: [], ...input });
+    this.draftOrders.set(draftOrder.id, draftOrder);
+    return draftOrder;
+  }
+
+  applyDraftInput(draftOrder, input) {
+    Object.assign(draftOrder, input);
+    if (input.purchasingEntity) {
+      draftOrder.customerId = input.purchasingEntity.customerId;
+    }
+    draftOrder.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * userErrors for a DraftOrderInput
+   */
+  validateDraftInput(input, { create }) {
+    const userErrors = [];
+    if (create && (!input.lineItems || input.lineItems.length === 0)) {
+      userErrors.push({ field: ['lineItems'], message: 'Line items must have at least one line item' });
+    }
+    (input.lineItems || []).forEach((line, i) => {
+      if (!this.variants.has(line.variantId)) {
+        userErrors.push({ field: ['lineItems', i.toString(), 'variantId'], message: 'Product variant does not exist' });
+      }
+    });
+    const customerId = input.purchasingEntity?.customerId;
+    if (customerId && !this.customers.has(customerId)) {
+      userErrors.push({ field: ['purchasingEntity', 'customerId'], message: 'Customer does not exist' });
+    }
+    if (input.presentmentCurrencyCode && !this.shop.enabledPresentmentCurrencies.includes(input.presentmentCurrencyCode)) {
+      userErrors.push({ field: ['presentmentCurrencyCode'], message: 'Currency is not enabled' });
+    }
+    return userErrors;
+  }
+
+  /**
+   * Line amounts: price * quantity less the line discount (its amount when given,
+   * the percentage otherwise)
+   */
+  draftTotals(draftOrder) {
+    let subtotal = 0;
+    for (const line of draftOrder.lineItems || []) {
+      const gross = parseFloat(this.variants.get(line.variantId)?.price || 0) * line.quantity;
+      const discount = line.appliedDiscount;
+      let lineDiscount = 0;
+      if (discount) {
+        lineDiscount = discount.amount !== undefined
+          ? parseFloat(discount.amount)
+          : discount.valueType === 'PERCENTAGE' ? gross * discount.value / 100 : discount.value;
+      }
+      subtotal += gross - lineDiscount;
+    }
+
+    const orderDiscount = draftOrder.appliedDiscount ? parseFloat(draftOrder.appliedDiscount.value) : 0;
+    const shipping = draftOrder.shippingLine ? parseFloat(draftOrder.shippingLine.price) : 0;
+    return { subtotal, total: subtotal - orderDiscount + shipping };
+  }
+
+  draftOrderNode(draftOrder) {
+    const { subtotal, total } = this.draftTotals(draftOrder);
+    const rate = this.shop.rates[draftOrder.presentmentCurrencyCode] || 1;
+    return {
+      id: draftOrder.id,
+      name: draftOrder.name,
+      status: draftOrder.status,
+      invoiceUrl: draftOrder.invoiceUrl,
+      presentmentCurrencyCode: draftOrder.presentmentCurrencyCode,
+      tags: draftOrder.tags,
+      customer: draftOrder.customerId ? { id: draftOrder.customerId } : null,
+      order: draftOrder.orderId ? { id: draftOrder.orderId } : null,
+      createdAt: draftOrder.createdAt,
+      updatedAt: draftOrder.updatedAt,
+      subtotalPriceSet: { shopMoney: { amount: money(subtotal), currencyCode: this.shop.currencyCode } },
+      totalPriceSet: {
+        shopMoney: { amount: money(total) },
+        presentmentMoney: { amount: money(total * rate) }
+      },
+      lineItems: {
+        nodes: (draftOrder.lineItems || []).map(line => ({
+          title: this.variants.get(line.variantId)?.title || null,
+          quantity: line.quantity,
+          variant: { id: line.variantId }
+        }))
+      }
+    };
+  }
+
+  searchDraftOrders(search) {
+    const terms = parseSearch(search);
+    return [...this.draftOrders.values()]
+      .filter(draftOrder => terms.every(term => {
+        let match;
+        switch (term.field) {
+          case 'tag':
+            match = draftOrder.tags.map(tag => tag.toLowerCase()).includes(term.value.toLowerCase());
+            break;
+          case 'status':
+            match = draftOrder.status.toLowerCase() === term.value.toLowerCase();
+            break;
+          case 'customer_id':
+            match = draftOrder.customerId === gid('Customer', term.value);
+            break;
+          case 'updated_at':
+            match = compare(draftOrder.updatedAt, term.op, term.value);
+            break;
+          default:
+            match = true;
+        }
+        return term.negated ? !match : match;
+      }))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  resolveDraftOrder({ id }) {
+    const draftOrder = this.draftOrders.get(id);
+    return { draftOrder: draftOrder ? this.draftOrderNode(draftOrder) : null };
+  }
+
+  resolveDraftOrders({ first, after, query }) {
+    const page = paginate(this.searchDraftOrders(query), first, after);
+    return { draftOrders: { nodes: page.nodes.map(draftOrder => this.draftOrderNode(draftOrder)), pageInfo: page.pageInfo } };
+  }
+
+  resolveDraftOrderCreate({ input }) {
+    const userErrors = this.validateDraftInput(input, { create: true });
+    if (userErrors.length > 0) {
+      return { draftOrderCreate: { draftOrder: null, userErrors } };
+    }
+    return { draftOrderCreate: { draftOrder: this.draftOrderNode(this.createDraft(input)), userErrors: [] } };
+  }
+
+  resolveDraftOrderUpdate({ id, input }) {
+    const draftOrder = this.draftOrders.get(id);
+    const userErrors = draftOrder ? this.validateDraftInput(input, { create: false }) : [{ field: ['id'], message: 'Draft order does not exist' }];
+    if (draftOrder && draftOrder.status === 'COMPLETED') {
+      userErrors.push({ field: ['id'], message: 'Draft order has been completed' });
+    }
+    if (userErrors.length > 0) {
+      return { draftOrderUpdate: { draftOrder: null, userErrors } };
+    }
+    this.applyDraftInput(draftOrder, input);
+    return { draftOrderUpdate: { draftOrder: this.draftOrderNode(draftOrder), userErrors: [] } };
+  }
+
+  resolveDraftOrderInvoiceSend({ id, email }) {
+    const draftOrder = this.draftOrders.get(id);
+    if (!draftOrder) {
+      return { draftOrderInvoiceSend: { draftOrder: null, userErrors: [{ field: ['id'], message: 'Draft order does not exist' }] } };
+    }
+    const to = email?.to || draftOrder.email || this.customers.get(draftOrder.customerId)?.email;
+    if (!to) {
+      return { draftOrderInvoiceSend: { draftOrder: null, userErrors: [{ field: ['email', 'to'], message: 'To can\'t be blank' }] } };
+    }
+    draftOrder.invoices.push({ ...email, to });
+    draftOrder.status = 'INVOICE_SENT';
+    return { draftOrderInvoiceSend: { draftOrder: this.draftOrderNode(draftOrder), userErrors: [] } };
+  }
+
+  resolveDraftOrderComplete({ id, paymentPending }) {
+    const draftOrder = this.draftOrders.get(id);
+    if (!draftOrder || draftOrder.status === 'COMPLETED') {
+      return { draftOrderComplete: { draftOrder: null, userErrors: [{ field: ['id'], message: 'Draft order cannot be completed' }] } };
+    }
+
+    const order = this.addOrder({
+      customerId: draftOrder.customerId,
+      subtotal: this.draftTotals(draftOrder).subtotal,
+      displayFinancialStatus: paymentPending ? 'PENDING' : 'PAID'
+    });
+    draftOrder.status = 'COMPLETED';
+    draftOrder.orderId = order.id;
+    return { draftOrderComplete: { draftOrder: this.draftOrderNode(draftOrder), userErrors: [] } };
+  }
+
+  resolveDraftOrderDelete({ input }) {
+    if (!this.draftOrders.delete(input.id)) {
+      return { draftOrderDelete: { deletedId: null, userErrors: [{ field: ['id'], message: 'Draft order does not exist' }] } };
+    }
+    this.metafields.delete(input.id);
+    return { draftOrderDelete: { deletedId: input.id, userErrors: [] } };
+  }
+
+  // --- Discount codes ----------------------------------------------------------------
+
+  createDiscount(kind, input) {
+    const taken = [...this.discounts.values()].some(discount => discount.code === input.code);
+    if (taken) {
+      return { node: null, userErrors: [{ field: ['code'], message: 'Code must be unique', code: 'TAKEN' }] };
+    }
+    const discount = { id: gid('DiscountCodeNode', this.nextId()), kind, ...input };
+    this.discounts.set(discount.id, discount);
+    return { node: { id: discount.id }, userErrors: [] };
+  }
+
+  resolveDiscountCodeBasicCreate({ basicCodeDiscount }) {
+    const { node, userErrors } = this.createDiscount('basic', basicCodeDiscount);
+    return { discountCodeBasicCreate: { codeDiscountNode: node, userErrors } };
+  }
+
+  resolveDiscountCodeFreeShippingCreate({ freeShippingCodeDiscount }) {
+    const { node, userErrors } = this.createDiscount('free_shipping', freeShippingCodeDiscount);
+    return { discountCodeFreeShippingCreate: { codeDiscountNode: node, userErrors } };
+  }
+
+  resolveDiscountCodeDelete({ id }) {
+    if (!this.discounts.delete(id)) {
+      return { discountCodeDelete: { deletedCodeDiscountId: null, userErrors: [{ field: ['id'], message: 'Discount does not exist' }] } };
+    }
+    return { discountCodeDelete: { deletedCodeDiscountId: id, userErrors: [] } };
+  }
+}
+
+function jsonResponse(body) {
+  return new Response(JSON.stringify(body), { status: 200, headers: { 'Content-Type': 'application/json' } });
+}
+
+module.exports = {
+  SHOP_DOMAIN,
+  FakeShopify,
+  gid
+};
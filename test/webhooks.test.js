@@ -0,0 +1,139 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { shopify, invoke, webhook, setPoints, getPoints, idOf } = require('./support/harness');
+const ordersPaid = require('../api/webhooks/orders-paid');
+const ordersPaidTier = require('../api/webhooks/orders-paid-tier');
+const ordersCancelled = require('../api/webhooks/orders-cancelled');
+const refundsCreate = require('../api/webhooks/refunds-create');
+
+let gold;
+let order;
+
+beforeEach(() => {
+  shopify.reset();
+  gold = shopify.addCustomer({ tags: ['tier-gold'] });
+  order = shopify.addOrder({ customerId: idOf(gold), subtotal: 2000000 });
+});
+
+function paidPayload(overrides = {}) {
+  return {
+    id: Number(idOf(order)),
+    name: order.name,
+    customer: { id: Number(idOf(gold)) },
+    current_subtotal_price: '2000000.00',
+    currency: 'VND',
+    ...overrides
+  };
+}
+
+test('webhooks reject a wrong signature', async () => {
+  for (const handler of [ordersPaid, ordersPaidTier, ordersCancelled, refundsCreate]) {
+    const req = webhook(paidPayload());
+    req.headers['x-shopify-hmac-sha256'] = Buffer.from('forged').toString('base64');
+    assert.equal((await invoke(handler, req)).statusCode, 401);
+
+    // Without the raw body there is nothing to check the signature against
+    const parsed = webhook(paidPayload());
+    delete parsed.rawBody;
+    assert.equal((await invoke(handler, parsed)).statusCode, 401);
+  }
+  assert.equal(getPoints(gold), 0);
+});
+
+test('orders/paid awards points with the tier multiplier, once', async () => {
+  setPoints(gold, 100);
+
+  const res = await invoke(ordersPaid, webhook(paidPayload()));
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.points_awarded, 2500); // 2.000.000 * 0.001 * 1.25
+  assert.equal(res.body.balance, 2600);
+  assert.equal(shopify.getMetafield(order.id, 'rewards', 'points_awarded').points, 2500);
+
+  const retry = await invoke(ordersPaid, webhook(paidPayload()));
+  assert.equal(retry.body.duplicate, true);
+  assert.equal(getPoints(gold), 2600);
+});
+
+test('orders/paid skips guests and unknown orders', async () => {
+  const guest = await invoke(ordersPaid, webhook(paidPayload({ customer: null })));
+  assert.equal(guest.body.skipped, 'no_customer');
+
+  const unknown = await invoke(ordersPaid, webhook(paidPayload({ id: 999 })));
+  assert.equal(unknown.statusCode, 404);
+});
+
+test('orders/paid returns 500 so Shopify retries when the store is unreachable', async t => {
+  t.mock.method(Math, 'random', () => 0);
+  shopify.failNext({ network: true }, { operation: 'MetafieldsSet' });
+
+  const res = await invoke(ordersPaid, webhook(paidPayload()));
+
+  assert.equal(res.statusCode, 500);
+  assert.equal(getPoints(gold), 0);
+
+  const retry = await invoke(ordersPaid, webhook(paidPayload()));
+  assert.equal(retry.body.points_awarded, 2500);
+});
+
+test('refunds/create reverses the refunded share and ignores redeliveries', async () => {
+  await invoke(ordersPaid, webhook(paidPayload()));
+  const refund = { id: 77, order_id: Number(idOf(order)), refund_line_items: [{ subtotal: '1000000.00' }] };
+
+  const res = await invoke(refundsCreate, webhook(refund));
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.status, 'reversed');
+  assert.equal(res.body.points_reversed, 1250);
+  assert.equal(getPoints(gold), 1250);
+
+  const retry = await invoke(refundsCreate, webhook(refund));
+  assert.equal(retry.body.status, 'duplicate');
+  assert.equal(getPoints(gold), 1250);
+});
+
+test('orders/cancelled reverses what refunds left', async () => {
+  await invoke(ordersPaid, webhook(paidPayload()));
+  await invoke(refundsCreate, webhook({ id: 77, order_id: Number(idOf(order)), refund_line_items: [{ subtotal: '1000000.00' }] }));
+
+  const res = await invoke(ordersCancelled, webhook({ id: Number(idOf(order)) }));
+
+  assert.equal(res.body.status, 'reversed');
+  assert.equal(res.body.points_reversed, 1250);
+  assert.equal(getPoints(gold), 0);
+
+  const history = shopify.getMetafield(gold.id, 'rewards', 'history_0');
+  assert.deepEqual(history.map(entry => entry.type), ['earn', 'reversal', 'reversal']);
+});
+
+test('orders/cancelled ignores orders that never earned points', async () => {
+  const res = await invoke(ordersCancelled, webhook({ id: Number(idOf(order)) }));
+  assert.equal(res.body.status, 'not_awarded');
+});
+
+test('orders/paid tier webhook upgrades on rolling spend', async () => {
+  const member = shopify.addCustomer();
+  shopify.addOrder({ customerId: idOf(member), subtotal: 4000000 });
+  shopify.addOrder({ customerId: idOf(member), subtotal: 9000000, cancelledAt: new Date().toISOString() });
+
+  // The paid order is not in the orders search yet - its amount is added on top
+  const res = await invoke(ordersPaidTier, webhook({
+    id: 555,
+    customer: { id: Number(idOf(member)) },
+    current_subtotal_price: '1500000.00'
+  }));
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.spend, 5500000);
+  assert.equal(res.body.tier, 'Silver');
+  assert.equal(res.body.direction, 'upgrade');
+  assert.equal(shopify.getMetafield(member.id, 'rewards', 'tier'), 'Silver');
+});
+
+test('orders/paid tier webhook skips guests and unknown customers', async () => {
+  const guest = await invoke(ordersPaidTier, webhook({ id: 1, customer: null }));
+  assert.equal(guest.body.skipped, 'no_customer');
+
+  const unknown = await invoke(ordersPaidTier, webhook({ id: 1, customer: { id: 999 } }));
+  assert.equal(unknown.body.skipped, 'customer_not_found');
+});